@@ -20,6 +20,9 @@ declare type CompilerOptions = {
   shouldDecodeNewlines?:  boolean;
   shouldDecodeNewlinesForHref?: boolean;
   outputSourceRange?: boolean;
+  sourceMap?: boolean; // generate source maps from render code to the template
+  filename?: string; // template file name used in source maps
+  source?: string; // the untrimmed template, set by the compiler for source maps
 
   // runtime user-configurable
   delimiters?: [string, string]; // template delimiters
@@ -29,6 +32,14 @@ declare type CompilerOptions = {
   scopeId?: string;
 };
 
+declare type SourceMap = {
+  version: number;
+  sources: Array<string>;
+  sourcesContent: Array<string>;
+  names: Array<string>;
+  mappings: string;
+};
+
 declare type WarningMessage = {
   msg: string;
   start?: number;
@@ -40,6 +51,8 @@ declare type CompiledResult = {
   render: string;
   staticRenderFns: Array<string>;
   stringRenderFns?: Array<string>;
+  map?: SourceMap;
+  staticRenderFnMaps?: Array<SourceMap>;
   errors?: Array<string | WarningMessage>;
   tips?: Array<string | WarningMessage>;
 };
@@ -83,6 +96,13 @@ declare type ASTElementHandlers = {
   [key: string]: ASTElementHandler | Array<ASTElementHandler>;
 };
 
+declare type ASTModel = {
+  value: string;
+  callback: string;
+  expression: string;
+  modifiers?: string;
+};
+
 declare type ASTDirective = {
   name: string;
   rawName: string;
@@ -159,17 +179,15 @@ declare type ASTElement = {
   transition?: string | true;
   transitionOnAppear?: boolean;
 
-  model?: {
-    value: string;
-    callback: string;
-    expression: string;
-  };
+  model?: ASTModel;
+  models?: { [arg: string]: ASTModel };
 
   directives?: Array<ASTDirective>;
 
   forbidden?: true;
   once?: true;
   onceProcessed?: boolean;
+  mapProcessed?: boolean;
   wrapData?: (code: string) => string;
   wrapListeners?: (code: string) => string;
 
@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { EffectScope } from '../src/core/observer/effect-scope'
 
 declare interface Component {
   // constructor information
@@ -46,6 +47,7 @@ declare interface Component {
   $once: (event: string, fn: Function) => Component;
   $off: (event?: string | Array<string>, fn?: Function) => Component;
   $emit: (event: string, ...args: Array<mixed>) => Component;
+  $isProvided: (key: string | Symbol) => boolean;
   $nextTick: (fn: Function) => void | Promise<*>;
   $createElement: (tag?: string | Component, data?: Object, children?: VNodeChildren) => VNode;
 
@@ -61,16 +63,24 @@ declare interface Component {
   _computedWatchers: { [key: string]: Watcher };
   _data: Object;
   _props: Object;
+  _setupState: ?Object;
+  _setupPending: ?boolean;
+  _scope: ?EffectScope;
   _events: Object;
   _inactive: boolean | null;
   _directInactive: boolean;
   _isMounted: boolean;
+  _hydrated: ?boolean;
   _isDestroyed: boolean;
   _isBeingDestroyed: boolean;
   _vnode: ?VNode; // self root node
   _staticTrees: ?Array<VNode>; // v-once cached trees
   _hasHookEvent: boolean;
   _provided: ?Object;
+  _provideWatcher: ?Watcher;
+  _errorBoundary: ?Component;
+  _suspense: ?Component;
+  _ssrTeleport?: ?string; // set by <teleport> during server rendering
   // _virtualComponents?: { [key: string]: Component };
 
   // private methods
@@ -94,16 +104,25 @@ declare interface Component {
 
   // createElement
 
-  // _c is internal that accepts `normalizationType` optimization hint
+  // _c is internal that accepts `normalizationType` and `shape` optimization hints
   _c: (
     vnode?: VNode,
     data?: VNodeData,
     children?: VNodeChildren,
-    normalizationType?: number
+    normalizationType?: number,
+    shape?: VNodeShape
   ) => VNode | void;
 
   // renderStatic
   _m: (index: number, isInFor?: boolean) => VNode | VNodeChildren;
+  // renderHoisted
+  _h: (index: number) => any;
+  // openBlock
+  _a: () => void;
+  // trackBlockNode
+  _x: (vnode: VNode) => VNode;
+  // closeBlock
+  _z: (vnode: VNode, block: Object) => VNode;
   // markOnce
   _o: (vnode: VNode | Array<VNode>, index: number, key: string) => VNode | VNodeChildren;
   // toString
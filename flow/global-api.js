@@ -3,6 +3,7 @@ declare interface GlobalAPI {
   options: Object;
   config: Config;
   util: Object;
+  version: string;
 
   extend: (options: Object) => Function;
   set: <T>(target: Object | Array<T>, key: string | number, value: T) => T;
@@ -17,7 +18,69 @@ declare interface GlobalAPI {
   filter: (id: string, def?: Function) => Function | void;
 
   observable: <T>(value: T) => T;
+  createApp: (rootOptions?: Object) => AppInstance;
+
+  reactive: <T>(target: T) => T;
+  shallowReactive: <T>(target: T) => T;
+  readonly: <T>(target: T) => T;
+  shallowReadonly: <T>(target: T) => T;
+  isReadonly: (value: any) => boolean;
+  ref: Function;
+  isRef: (r: any) => boolean;
+  unref: Function;
+  computed: Function;
+  watchEffect: (effect: () => any, options?: Object) => Function;
+  effectScope: (detached?: boolean) => Object;
+  batch: <T>(fn: () => T) => T;
+  untracked: <T>(fn: () => T) => T;
+
+  getCurrentInstance: () => ?Component;
+  onBeforeMount: (fn: Function) => void;
+  onMounted: (fn: Function) => void;
+  onBeforeUpdate: (fn: Function) => void;
+  onUpdated: (fn: Function) => void;
+  onBeforeUnmount: (fn: Function) => void;
+  onUnmounted: (fn: Function) => void;
+  onActivated: (fn: Function) => void;
+  onDeactivated: (fn: Function) => void;
+  onErrorCaptured: (fn: Function) => void;
+  onServerPrefetch: (fn: Function) => void;
+  onRenderTracked: (fn: Function) => void;
+  onRenderTriggered: (fn: Function) => void;
 
   // allow dynamic method registration
   [key: string]: any
 };
+
+declare type AppConfig = {
+  errorHandler: ?(err: Error, vm: Component, info: string) => void;
+  warnHandler: ?(msg: string, vm: Component, trace: string, report?: Object) => void;
+  globalProperties: { [key: string]: any };
+  optionMergeStrategies: { [key: string]: Function };
+  ignoredElements: Array<string | RegExp>;
+  keyCodes: { [key: string]: number | Array<number> };
+};
+
+declare interface AppInstance {
+  config: AppConfig;
+  _provides: Object;
+
+  // constructor API for plugins written for Vue 2
+  prototype: Object;
+  util: Object;
+  version: string;
+  set: <T>(target: Object | Array<T>, key: string | number, value: T) => T;
+  delete: <T>(target: Object | Array<T>, key: string | number) => void;
+  nextTick: (fn: Function, context?: Object) => void | Promise<*>;
+  observable: <T>(value: T) => T;
+  extend: (options: Object) => Function;
+  filter: (id: string, def?: Function) => any;
+
+  use: (plugin: Function | Object, ...options: Array<any>) => AppInstance;
+  mixin: (mixin: Object) => AppInstance;
+  component: (id: string, def?: Function | Object) => any;
+  directive: (id: string, def?: Function | Object) => any;
+  provide: (key: any, value: any) => AppInstance;
+  mount: (el?: string | Element, hydrating?: boolean) => Component;
+  unmount: () => void;
+};
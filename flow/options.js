@@ -24,6 +24,8 @@ declare type ComponentOptions = {
   };
   methods?: { [key: string]: Function };
   watch?: { [key: string]: Function | string };
+  emits?: { [key: string]: ?Function };
+  setup?: (props: Object, ctx: Object) => Object | Function | void;
 
   // DOM
   el?: string | Element;
@@ -43,8 +45,14 @@ declare type ComponentOptions = {
   deactivated?: Function;
   beforeDestroy?: Function;
   destroyed?: Function;
+  beforeUnmount?: Function;
+  unmounted?: Function;
   errorCaptured?: () => boolean | void;
   serverPrefetch?: Function;
+  renderTracked?: Function;
+  renderTriggered?: Function;
+  hydrated?: Function;
+  hydrationMismatch?: (details: HydrationMismatch) => void;
 
   // assets
   directives?: { [key: string]: Object };
@@ -54,6 +62,7 @@ declare type ComponentOptions = {
 
   // context
   provide?: { [key: string | Symbol]: any } | () => { [key: string | Symbol]: any };
+  reactiveProvide?: boolean;
   inject?: { [key: string]: InjectKey | { from?: InjectKey, default?: any }} | Array<string>;
 
   // component v-model customization
@@ -69,7 +78,9 @@ declare type ComponentOptions = {
   extends?: Class<Component> | Object;
   delimiters?: [string, string];
   comments?: boolean;
+  sourceMap?: boolean;
   inheritAttrs?: boolean;
+  hydrate?: 'visible' | 'idle' | 'interaction' | 'never';
 
   // private
   _isComponent?: true;
@@ -80,6 +91,7 @@ declare type ComponentOptions = {
   _componentTag: ?string;
   _scopeId: ?string;
   _base: Class<Component>;
+  _app?: AppInstance;
 };
 
 declare type PropOptions = {
@@ -88,3 +100,25 @@ declare type PropOptions = {
   required: ?boolean;
   validator: ?Function;
 }
+
+declare type HydrationMismatch = {
+  reason:
+    | 'node'
+    | 'children'
+    | 'innerHTML'
+    | 'fragment'
+    | 'text'
+    | 'attribute'
+    | 'class'
+    | 'style';
+  node: Node;
+  vnode: VNode;
+  // attribute name, only for 'attribute' mismatches
+  key?: string;
+  expected: any;
+  actual: any;
+  // component names from the root to the component rendering the node
+  path: Array<string>;
+  // whether hydration continued instead of discarding the component tree
+  recovered: boolean;
+};
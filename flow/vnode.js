@@ -16,6 +16,12 @@ declare type MountedComponentVNode = {
   data: VNodeData;
 };
 
+// compiled shape of an element, shared by the vnodes rendered from it
+declare type VNodeShape = {
+  flag: number; // see PATCH_* in shared/constants
+  props?: Array<string>; // names of the dynamic attrs / DOM props
+};
+
 // interface for vnodes in update modules
 declare type VNodeWithData = {
   tag: string;
@@ -30,6 +36,7 @@ declare type VNodeWithData = {
   componentOptions?: VNodeComponentOptions;
   componentInstance?: Component;
   isRootInsert: boolean;
+  shape?: VNodeShape;
 };
 
 declare interface VNodeData {
@@ -59,10 +66,14 @@ declare interface VNodeData {
   directives?: Array<VNodeDirective>;
   keepAlive?: boolean;
   scopedSlots?: { [key: string]: Function };
-  model?: {
-    value: any;
-    callback: Function;
-  };
+  model?: VNodeModel;
+  models?: { [arg: string]: VNodeModel };
+};
+
+declare type VNodeModel = {
+  value: any;
+  callback: Function;
+  modifiers?: { [key: string]: boolean };
 };
 
 declare type VNodeDirective = {
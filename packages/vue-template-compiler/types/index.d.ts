@@ -9,6 +9,8 @@ interface CompilerOptions {
   preserveWhitespace?: boolean;
   whitespace?: 'preserve' | 'condense';
   outputSourceRange?: any
+  sourceMap?: boolean;
+  filename?: string;
 }
 
 interface CompilerOptionsWithSourceRange extends CompilerOptions {
@@ -21,10 +23,20 @@ interface ErrorWithRange {
   end: number;
 }
 
+interface SourceMap {
+  version: number;
+  sources: string[];
+  sourcesContent: string[];
+  names: string[];
+  mappings: string;
+}
+
 interface CompiledResult<ErrorType> {
   ast: ASTElement | undefined;
   render: string;
   staticRenderFns: string[];
+  map?: SourceMap;
+  staticRenderFnMaps?: SourceMap[];
   errors: ErrorType[];
   tips: ErrorType[];
 }
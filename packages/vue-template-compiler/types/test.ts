@@ -43,6 +43,15 @@ compiled.errors.forEach(e => {
   console.log(e.msg)
 })
 
+// with sourceMap: true
+const { map } = compile("<div>{{ msg }}</div>", {
+  sourceMap: true,
+  filename: "app.html"
+});
+if (map) {
+  console.log(map.mappings, map.sources[0]);
+}
+
 // without option or without outputSourceRange: true, should be strings
 const { errors } = compile(`foo`)
 errors.forEach(e => {
@@ -2,9 +2,18 @@
 
 import { genHandlers } from "./events";
 import baseDirectives from "../directives/index";
-import { camelize, no, extend } from "shared/util";
+import { camelize, no, extend, makeMap } from "shared/util";
+import {
+  PATCH_TEXT,
+  PATCH_CLASS,
+  PATCH_STYLE,
+  PATCH_PROPS,
+  PATCH_FULL_PROPS,
+  PATCH_HOISTED,
+} from "shared/constants";
 import { baseWarn, pluckModuleFunction } from "../helpers";
 import { emptySlotScopeToken } from "../parser/index";
+import { SourceMapGenerator } from "./source-map";
 
 type TransformFunction = (el: ASTElement, code: string) => string;
 type DataGenFunction = (el: ASTElement) => string;
@@ -24,6 +33,9 @@ export class CodegenState {
   onceId: number;
   staticRenderFns: Array<string>;
   pre: boolean;
+  inStatic: boolean;
+  inBlock: boolean;
+  sourceMap: ?SourceMapGenerator;
 
   constructor(options: CompilerOptions) {
     this.options = options;
@@ -37,12 +49,38 @@ export class CodegenState {
     this.onceId = 0;
     this.staticRenderFns = [];
     this.pre = false;
+    this.inStatic = false;
+    this.inBlock = false;
+    this.sourceMap =
+      options.sourceMap && options.source != null
+        ? new SourceMapGenerator(options.source, options.filename)
+        : null;
+  }
+
+  // hoist code that evaluates to the same value in every render out of the
+  // render function, it is created once by the `_h` runtime helper
+  hoist(code: string): string {
+    this.staticRenderFns.push(`with(this){return ${code}}`);
+    return `_h(${this.staticRenderFns.length - 1})`;
+  }
+
+  // a node of a block that has to be patched, the `_x` runtime helper adds
+  // it to the block being rendered
+  track(code: string): string {
+    return this.inBlock && !this.inStatic ? `_x(${code})` : code;
+  }
+
+  // annotate the code generated for a node with its template position
+  mark(node: ASTNode, code: string): string {
+    return this.sourceMap ? this.sourceMap.mark(node, code) : code;
   }
 }
 
 export type CodegenResult = {
   render: string,
   staticRenderFns: Array<string>,
+  map?: SourceMap,
+  staticRenderFnMaps?: Array<SourceMap>,
 };
 
 export function generate(
@@ -60,10 +98,11 @@ export function generate(
       ? "null"
       : genElement(ast, state)
     : '_c("div")';
-  return {
+  const result = {
     render: `with(this){return ${code}}`,
     staticRenderFns: state.staticRenderFns,
   };
+  return state.sourceMap ? state.sourceMap.apply(result) : result;
 }
 
 export function genElement(el: ASTElement, state: CodegenState): string {
@@ -71,6 +110,12 @@ export function genElement(el: ASTElement, state: CodegenState): string {
     el.pre = el.pre || el.parent.pre;
   }
 
+  // map all the code generated for the element, including v-if / v-for
+  if (state.sourceMap && !el.mapProcessed) {
+    el.mapProcessed = true;
+    return state.mark(el, genElement(el, state));
+  }
+
   /*
     # 对静态节点和有特殊指令、组件的元素进行处理
   */
@@ -89,6 +134,8 @@ export function genElement(el: ASTElement, state: CodegenState): string {
   } else {
     // component or element
     let code;
+    let block = false;
+    let dynamic = false;
     if (el.component) {
       code = genComponent(el.component, el, state);
     } else {
@@ -97,19 +144,194 @@ export function genElement(el: ASTElement, state: CodegenState): string {
         data = genData(el, state);
       }
 
+      /*
+        # 数据不会变化的元素，将数据提升到渲染函数之外；其它元素生成形状，
+        # 告诉 patch 过程哪些部分可能变化
+      */
+      let shape;
+      let hoisted = false;
+      if (hasShape(el, state) && !isMutableData(el, state)) {
+        if (data && isConstantData(el)) {
+          data = state.hoist(data);
+          hoisted = true;
+        }
+        shape = genShape(el, state, hoisted, !!data);
+      }
+      // elements of a block with data that changes, or a ref, which needs
+      // the element when it is destroyed
+      dynamic = (!!data && !hoisted) || el.ref != null;
+
+      /*
+        # 结构稳定的元素作为 block，渲染时收集需要 patch 的后代节点
+      */
+      block = isBlockRoot(el, state);
+      if (block) {
+        state.inBlock = true;
+      }
       const children = el.inlineTemplate ? null : genChildren(el, state, true);
+      if (block) {
+        state.inBlock = false;
+      }
       code = `_c('${el.tag}'${
-        data ? `,${data}` : "" // data
+        data ? `,${data}` : shape ? ",void 0" : "" // data
+      }${
+        children ? `,${children}` : shape ? ",void 0" : "" // children
       }${
-        children ? `,${children}` : "" // children
+        // the shape follows the normalizationType, which genChildren only
+        // appends when it is needed
+        shape ? `${children && /,\d$/.test(children) ? "" : ",0"},${shape}` : ""
       })`;
     }
     // module transforms
     for (let i = 0; i < state.transforms.length; i++) {
       code = state.transforms[i](el, code);
     }
-    return code;
+    if (block) {
+      // the hoisted object identifies the block when patching
+      return `(_a(),_z(${code},${state.hoist("{}")}))`;
+    }
+    return dynamic ? state.track(code) : code;
+  }
+}
+
+// AST properties of elements whose data is understood by hasShape(), other
+// properties may come from directives and modules that generate other data
+const isShapeKey = makeMap(
+  "type,tag,attrsList,attrsMap,rawAttrsMap,plain,parent,children,start,end," +
+    "ns,pre,processed,static,staticRoot,staticInFor,hasBindings," +
+    "if,ifConditions,ifProcessed,elseif,else," +
+    "for,alias,iterator1,iterator2,forProcessed,mapProcessed," +
+    "key,ref,refInFor,attrs,props,dynamicAttrs,events,directives," +
+    "staticClass,classBinding,staticStyle,styleBinding"
+);
+
+// a block is an element whose children can not change structure between
+// renders: it has no components, slots, v-if or v-for below it, those start
+// new blocks instead
+function isBlockRoot(el: ASTElement, state: CodegenState): boolean {
+  return (
+    state.options.optimize !== false &&
+    !state.inBlock &&
+    !state.inStatic &&
+    !state.pre &&
+    !el.pre &&
+    !state.maybeComponent(el) &&
+    el.tag !== "template" &&
+    el.children.some((child) => child.type === 1 && !child.staticRoot) &&
+    el.children.every((child) => isStableNode(child, state))
+  );
+}
+
+function isStableNode(node: ASTNode, state: CodegenState): boolean {
+  if (node.type !== 1 || node.staticRoot) {
+    return true;
+  }
+  return (
+    hasShape(node, state) &&
+    !node.if &&
+    !node.for &&
+    node.tag !== "template" &&
+    // a different key would replace the element
+    (node.key == null || constantRE.test(node.key)) &&
+    node.children.every((child) => isStableNode(child, state))
+  );
+}
+
+// compiled values that are the same in every render
+const constantRE = /^(?:"(?:[^"\\]|\\.)*"|true|false|-?\d+(?:\.\d+)?)$/;
+
+// component roots are left out, they are also patched through the placeholder
+// vnode in the parent, whose class, style and attrs are merged into them
+function hasShape(el: ASTElement, state: CodegenState): boolean {
+  return (
+    state.options.optimize !== false &&
+    !!el.parent &&
+    !state.inStatic &&
+    !state.pre &&
+    !el.pre &&
+    !state.maybeComponent(el) &&
+    Object.keys(el).every(isShapeKey)
+  );
+}
+
+function isDynamicProp(prop: ASTAttr, isDOMProp?: boolean): boolean {
+  return (
+    !constantRE.test(prop.value) ||
+    // the DOM value is checked against the element on each patch
+    (!!isDOMProp && prop.name === "value")
+  );
+}
+
+function isConstantData(el: ASTElement): boolean {
+  return !!(
+    !el.directives &&
+    !el.events &&
+    !el.classBinding &&
+    !el.styleBinding &&
+    !el.dynamicAttrs &&
+    (el.key == null || constantRE.test(el.key)) &&
+    (el.ref == null || constantRE.test(el.ref)) &&
+    (!el.attrs || !el.attrs.some((attr) => isDynamicProp(attr))) &&
+    (!el.props || !el.props.some((prop) => isDynamicProp(prop, true)))
+  );
+}
+
+// the data of slot content can be changed at runtime by the receiving
+// component, e.g. by <transition>, so it is created in each render and
+// patched in full
+function isMutableData(el: ASTElement, state: CodegenState): boolean {
+  let parent = el.parent;
+  while (parent && parent.tag === "template") {
+    parent = parent.parent;
+  }
+  return !parent || state.maybeComponent(parent);
+}
+
+function genShape(
+  el: ASTElement,
+  state: CodegenState,
+  hoisted: boolean,
+  hasData: boolean
+): ?string {
+  let flag = hoisted ? PATCH_HOISTED : 0;
+  const props = [];
+  if (el.children.length === 1 && el.children[0].type === 2) {
+    flag |= PATCH_TEXT;
+  }
+  if (el.classBinding) {
+    flag |= PATCH_CLASS;
+  }
+  if (el.styleBinding) {
+    flag |= PATCH_STYLE;
   }
+  if (el.dynamicAttrs) {
+    flag |= PATCH_FULL_PROPS;
+  }
+  const addProps = (list, isDOMProp) => {
+    list.forEach((prop) => {
+      if (
+        prop.dynamic ||
+        // these replace the children of the element
+        (isDOMProp &&
+          (prop.name === "innerHTML" || prop.name === "textContent"))
+      ) {
+        flag |= PATCH_FULL_PROPS;
+      } else if (
+        isDynamicProp(prop, isDOMProp) &&
+        props.indexOf(prop.name) < 0
+      ) {
+        flag |= PATCH_PROPS;
+        props.push(prop.name);
+      }
+    });
+  };
+  if (el.attrs) addProps(el.attrs, false);
+  if (el.props) addProps(el.props, true);
+  // nothing to skip for elements without data and dynamic text
+  if (!hasData && !flag) {
+    return;
+  }
+  return state.hoist(JSON.stringify(props.length ? { flag, props } : { flag }));
 }
 
 // hoist static sub-trees out
@@ -119,11 +341,17 @@ function genStatic(el: ASTElement, state: CodegenState): string {
   // node.  All pre nodes are static roots, so we can use this as a location to
   // wrap a state change and reset it upon exiting the pre node.
   const originalPreState = state.pre;
+  const originalStaticState = state.inStatic;
   if (el.pre) {
     state.pre = el.pre;
   }
-  state.staticRenderFns.push(`with(this){return ${genElement(el, state)}}`);
+  // static trees are cached as a whole and skipped when patching
+  state.inStatic = true;
+  state.staticRenderFns.push(
+    `with(this){return ${state.mark(el, genElement(el, state))}}`
+  );
   state.pre = originalPreState;
+  state.inStatic = originalStaticState;
   return `_m(${state.staticRenderFns.length - 1}${
     el.staticInFor ? ",true" : ""
   })`;
@@ -180,8 +408,10 @@ function genIfConditions(
 
   const condition = conditions.shift();
   if (condition.exp) {
-    return `(${condition.exp})?${genTernaryExp(
-      condition.block
+    // the condition maps to the branch it belongs to
+    return `${state.mark(
+      condition.block,
+      `(${condition.exp})?${genTernaryExp(condition.block)}`
     )}:${genIfConditions(conditions, state, altGen, altEmpty)}`;
   } else {
     return `${genTernaryExp(condition.block)}`;
@@ -290,7 +520,14 @@ export function genData(el: ASTElement, state: CodegenState): string {
   }
   // component v-model
   if (el.model) {
-    data += `model:{value:${el.model.value},callback:${el.model.callback},expression:${el.model.expression}},`;
+    data += `model:${genModel(el.model)},`;
+  }
+  // component v-model:arg
+  if (el.models) {
+    const models = el.models;
+    data += `models:{${Object.keys(models)
+      .map((arg) => `${JSON.stringify(arg)}:${genModel(models[arg])}`)
+      .join(",")}},`;
   }
   // inline-template
   if (el.inlineTemplate) {
@@ -317,6 +554,15 @@ export function genData(el: ASTElement, state: CodegenState): string {
   return data;
 }
 
+function genModel(model: ASTModel): string {
+  return (
+    `{value:${model.value},callback:${model.callback},` +
+    `expression:${model.expression}` +
+    (model.modifiers ? `,modifiers:${model.modifiers}` : "") +
+    `}`
+  );
+}
+
 function genDirectives(el: ASTElement, state: CodegenState): string | void {
   const dirs = el.directives;
   if (!dirs) return;
@@ -549,7 +795,8 @@ function genNode(node: ASTNode, state: CodegenState): string {
   } else if (node.type === 3 && node.isComment) {
     return genComment(node);
   } else {
-    return genText(node);
+    const code = genText(node);
+    return state.mark(node, node.type === 2 ? state.track(code) : code);
   }
 }
 
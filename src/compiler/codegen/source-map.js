@@ -0,0 +1,184 @@
+/* @flow */
+
+import type { CodegenResult } from "./index";
+
+const BASE64_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// generated code is annotated with markers while it is being built, since
+// the position of a node's code is only known once the whole code is joined:
+// \u0000<id>\u0000 opens the code of a node, \u0001 closes it
+// eslint-disable-next-line no-control-regex
+const markerRE = /\u0000(\d+)\u0000|\u0001/g;
+const lineBreakRE = /\r\n?|\n|\u2028|\u2029/g;
+
+/*
+  # Base64 VLQ 编码，source map v3 的 mappings 字段使用此编码
+*/
+function encodeVLQ(value: number): string {
+  let vlq = value < 0 ? (-value << 1) + 1 : value << 1;
+  let res = "";
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) {
+      digit |= 32;
+    }
+    res += BASE64_CHARS[digit];
+  } while (vlq > 0);
+  return res;
+}
+
+function getLineStarts(str: string): Array<number> {
+  const starts = [0];
+  let match;
+  lineBreakRE.lastIndex = 0;
+  while ((match = lineBreakRE.exec(str))) {
+    starts.push(match.index + match[0].length);
+  }
+  return starts;
+}
+
+/*
+  # 将生成的渲染代码映射回模版中的位置，节点的位置来自 parser 在
+  # outputSourceRange 下记录的 start
+*/
+export class SourceMapGenerator {
+  source: string;
+  filename: string;
+  offset: number;
+  lineStarts: Array<number>;
+  positions: Array<number>;
+
+  constructor(source: string, filename?: string) {
+    this.source = source;
+    this.filename = filename || "template.html";
+    // node ranges are relative to the trimmed template
+    // $flow-disable-line
+    this.offset = source.match(/^\s*/)[0].length;
+    this.lineStarts = getLineStarts(source);
+    this.positions = [];
+  }
+
+  mark(node: ASTNode, code: string): string {
+    if (node.start == null) {
+      return code;
+    }
+    const id = this.positions.push(node.start + this.offset) - 1;
+    return `\u0000${id}\u0000${code}\u0001`;
+  }
+
+  // strip the markers off the code and encode their positions
+  resolve(code: string): { code: string, map: SourceMap } {
+    const lines = [[]];
+    const stack = [];
+    let res = "";
+    let column = 0;
+    let last = 0;
+    let match;
+
+    const advance = (text: string) => {
+      const starts = getLineStarts(text);
+      for (let i = 1; i < starts.length; i++) {
+        lines.push([]);
+      }
+      column =
+        starts.length > 1
+          ? text.length - starts[starts.length - 1]
+          : column + text.length;
+      res += text;
+    };
+
+    const addMapping = (pos: number) => {
+      const segments = lines[lines.length - 1];
+      const prev = segments[segments.length - 1];
+      // a later mapping at the same column wins
+      if (prev && prev[0] === column) {
+        segments.pop();
+      }
+      segments.push([column, pos]);
+    };
+
+    markerRE.lastIndex = 0;
+    while ((match = markerRE.exec(code))) {
+      advance(code.slice(last, match.index));
+      last = match.index + match[0].length;
+      if (match[1] !== undefined) {
+        const pos = this.positions[Number(match[1])];
+        stack.push(pos);
+        addMapping(pos);
+      } else {
+        stack.pop();
+        // continue with the enclosing node
+        if (stack.length) {
+          addMapping(stack[stack.length - 1]);
+        }
+      }
+    }
+    advance(code.slice(last));
+
+    return {
+      code: res,
+      map: {
+        version: 3,
+        sources: [this.filename],
+        sourcesContent: [this.source],
+        names: [],
+        mappings: this.encode(lines),
+      },
+    };
+  }
+
+  encode(lines: Array<Array<[number, number]>>): string {
+    let prevLine = 0;
+    let prevColumn = 0;
+    return lines
+      .map((segments) => {
+        let prevGenerated = 0;
+        return segments
+          .map(([generated, pos]) => {
+            const line = this.getLine(pos);
+            const column = pos - this.lineStarts[line];
+            const segment =
+              encodeVLQ(generated - prevGenerated) +
+              encodeVLQ(0) +
+              encodeVLQ(line - prevLine) +
+              encodeVLQ(column - prevColumn);
+            prevGenerated = generated;
+            prevLine = line;
+            prevColumn = column;
+            return segment;
+          })
+          .join(",");
+      })
+      .join(";");
+  }
+
+  getLine(pos: number): number {
+    const starts = this.lineStarts;
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= pos) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  apply(result: CodegenResult): CodegenResult {
+    const render = this.resolve(result.render);
+    const staticRenderFns = result.staticRenderFns.map((code) =>
+      this.resolve(code)
+    );
+    return {
+      render: render.code,
+      staticRenderFns: staticRenderFns.map((res) => res.code),
+      map: render.map,
+      staticRenderFnMaps: staticRenderFns.map((res) => res.map),
+    };
+  }
+}
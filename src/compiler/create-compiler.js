@@ -90,6 +90,13 @@ export function createCompilerCreator(baseCompile: Function): Function {
 
       finalOptions.warn = warn;
 
+      /*
+        # source map 中记录完整的模版，节点的位置相对于去掉首尾空白的模版
+      */
+      if (finalOptions.sourceMap) {
+        finalOptions.source = template;
+      }
+
       const compiled = baseCompile(template.trim(), finalOptions);
       if (process.env.NODE_ENV !== "production") {
         detectErrors(compiled.ast, warn);
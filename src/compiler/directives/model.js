@@ -1,12 +1,17 @@
 /* @flow */
 
+import { camelize } from 'shared/util'
+
 /**
- * Cross-platform code generation for component v-model
+ * Cross-platform code generation for component v-model.
+ * v-model:arg binds the arg prop and listens for "update:arg", modifiers
+ * are passed along so the child can receive them as a prop.
  */
 export function genComponentModel (
   el: ASTElement,
   value: string,
-  modifiers: ?ASTModifiers
+  modifiers: ?ASTModifiers,
+  arg?: ?string
 ): ?boolean {
   const { number, trim } = modifiers || {}
 
@@ -23,11 +28,19 @@ export function genComponentModel (
   }
   const assignment = genAssignmentCode(value, valueExpression)
 
-  el.model = {
+  const model: ASTModel = {
     value: `(${value})`,
     expression: JSON.stringify(value),
     callback: `function (${baseValueExpression}) {${assignment}}`
   }
+  if (modifiers && Object.keys(modifiers).length) {
+    model.modifiers = JSON.stringify(modifiers)
+  }
+  if (arg) {
+    (el.models || (el.models = {}))[camelize(arg)] = model
+  } else {
+    el.model = model
+  }
 }
 
 /**
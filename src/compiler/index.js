@@ -46,5 +46,7 @@ export const createCompiler = createCompilerCreator(function baseCompile(
     ast,
     render: code.render,
     staticRenderFns: code.staticRenderFns,
+    map: code.map,
+    staticRenderFnMaps: code.staticRenderFnMaps,
   };
 });
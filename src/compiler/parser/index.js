@@ -135,6 +135,10 @@ export function parse(
   let inVPre = false;
   let inPre = false;
   let warned = false;
+  // source maps need the node positions in production as well
+  const recordRange =
+    (process.env.NODE_ENV !== "production" && options.outputSourceRange) ||
+    options.sourceMap;
 
   function warnOnce(msg, range) {
     if (!warned) {
@@ -336,10 +340,12 @@ export function parse(
       /*
         # 这段在非生产环境下会走，在 ast 对象上添加 一些 属性，比如 start、end
       */
+      if (recordRange) {
+        element.start = start;
+        element.end = end;
+      }
       if (process.env.NODE_ENV !== "production") {
         if (options.outputSourceRange) {
-          element.start = start;
-          element.end = end;
           element.rawAttrsMap = element.attrsList.reduce((cumulated, attr) => {
             cumulated[attr.name] = attr;
             return cumulated;
@@ -445,7 +451,7 @@ export function parse(
       // pop stack
       stack.length -= 1;
       currentParent = stack[stack.length - 1];
-      if (process.env.NODE_ENV !== "production" && options.outputSourceRange) {
+      if (recordRange) {
         element.end = end;
       }
       closeElement(element);
@@ -544,10 +550,7 @@ export function parse(
           };
         }
         if (child) {
-          if (
-            process.env.NODE_ENV !== "production" &&
-            options.outputSourceRange
-          ) {
+          if (recordRange) {
             child.start = start;
             child.end = end;
           }
@@ -581,10 +584,7 @@ export function parse(
           */
           isComment: true,
         };
-        if (
-          process.env.NODE_ENV !== "production" &&
-          options.outputSourceRange
-        ) {
+        if (recordRange) {
           /*
             # 记录节点的开始索引和结束索引
           */
@@ -9,7 +9,28 @@ type CompiledFunctionResult = {
   staticRenderFns: Array<Function>,
 };
 
-function createFunction(code, errors) {
+function toBase64(str: string): string {
+  return typeof btoa !== "undefined"
+    ? btoa(unescape(encodeURIComponent(str)))
+    : Buffer.from(str).toString("base64");
+}
+
+// the body of a `new Function` starts on the third line of its source:
+// "function anonymous(\n) {\n" + body + "\n}"
+function inlineSourceMap(map: SourceMap): string {
+  const json = JSON.stringify(
+    extend(extend({}, map), { mappings: `;;${map.mappings}` })
+  );
+  return (
+    "\n//# sourceMappingURL=data:application/json;charset=utf-8;base64," +
+    toBase64(json)
+  );
+}
+
+function createFunction(code, errors, map?: SourceMap) {
+  if (map) {
+    code += inlineSourceMap(map);
+  }
   try {
     return new Function(code);
   } catch (err) {
@@ -61,9 +82,13 @@ export function createCompileToFunctionFn(compile: Function): Function {
     /*
       # 如果有缓存，则跳过编译，直接从缓存中获取上次编译的结果
     */
-    const key = options.delimiters
+    let key = options.delimiters
       ? String(options.delimiters) + template
       : template;
+    if (options.sourceMap) {
+      // # 生成 source map 的编译结果不同，单独缓存
+      key = `sourceMap:${options.filename || ""}:${key}`;
+    }
     if (cache[key]) {
       return cache[key];
     }
@@ -109,9 +134,10 @@ export function createCompileToFunctionFn(compile: Function): Function {
     // turn code into functions
     const res = {};
     const fnGenErrors = [];
-    res.render = createFunction(compiled.render, fnGenErrors);
-    res.staticRenderFns = compiled.staticRenderFns.map((code) => {
-      return createFunction(code, fnGenErrors);
+    const maps = compiled.staticRenderFnMaps || [];
+    res.render = createFunction(compiled.render, fnGenErrors, compiled.map);
+    res.staticRenderFns = compiled.staticRenderFns.map((code, i) => {
+      return createFunction(code, fnGenErrors, maps[i]);
     });
 
     // check function generation errors.
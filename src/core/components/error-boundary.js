@@ -0,0 +1,87 @@
+/* @flow */
+
+import { warn, isPrimitive } from 'core/util/index'
+import { isAsyncPlaceholder } from 'core/vdom/helpers/index'
+
+/*
+  # 错误边界：捕获子孙组件在渲染、生命周期钩子、watcher 回调和事件处理函数中抛出的错误（包括异步错误），
+  # 出错后渲染 fallback 作用域插槽，插槽参数为 { error, info, reset }，调用 reset() 会重新创建默认插槽的内容
+  # 它是抽象组件，不在子组件的 $parent 链上，由 handleError 通过 vm._errorBoundary 找到
+*/
+
+function isRenderable (c: VNode): boolean {
+  return !!(c.tag || isAsyncPlaceholder(c) || (c.text && c.text.trim()))
+}
+
+export default {
+  name: 'error-boundary',
+  abstract: true,
+  errorBoundary: true,
+  emits: ['error'],
+
+  data () {
+    return {
+      error: null,
+      info: null
+    }
+  },
+
+  methods: {
+    /**
+     * Called by handleError for errors thrown below this boundary.
+     * Returns false when the error should keep propagating.
+     */
+    captureError (err: Error, vm: Component, info: string): boolean {
+      // errors thrown while the fallback is shown go to the outer boundary
+      if (this.error) {
+        return false
+      }
+      this.error = err
+      this.info = info
+      this.$emit('error', err, vm, info)
+      return true
+    },
+
+    reset () {
+      this.error = null
+      this.info = null
+    }
+  },
+
+  render () {
+    const slots = this.$scopedSlots
+    let children
+    if (this.error) {
+      children = slots.fallback && slots.fallback({
+        error: this.error,
+        info: this.info,
+        reset: this.reset
+      })
+    } else {
+      children = slots.default && slots.default()
+    }
+    children = children && children.filter(isRenderable)
+    if (!children || !children.length) {
+      return
+    }
+
+    // warn multiple elements
+    if (process.env.NODE_ENV !== 'production' && children.length > 1) {
+      warn(
+        '<error-boundary> can only be used on a single element. Use a ' +
+        'wrapper element for multiple elements.',
+        this.$parent
+      )
+    }
+    const child: VNode = children[0]
+    // give the default content and the fallback different keys so that
+    // switching between them (and retrying) creates fresh instances
+    const id: string = `__error-boundary-${this._uid}-${this.error ? 'fallback' : 'default'}-`
+    child.key = child.key == null
+      ? id + (child.tag || 'text')
+      : isPrimitive(child.key)
+        ? (String(child.key).indexOf(id) === 0 ? child.key : id + child.key)
+        : child.key
+    return child
+  }
+}
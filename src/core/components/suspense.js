@@ -0,0 +1,236 @@
+/* @flow */
+
+import {
+  warn,
+  once,
+  isTrue,
+  noop,
+  nextTick,
+  isPromise,
+  invokeWithErrorHandling
+} from 'core/util/index'
+import { isAsyncPlaceholder, onAsyncComponentSettled } from 'core/vdom/helpers/index'
+import { createComponentInstanceForVnode } from 'core/vdom/create-component'
+
+/*
+  # <suspense>：等待默认插槽中所有的异步组件（以及组件的 serverPrefetch 钩子）完成后再一起展示，
+  # 等待期间展示 fallback 插槽
+  # 默认内容先被挂载到一个不在文档中的组件实例（suspense-content）上，然后收集其中还未加载完成的异步组件，
+  # 异步组件加载完成后重新收集（加载出的组件中可能还有异步组件），
+  # 全部完成后，像 keep-alive 一样把这个实例直接插入到文档中，不会重新创建组件
+  # 事件：pending（进入等待）、fallback（展示 fallback）、resolve（展示默认内容）
+*/
+
+type SuspenseState = 'init' | 'pending' | 'ready' | 'resolved';
+
+function isRenderable (c: VNode): boolean {
+  return !!(c.tag || isAsyncPlaceholder(c) || (c.text && c.text.trim()))
+}
+
+function collectAsyncFactories (vnode: ?VNode, res: Array<Function>) {
+  if (!vnode) {
+    return
+  }
+  // also covers async components that currently render their loading component
+  const factory = vnode.asyncFactory
+  if (factory && !isTrue(factory.settled)) {
+    res.push(factory)
+  }
+  if (vnode.componentInstance) {
+    collectAsyncFactories(vnode.componentInstance._vnode, res)
+  }
+  const children = vnode.children
+  if (children) {
+    for (let i = 0; i < children.length; i++) {
+      collectAsyncFactories(children[i], res)
+    }
+  }
+}
+
+function getSingleChild (children: ?Array<VNode>, vm: Component): ?VNode {
+  children = children && children.filter(isRenderable)
+  if (!children || !children.length) {
+    return
+  }
+  // warn multiple elements
+  if (process.env.NODE_ENV !== 'production' && children.length > 1) {
+    warn(
+      '<suspense> can only be used on a single element. Use a wrapper ' +
+      'element for multiple elements.',
+      vm
+    )
+  }
+  return children[0]
+}
+
+// renders the default slot of the owning <suspense>
+const SuspenseContent = {
+  name: 'suspense-content',
+  abstract: true,
+
+  render () {
+    const slot = this.$scopedSlots.default
+    return getSingleChild(slot && slot(), this.$parent)
+  }
+}
+
+/**
+ * Invoke the serverPrefetch hooks of a component created in the default
+ * content of a <suspense> on the client. The suspense waits for the
+ * returned promises while it is pending.
+ */
+export function prefetchInSuspense (vm: Component) {
+  const suspense: any = vm._suspense
+  const hooks = vm.$options.serverPrefetch
+  if (!suspense || !hooks) {
+    return
+  }
+  const promises = []
+  for (let i = 0; i < hooks.length; i++) {
+    const res = invokeWithErrorHandling(hooks[i], vm, null, vm, 'serverPrefetch hook')
+    if (isPromise(res)) {
+      promises.push(res)
+    }
+  }
+  if (promises.length) {
+    const settle = suspense.register()
+    Promise.all(promises).then(settle, settle)
+  }
+}
+
+export default {
+  name: 'suspense',
+  abstract: true,
+  emits: ['pending', 'fallback', 'resolve'],
+
+  created () {
+    this._state = ('init': SuspenseState)
+    this._deps = 0
+    this._factories = []
+    this._content = null
+    this._contentVnode = null
+    this._announced = null
+  },
+
+  destroyed () {
+    // the off-screen content is not part of the rendered tree while pending
+    if (this._content) {
+      this._content.$destroy()
+    }
+  },
+
+  mounted () {
+    this.announce()
+  },
+
+  updated () {
+    this.announce()
+  },
+
+  methods: {
+    /**
+     * Register an async dependency of the default content. Returns a
+     * callback to invoke once it settled.
+     */
+    register (): Function {
+      if (this._state !== 'init' && this._state !== 'pending') {
+        return noop
+      }
+      this._deps++
+      return once(() => {
+        this._deps--
+        // wait for the re-renders triggered by the settled dependency,
+        // which may add more dependencies
+        nextTick(() => {
+          if (this._state === 'pending') {
+            this.collect()
+            if (this._deps === 0) {
+              this._state = 'ready'
+              this.$forceUpdate()
+            }
+          }
+        })
+      })
+    },
+
+    /**
+     * Wait for the unresolved async components in the off-screen content.
+     */
+    collect () {
+      const factories = []
+      collectAsyncFactories(this._content && this._content._vnode, factories)
+      for (let i = 0; i < factories.length; i++) {
+        const factory = factories[i]
+        if (this._factories.indexOf(factory) < 0) {
+          this._factories.push(factory)
+          onAsyncComponentSettled(factory, this.register())
+        }
+      }
+    },
+
+    announce () {
+      const shown = this._state === 'resolved' ? 'resolve' : 'fallback'
+      if (shown === this._announced) {
+        return
+      }
+      this._announced = shown
+      if (shown === 'fallback') {
+        this.$emit('pending')
+      } else if (this._vnode && this._vnode.data) {
+        // the content vnode was inserted like a kept-alive one, later
+        // patches should treat it as a regular component
+        this._vnode.data.keepAlive = false
+      }
+      this.$emit(shown)
+    }
+  },
+
+  render (h: Function) {
+    const slots = this.$scopedSlots
+    // the content reads the latest default slot whenever it re-renders
+    const createContent = () => h(SuspenseContent, {
+      scopedSlots: {
+        default: props => {
+          const slot = this.$scopedSlots.default
+          return slot && slot(props)
+        }
+      }
+    })
+
+    if (this._state === 'resolved') {
+      return createContent()
+    }
+
+    if (this._state === 'init') {
+      // nothing to wait for during server rendering, and when hydrating the
+      // server rendered content is already in the DOM
+      if (this.$isServer || this.$el) {
+        this._state = 'resolved'
+        return createContent()
+      }
+      // mount the default content off-screen to collect its async deps
+      const vnode = this._contentVnode = createContent()
+      const content = this._content = createComponentInstanceForVnode(vnode, this)
+      vnode.componentInstance = content
+      content._suspense = this
+      // prevent activated hooks when the content is inserted
+      content._inactive = false
+      content.$mount()
+      this.collect()
+      this._state = this._deps ? 'pending' : 'ready'
+    } else if (this._state === 'pending' && this._content) {
+      this._content.$forceUpdate()
+    }
+
+    if (this._state === 'ready') {
+      // insert the off-screen instance as is, see componentVNodeHooks.init
+      const vnode = this._contentVnode
+      this._contentVnode = null
+      this._state = 'resolved'
+      vnode.data.keepAlive = true
+      return vnode
+    }
+
+    return getSingleChild(slots.fallback && slots.fallback(), this)
+  }
+}
@@ -16,7 +16,7 @@ export type Config = {
   performance: boolean;
   devtools: boolean;
   errorHandler: ?(err: Error, vm: Component, info: string) => void;
-  warnHandler: ?(msg: string, vm: Component, trace: string) => void;
+  warnHandler: ?(msg: string, vm: Component, trace: string, report?: Object) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
 
@@ -28,6 +28,14 @@ export type Config = {
   getTagNamespace: (x?: string) => string | void;
   mustUseProp: (tag: string, type: ?string, name: string) => boolean;
 
+  reactivityMode: 'defineProperty' | 'proxy';
+  arrayProxy: boolean;
+  maxUpdateCount: number;
+  timeSlicing: boolean;
+  frameBudget: number;
+  hydrationMismatchHandler: ?(mismatch: HydrationMismatch, vm: ?Component) => void;
+  hydrationRecovery: 'full' | 'partial';
+
   // private
   async: boolean;
 
@@ -117,6 +125,52 @@ export default ({
    */
   mustUseProp: no,
 
+  /**
+   * How newly observed objects are made reactive. 'proxy' wraps them in
+   * an ES2015 Proxy so that added/deleted keys, array index assignment
+   * and length changes are detected. Falls back to getter/setters in
+   * environments without native Proxy support.
+   */
+  reactivityMode: 'defineProperty',
+
+  /**
+   * In 'defineProperty' mode, observe arrays through a Proxy where
+   * supported, so that index assignment and length changes are detected
+   * without Vue.set. Objects keep using getter/setters.
+   */
+  arrayProxy: false,
+
+  /**
+   * How many times a watcher may be re-queued within a single flush before
+   * it is reported as an infinite update loop (dev only).
+   */
+  maxUpdateCount: 100,
+
+  /**
+   * Flush the update queue cooperatively: once `frameBudget` milliseconds
+   * have been spent in a flush, yield to the browser before running the
+   * remaining watchers. Watchers triggered by user input run first.
+   */
+  timeSlicing: false,
+
+  /**
+   * Time budget (in milliseconds) of a single slice of a time-sliced flush.
+   */
+  frameBudget: 5,
+
+  /**
+   * Receives a report for every difference found between server-rendered
+   * markup and the client virtual DOM during hydration.
+   */
+  hydrationMismatchHandler: null,
+
+  /**
+   * How to recover from structural hydration mismatches. 'full' discards
+   * the server-rendered tree of the component and renders it again, while
+   * 'partial' only re-renders the mismatching nodes.
+   */
+  hydrationRecovery: 'full',
+
   /**
    * Perform updates asynchronously. Intended to be used by Vue Test Utils
    * This will significantly reduce performance if set to false.
@@ -0,0 +1,136 @@
+/* @flow */
+
+import { warn, extend, isPlainObject } from "../util/index";
+
+/*
+  # 定义 Vue.createApp，创建相互隔离的应用实例
+  # 每个应用基于 Vue.extend 得到自己的基础构造函数，use/mixin/component/directive
+  # 只注册到该构造函数上，不会影响全局的 Vue 以及其他应用
+*/
+export function initCreateApp(Vue: GlobalAPI) {
+  Vue.createApp = function (rootOptions?: Object): AppInstance {
+    if (
+      process.env.NODE_ENV !== "production" &&
+      rootOptions != null &&
+      !isPlainObject(rootOptions)
+    ) {
+      warn("createApp() expects a plain object of root component options.");
+      rootOptions = undefined;
+    }
+    // # 应用的基础构造函数，子组件通过 options._base 基于它进行扩展
+    const App = this.extend({});
+    const installedPlugins = [];
+    let rootVm = null;
+
+    const app: AppInstance = {
+      // # 应用中没有的配置项读取全局的 Vue.config；对象、数组类型的配置项复制一份，
+      // # 修改时不会影响全局以及其他应用
+      config: extend(Object.create(Vue.config), {
+        errorHandler: null,
+        warnHandler: null,
+        globalProperties: {},
+        optionMergeStrategies: extend({}, Vue.config.optionMergeStrategies),
+        ignoredElements: Vue.config.ignoredElements.slice(),
+        keyCodes: extend({}, Vue.config.keyCodes),
+      }),
+      _provides: Object.create(null),
+
+      // # 把应用当作 Vue 构造函数使用的 Vue 2 风格插件会用到的 API，
+      // # prototype、extend、filter 作用于应用的基础构造函数
+      prototype: App.prototype,
+      util: Vue.util,
+      version: Vue.version,
+      set: Vue.set,
+      delete: Vue.delete,
+      nextTick: Vue.nextTick,
+      observable: Vue.observable,
+
+      extend(extendOptions: Object): Function {
+        return App.extend(extendOptions);
+      },
+
+      filter(id: string, definition?: Function): any {
+        if (!definition) {
+          return App.filter(id);
+        }
+        App.filter(id, definition);
+        return app;
+      },
+
+      use(plugin: Function | Object, ...options: Array<any>) {
+        if (installedPlugins.indexOf(plugin) > -1) {
+          return app;
+        }
+        if (plugin && typeof plugin.install === "function") {
+          plugin.install(app, ...options);
+        } else if (typeof plugin === "function") {
+          plugin(app, ...options);
+        }
+        installedPlugins.push(plugin);
+        return app;
+      },
+
+      mixin(mixin: Object) {
+        App.mixin(mixin);
+        return app;
+      },
+
+      component(id: string, definition?: Function | Object): any {
+        if (!definition) {
+          return App.component(id);
+        }
+        App.component(id, definition);
+        return app;
+      },
+
+      directive(id: string, definition?: Function | Object): any {
+        if (!definition) {
+          return App.directive(id);
+        }
+        App.directive(id, definition);
+        return app;
+      },
+
+      // # 应用级别的 provide，应用内的所有组件（包括根组件）都可以注入
+      provide(key: any, value: any) {
+        app._provides[key] = value;
+        return app;
+      },
+
+      mount(el?: string | Element, hydrating?: boolean): Component {
+        if (rootVm) {
+          process.env.NODE_ENV !== "production" &&
+            warn(
+              "App has already been mounted. Create a new app instance " +
+                "with createApp() to mount it again."
+            );
+          return rootVm;
+        }
+        // # globalProperties 在挂载时添加到应用构造函数的原型上
+        extend(App.prototype, app.config.globalProperties);
+        rootVm = new App(extend({}, rootOptions));
+        return rootVm.$mount(el, hydrating);
+      },
+
+      unmount() {
+        if (!rootVm) {
+          process.env.NODE_ENV !== "production" &&
+            warn("Cannot unmount an app that is not mounted.");
+          return;
+        }
+        const vm = rootVm;
+        rootVm = null;
+        vm.$destroy();
+        const elm = vm.$el;
+        if (elm && elm.parentNode) {
+          elm.parentNode.removeChild(elm);
+        }
+      },
+    };
+
+    // # 应用内的组件都基于 App 扩展，并且可以通过 $root.$options._app 找到所属的应用
+    App.options._base = App;
+    App.options._app = app;
+    return app;
+  };
+}
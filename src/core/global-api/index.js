@@ -5,10 +5,40 @@ import { initUse } from "./use";
 import { initMixin } from "./mixin";
 import { initExtend } from "./extend";
 import { initAssetRegisters } from "./assets";
+import { initCreateApp } from "./app";
 import { set, del } from "../observer/index";
 import { ASSET_TYPES } from "shared/constants";
 import builtInComponents from "../components/index";
 import { observe } from "core/observer/index";
+import { effectScope } from "core/observer/effect-scope";
+import { batch, untracked } from "core/observer/dep";
+import {
+  reactive,
+  shallowReactive,
+  readonly,
+  shallowReadonly,
+  isReadonly,
+  ref,
+  isRef,
+  unref,
+  computed,
+  watchEffect,
+} from "core/observer/reactivity";
+import {
+  getCurrentInstance,
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onServerPrefetch,
+  onRenderTracked,
+  onRenderTriggered,
+} from "core/instance/setup";
 
 import {
   warn,
@@ -23,8 +53,13 @@ import {
   #   默认配置：Vue.config
   #   工具方法：Vue.util.xx
   #   Vue.set、Vue.delete、Vue.nextTick、Vue.observable
+  #   Vue.reactive、Vue.shallowReactive、Vue.readonly、Vue.shallowReadonly
+  #   Vue.ref、Vue.computed、Vue.watchEffect、Vue.effectScope
+  #   Vue.batch、Vue.untracked
+  #   Vue.getCurrentInstance、Vue.onMounted 等生命周期注册函数（在 setup() 中使用）
   #   Vue.options.components、Vue.options.directives、Vue.options.filters、Vue.options._base
   #   Vue.use、Vue.extend、Vue.mixin、Vue.component、Vue.directive、Vue.filter
+  #   Vue.createApp
 */
 export function initGlobalAPI(Vue: GlobalAPI) {
   // config
@@ -57,10 +92,41 @@ export function initGlobalAPI(Vue: GlobalAPI) {
 
   // 2.6 explicit observable API
   Vue.observable = <T>(obj: T): T => {
-    observe(obj);
-    return obj;
+    const ob = observe(obj);
+    // # proxy 模式下返回代理对象
+    return ob && ob.proxy ? ob.proxy : obj;
   };
 
+  // # 独立的响应式 API，不需要创建组件实例
+  Vue.reactive = reactive;
+  Vue.shallowReactive = shallowReactive;
+  Vue.readonly = readonly;
+  Vue.shallowReadonly = shallowReadonly;
+  Vue.isReadonly = isReadonly;
+  Vue.ref = ref;
+  Vue.isRef = isRef;
+  Vue.unref = unref;
+  Vue.computed = computed;
+  Vue.watchEffect = watchEffect;
+  Vue.effectScope = effectScope;
+  Vue.batch = batch;
+  Vue.untracked = untracked;
+
+  // # 在 setup() 中注册生命周期钩子
+  Vue.getCurrentInstance = getCurrentInstance;
+  Vue.onBeforeMount = onBeforeMount;
+  Vue.onMounted = onMounted;
+  Vue.onBeforeUpdate = onBeforeUpdate;
+  Vue.onUpdated = onUpdated;
+  Vue.onBeforeUnmount = onBeforeUnmount;
+  Vue.onUnmounted = onUnmounted;
+  Vue.onActivated = onActivated;
+  Vue.onDeactivated = onDeactivated;
+  Vue.onErrorCaptured = onErrorCaptured;
+  Vue.onServerPrefetch = onServerPrefetch;
+  Vue.onRenderTracked = onRenderTracked;
+  Vue.onRenderTriggered = onRenderTriggered;
+
   Vue.options = Object.create(null);
   // # 'component', 'directive', 'filter'
   ASSET_TYPES.forEach((type) => {
@@ -80,4 +146,6 @@ export function initGlobalAPI(Vue: GlobalAPI) {
   initExtend(Vue);
   // # Vue.component/directive/filter
   initAssetRegisters(Vue);
+  // # Vue.createApp
+  initCreateApp(Vue);
 }
@@ -2,7 +2,10 @@
 
 import {
   tip,
+  warn,
+  hasOwn,
   toArray,
+  camelize,
   hyphenate,
   formatComponentName,
   invokeWithErrorHandling,
@@ -39,11 +42,74 @@ function createOnceHandler(event, fn) {
   };
 }
 
+const hookRE = /^hook:/;
+const modifierRE = /^[~!&]+/;
+
+/**
+ * Resolve the key an event is declared with in the emits option. Like
+ * props, camelCase and kebab-case names match each other.
+ */
+function resolveEmitKey(emits: Object, event: string): string | void {
+  if (hasOwn(emits, event)) return event;
+  const camelizedEvent = camelize(event);
+  if (hasOwn(emits, camelizedEvent)) return camelizedEvent;
+  const hyphenatedEvent = hyphenate(event);
+  if (hasOwn(emits, hyphenatedEvent)) return hyphenatedEvent;
+}
+
+/**
+ * Listeners of the parent that are not declared in the emits option,
+ * exposed as $listeners for fall-through.
+ */
+export function getFallthroughListeners(
+  vm: Component,
+  listeners: ?Object
+): ?Object {
+  const emits = vm.$options.emits;
+  if (!emits || !listeners) {
+    return listeners;
+  }
+  const res = {};
+  for (const name in listeners) {
+    if (resolveEmitKey(emits, name.replace(modifierRE, "")) === undefined) {
+      res[name] = listeners[name];
+    }
+  }
+  return res;
+}
+
+// # 父组件监听了未在 emits 中声明的事件时发出警告
+function checkDeclaredListeners(
+  vm: Component,
+  emits: Object,
+  listeners: Object,
+  oldListeners: ?Object
+) {
+  for (const name in listeners) {
+    const event = name.replace(modifierRE, "");
+    if (
+      resolveEmitKey(emits, event) === undefined &&
+      !hookRE.test(event) &&
+      !(oldListeners && name in oldListeners)
+    ) {
+      warn(
+        `Component ${formatComponentName(vm)} is listened to for event ` +
+          `"${event}", which is not declared in its emits option.`,
+        vm
+      );
+    }
+  }
+}
+
 export function updateComponentListeners(
   vm: Component,
   listeners: Object,
   oldListeners: ?Object
 ) {
+  const emits = vm.$options.emits;
+  if (process.env.NODE_ENV !== "production" && emits) {
+    checkDeclaredListeners(vm, emits, listeners, oldListeners);
+  }
   target = vm;
   updateListeners(
     listeners,
@@ -57,8 +123,6 @@ export function updateComponentListeners(
 }
 
 export function eventsMixin(Vue: Class<Component>) {
-  const hookRE = /^hook:/;
-
   Vue.prototype.$on = function (
     event: string | Array<string>,
     fn: Function
@@ -161,6 +225,27 @@ export function eventsMixin(Vue: Class<Component>) {
             )}" instead of "${event}".`
         );
       }
+      const emits = vm.$options.emits;
+      if (emits && !hookRE.test(event)) {
+        // # 校验事件是否已声明以及事件参数
+        const key = resolveEmitKey(emits, event);
+        if (key === undefined) {
+          warn(
+            `Component emitted event "${event}" but it is not declared in ` +
+              `the emits option.`,
+            vm
+          );
+        } else {
+          const validator = emits[key];
+          if (validator && !validator.apply(vm, toArray(arguments, 1))) {
+            warn(
+              `Invalid event arguments: event validation failed for event ` +
+                `"${event}".`,
+              vm
+            );
+          }
+        }
+      }
     }
     let cbs = vm._events[event];
     if (cbs) {
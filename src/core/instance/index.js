@@ -3,6 +3,7 @@ import { stateMixin } from "./state";
 import { renderMixin } from "./render";
 import { eventsMixin } from "./events";
 import { lifecycleMixin } from "./lifecycle";
+import { injectMixin } from "./inject";
 import { warn } from "../util/index";
 
 function Vue(options) {
@@ -54,4 +55,10 @@ lifecycleMixin(Vue);
 */
 renderMixin(Vue);
 
+/*
+  # 定义：
+  #  Vue.prototype.$isProvided
+*/
+injectMixin(Vue);
+
 export default Vue;
@@ -2,12 +2,14 @@
 
 import config from "../config";
 import { initProxy } from "./proxy";
-import { initState } from "./state";
+import { initPropsState, initState } from "./state";
+import { initSetup } from "./setup";
 import { initRender } from "./render";
 import { initEvents } from "./events";
 import { mark, measure } from "../util/perf";
 import { initLifecycle, callHook } from "./lifecycle";
 import { initProvide, initInjections } from "./inject";
+import { prefetchInSuspense } from "../components/suspense";
 import { extend, mergeOptions, formatComponentName } from "../util/index";
 
 let uid = 0;
@@ -60,9 +62,13 @@ export function initMixin(Vue: Class<Component>) {
     initRender(vm);
     callHook(vm, "beforeCreate");
     initInjections(vm); // resolve injections before data/props
-    initState(vm); // # 数据响应式的重点，处理 props、methods、data、computed、watch
+    initPropsState(vm);
+    initSetup(vm); // # setup 在 inject 之后、methods/data/computed 之前执行
+    initState(vm); // # 数据响应式的重点，处理 methods、data、computed、watch
     initProvide(vm); // resolve provide after data/props
     callHook(vm, "created"); // # 至此还未有任何挂载操作，因此不能访问 $el
+    // # <suspense> 默认内容中的组件在客户端也执行 serverPrefetch 钩子
+    prefetchInSuspense(vm);
 
     /* istanbul ignore if */
     if (process.env.NODE_ENV !== "production" && config.performance && mark) {
@@ -1,15 +1,45 @@
 /* @flow */
 
-import { hasOwn } from 'shared/util'
-import { warn, hasSymbol } from '../util/index'
+import Watcher from '../observer/watcher'
+import Dep from '../observer/dep'
+import { hasOwn, noop } from 'shared/util'
+import { warn, hasSymbol, isServerRendering } from '../util/index'
 import { defineReactive, toggleObserving } from '../observer/index'
 
 export function initProvide (vm: Component) {
   const provide = vm.$options.provide
   if (provide) {
-    vm._provided = typeof provide === 'function'
-      ? provide.call(vm)
-      : provide
+    if (
+      vm.$options.reactiveProvide &&
+      typeof provide === 'function' &&
+      !isServerRendering()
+    ) {
+      // # 响应式 provide：provide 函数作为惰性 watcher 求值，依赖变化后重新求值，
+      // # 注入方通过 getter 读取最新的值
+      vm._provideWatcher = new Watcher(vm, provide, noop, { lazy: true })
+    } else {
+      vm._provided = typeof provide === 'function'
+        ? provide.call(vm)
+        : provide
+    }
+  }
+}
+
+export function injectMixin (Vue: Class<Component>) {
+  /**
+   * Check whether an injection key (or a raw provide key) is provided by
+   * an ancestor, as opposed to falling back to its default value.
+   */
+  Vue.prototype.$isProvided = function (key: any): boolean {
+    const vm: Component = this
+    // inject is normalized into the object format by mergeOptions
+    const inject: any = vm.$options.inject
+    const provideKey = inject && hasOwn(inject, key) ? inject[key].from : key
+    if (findProvider(vm.$parent, provideKey)) {
+      return true
+    }
+    const appProvides = getAppProvides(vm)
+    return !!appProvides && hasOwn(appProvides, provideKey)
   }
 }
 
@@ -18,8 +48,12 @@ export function initInjections (vm: Component) {
   if (result) {
     toggleObserving(false)
     Object.keys(result).forEach(key => {
+      const desc = Object.getOwnPropertyDescriptor(result, key)
+      if (desc && desc.get) {
+        // # 绑定到响应式 provide 的注入，直接代理到提供方的值
+        Object.defineProperty(vm, key, desc)
       /* istanbul ignore else */
-      if (process.env.NODE_ENV !== 'production') {
+      } else if (process.env.NODE_ENV !== 'production') {
         defineReactive(vm, key, result[key], () => {
           warn(
             `Avoid mutating an injected value directly since the changes will be ` +
@@ -40,6 +74,7 @@ export function resolveInject (inject: any, vm: Component): ?Object {
   if (inject) {
     // inject is :any because flow is not smart enough to figure out cached
     const result = Object.create(null)
+    const appProvides = getAppProvides(vm)
     const keys = hasSymbol
       ? Reflect.ownKeys(inject)
       : Object.keys(inject)
@@ -49,15 +84,16 @@ export function resolveInject (inject: any, vm: Component): ?Object {
       // #6574 in case the inject object is observed...
       if (key === '__ob__') continue
       const provideKey = inject[key].from
-      let source = vm
-      while (source) {
-        if (source._provided && hasOwn(source._provided, provideKey)) {
-          result[key] = source._provided[provideKey]
-          break
+      const source = findProvider(vm, provideKey)
+      if (source) {
+        if (source._provideWatcher) {
+          defineLiveInjection(result, key, source, provideKey, vm)
+        } else {
+          result[key] = (source._provided: any)[provideKey]
         }
-        source = source.$parent
-      }
-      if (!source) {
+      } else if (appProvides && hasOwn(appProvides, provideKey)) {
+        result[key] = appProvides[provideKey]
+      } else {
         if ('default' in inject[key]) {
           const provideDefault = inject[key].default
           result[key] = typeof provideDefault === 'function'
@@ -71,3 +107,65 @@ export function resolveInject (inject: any, vm: Component): ?Object {
     return result
   }
 }
+
+// provides of the app created with Vue.createApp()
+function getAppProvides (vm: Component): ?Object {
+  const app = vm.$root && vm.$root.$options._app
+  return app && app._provides
+}
+
+function findProvider (vm: ?Component, provideKey: any): ?Component {
+  let source = vm
+  while (source) {
+    const provided = getProvided(source)
+    if (provided && hasOwn(provided, provideKey)) {
+      return source
+    }
+    source = source.$parent
+  }
+}
+
+function getProvided (source: Component, track?: boolean): ?Object {
+  const watcher = source._provideWatcher
+  if (!watcher) {
+    return source._provided
+  }
+  if (watcher.dirty) {
+    watcher.evaluate()
+  }
+  if (track && Dep.target) {
+    watcher.depend()
+  }
+  return watcher.value
+}
+
+/**
+ * Bind an injection to the live value of a reactive provider. Reads are
+ * tracked, writes are ignored.
+ */
+function defineLiveInjection (
+  result: Object,
+  key: any,
+  source: Component,
+  provideKey: any,
+  vm: Component
+) {
+  // flow has problems with directly declared definition objects
+  const injectionDef = {}
+  injectionDef.enumerable = true
+  injectionDef.configurable = true
+  injectionDef.get = () => {
+    const provided = getProvided(source, true)
+    return provided ? provided[provideKey] : undefined
+  }
+  injectionDef.set = () => {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(
+        `Avoid mutating injected value "${String(key)}": it is bound to the ` +
+        `value provided by an ancestor component and is read-only.`,
+        vm
+      )
+    }
+  }
+  Object.defineProperty(result, key, injectionDef)
+}
@@ -4,7 +4,7 @@ import config from "../config";
 import Watcher from "../observer/watcher";
 import { mark, measure } from "../util/perf";
 import { createEmptyVNode } from "../vdom/vnode";
-import { updateComponentListeners } from "./events";
+import { updateComponentListeners, getFallthroughListeners } from "./events";
 import { resolveSlots } from "./render-helpers/resolve-slots";
 import { toggleObserving } from "../observer/index";
 import { pushTarget, popTarget } from "../observer/dep";
@@ -47,6 +47,16 @@ export function initLifecycle(vm: Component) {
   vm.$parent = parent;
   vm.$root = parent ? parent.$root : vm;
 
+  // # 记录最近的错误边界，<error-boundary> 是抽象组件，不会出现在子组件的 $parent 链上
+  const realParent = options.parent;
+  vm._errorBoundary = realParent
+    ? realParent.$options.errorBoundary
+      ? realParent
+      : realParent._errorBoundary
+    : null;
+  // # 所在的 <suspense>，由 suspense 为它离屏挂载的默认内容设置
+  vm._suspense = realParent ? realParent._suspense : null;
+
   // # 在当前实例上初始化一些属性
   vm.$children = [];
   vm.$refs = {};
@@ -86,9 +96,12 @@ export function lifecycleMixin(Vue: Class<Component>) {
     if (vm.$el) {
       vm.$el.__vue__ = vm;
     }
-    // if parent is an HOC, update its $el as well
-    if (vm.$vnode && vm.$parent && vm.$vnode === vm.$parent._vnode) {
-      vm.$parent.$el = vm.$el;
+    // if parent is an HOC, update its $el as well. The HOC may be an
+    // abstract component, which is not the $parent
+    const parentVnode = vm.$vnode && vm.$vnode.parent;
+    const hoc = parentVnode ? parentVnode.componentInstance : vm.$parent;
+    if (vm.$vnode && hoc && vm.$vnode === hoc._vnode) {
+      hoc.$el = vm.$el;
     }
     // updated hook is called by the scheduler to ensure that children are
     // updated in a parent's updated hook.
@@ -113,6 +126,8 @@ export function lifecycleMixin(Vue: Class<Component>) {
     }
     // # 调用 beforeDestroy
     callHook(vm, "beforeDestroy");
+    // # beforeUnmount / unmounted 是 beforeDestroy / destroyed 的别名
+    callHook(vm, "beforeUnmount");
     vm._isBeingDestroyed = true;
     // remove self from parent
     const parent = vm.$parent;
@@ -130,6 +145,10 @@ export function lifecycleMixin(Vue: Class<Component>) {
       // # 清空所有子元素依赖监听
       vm._watchers[i].teardown();
     }
+    // # 销毁 setup 中创建的 watchEffect、computed 等
+    if (vm._scope) {
+      vm._scope.stop();
+    }
     // remove reference from data ob
     // frozen object may not have observer.
     if (vm._data.__ob__) {
@@ -143,6 +162,7 @@ export function lifecycleMixin(Vue: Class<Component>) {
     // fire destroyed hook
     // # 调用 destroyed
     callHook(vm, "destroyed");
+    callHook(vm, "unmounted");
     // turn off all instance listeners.
     // # 移除所有的事件监听
     vm.$off();
@@ -221,17 +241,27 @@ export function mountComponent(
   // we set this to vm._watcher inside the watcher's constructor
   // since the watcher's initial patch may call $forceUpdate (e.g. inside child
   // component's mounted hook), which relies on vm._watcher being already defined
+  const watcherOptions: Object = {
+    before() {
+      if (vm._isMounted && !vm._isDestroyed) {
+        callHook(vm, "beforeUpdate");
+      }
+    },
+  };
+  if (process.env.NODE_ENV !== "production") {
+    // # 开发环境下，渲染 watcher 收集依赖和被触发时调用 renderTracked / renderTriggered
+    if (vm.$options.renderTracked) {
+      watcherOptions.onTrack = (e) => callHook(vm, "renderTracked", [e]);
+    }
+    if (vm.$options.renderTriggered) {
+      watcherOptions.onTrigger = (e) => callHook(vm, "renderTriggered", [e]);
+    }
+  }
   new Watcher(
     vm,
     updateComponent,
     noop,
-    {
-      before() {
-        if (vm._isMounted && !vm._isDestroyed) {
-          callHook(vm, "beforeUpdate");
-        }
-      },
-    },
+    watcherOptions,
     true /* isRenderWatcher */
   );
   hydrating = false;
@@ -241,6 +271,9 @@ export function mountComponent(
   if (vm.$vnode == null) {
     vm._isMounted = true;
     callHook(vm, "mounted");
+    if (vm._hydrated) {
+      callHook(vm, "hydrated");
+    }
   }
   return vm;
 }
@@ -293,7 +326,7 @@ export function updateChildComponent(
   // these are also reactive so they may trigger child update if the child
   // used them during render
   vm.$attrs = parentVnode.data.attrs || emptyObject;
-  vm.$listeners = listeners || emptyObject;
+  vm.$listeners = getFallthroughListeners(vm, listeners) || emptyObject;
 
   // update props
   if (propsData && vm.$options.props) {
@@ -374,7 +407,7 @@ export function deactivateChildComponent(vm: Component, direct?: boolean) {
   # 如果实例设置有对应的 Hook Event
   # 比如：<comp @hook:mounted="method" />，执行完生命周期函数之后，触发该事件的执行
 */
-export function callHook(vm: Component, hook: string) {
+export function callHook(vm: Component, hook: string, args?: Array<any>) {
   // #7573 disable dep collection when invoking lifecycle hooks
   // # 在执行生命周期钩子函数期间禁止依赖收集
   pushTarget();
@@ -385,7 +418,7 @@ export function callHook(vm: Component, hook: string) {
   if (handlers) {
     for (let i = 0, j = handlers.length; i < j; i++) {
       // # 通过 invokeWithErrorHandler 执行生命周期钩子
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info);
+      invokeWithErrorHandling(handlers[i], vm, args || null, vm, info);
     }
   }
 
@@ -11,6 +11,14 @@ function isKeyNotMatch<T> (expect: T | Array<T>, actual: T): boolean {
   }
 }
 
+// key codes of the app the rendering component belongs to, the render
+// context of functional components refers to the instance by parent
+function getKeyCodes (ctx: any): Object {
+  const vm = ctx && (ctx._isVue ? ctx : ctx.parent)
+  const app = vm && vm.$root.$options._app
+  return app ? app.config.keyCodes : config.keyCodes
+}
+
 /**
  * Runtime helper for checking keyCodes from config.
  * exposed as Vue.prototype._k
@@ -23,8 +31,9 @@ export function checkKeyCodes (
   eventKeyName?: string,
   builtInKeyName?: string | Array<string>
 ): ?boolean {
-  const mappedKeyCode = config.keyCodes[key] || builtInKeyCode
-  if (builtInKeyName && eventKeyName && !config.keyCodes[key]) {
+  const keyCodes = getKeyCodes(this)
+  const mappedKeyCode = keyCodes[key] || builtInKeyCode
+  if (builtInKeyName && eventKeyName && !keyCodes[key]) {
     return isKeyNotMatch(builtInKeyName, eventKeyName)
   } else if (mappedKeyCode) {
     return isKeyNotMatch(mappedKeyCode, eventKeyCode)
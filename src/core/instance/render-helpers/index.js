@@ -7,7 +7,8 @@ import { renderSlot } from "./render-slot";
 import { resolveFilter } from "./resolve-filter";
 import { checkKeyCodes } from "./check-keycodes";
 import { bindObjectProps } from "./bind-object-props";
-import { renderStatic, markOnce } from "./render-static";
+import { renderStatic, renderHoisted, markOnce } from "./render-static";
+import { openBlock, trackBlockNode, closeBlock } from "./render-block";
 import { bindObjectListeners } from "./bind-object-listeners";
 import { resolveScopedSlots } from "./resolve-scoped-slots";
 import { bindDynamicKeys, prependModifier } from "./bind-dynamic-keys";
@@ -22,6 +23,10 @@ export function installRenderHelpers(target: any) {
   target._q = looseEqual;
   target._i = looseIndexOf;
   target._m = renderStatic;
+  target._h = renderHoisted;
+  target._a = openBlock;
+  target._x = trackBlockNode;
+  target._z = closeBlock;
   target._f = resolveFilter;
   target._k = checkKeyCodes;
   target._b = bindObjectProps;
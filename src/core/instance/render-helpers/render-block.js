@@ -0,0 +1,47 @@
+/* @flow */
+
+// dynamic descendants of the blocks being rendered
+const blockStack: Array<Array<VNode>> = []
+
+/**
+ * Runtime helper for opening a block: a compiled element whose
+ * children have the same structure in every render.
+ */
+export function openBlock () {
+  blockStack.push([])
+}
+
+/**
+ * Runtime helper for adding a vnode that has to be patched
+ * to the open block.
+ */
+export function trackBlockNode (vnode: VNode): VNode {
+  const nodes = blockStack[blockStack.length - 1]
+  if (nodes) {
+    nodes.push(vnode)
+  }
+  return vnode
+}
+
+/**
+ * Runtime helper for closing the open block on its root vnode.
+ * The block object is the same in every render, the patch only
+ * diffs the dynamic descendants of vnodes of the same block.
+ */
+export function closeBlock (vnode: VNode, block: Object): VNode {
+  const nodes = blockStack.pop()
+  if (vnode.tag) {
+    vnode.block = block
+    vnode.dynamicChildren = nodes
+  }
+  return vnode
+}
+
+export function getBlockDepth (): number {
+  return blockStack.length
+}
+
+// drop the blocks left open by a render that threw
+export function resetBlocks (depth: number) {
+  blockStack.length = depth
+}
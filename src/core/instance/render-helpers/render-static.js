@@ -24,6 +24,19 @@ export function renderStatic (
   return tree
 }
 
+/**
+ * Runtime helper for values hoisted out of render by the compiler.
+ * They are shared by every instance rendered from the same compiled
+ * template, so they are cached on the function that creates them.
+ */
+export function renderHoisted (index: number): any {
+  const fn: any = this.$options.staticRenderFns[index]
+  if (!fn._hoisted) {
+    fn._hoisted = fn.call(this._renderProxy, null, this)
+  }
+  return fn._hoisted
+}
+
 /**
  * Runtime helper for v-once.
  * Effectively it means marking the node as static with a unique key.
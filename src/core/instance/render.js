@@ -11,10 +11,13 @@ import {
 import { createElement } from "../vdom/create-element";
 import { installRenderHelpers } from "./render-helpers/index";
 import { resolveSlots } from "./render-helpers/resolve-slots";
+import { getBlockDepth, resetBlocks } from "./render-helpers/render-block";
 import { normalizeScopedSlots } from "../vdom/helpers/normalize-scoped-slots";
-import VNode, { createEmptyVNode } from "../vdom/vnode";
+import VNode, { createEmptyVNode, createFragmentVNode } from "../vdom/vnode";
+import { normalizeChildren } from "../vdom/helpers/normalize-children";
 
 import { isUpdatingChildComponent } from "./lifecycle";
+import { getFallthroughListeners } from "./events";
 
 export function initRender(vm: Component) {
   vm._vnode = null; // the root of the child tree
@@ -27,9 +30,9 @@ export function initRender(vm: Component) {
   vm.$scopedSlots = emptyObject;
   // bind the createElement fn to this instance
   // so that we get proper render context inside it.
-  // args order: tag, data, children, normalizationType, alwaysNormalize
+  // args order: tag, data, children, normalizationType, alwaysNormalize, shape
   // internal version is used by render functions compiled from templates
-  vm._c = (a, b, c, d) => createElement(vm, a, b, c, d, false);
+  vm._c = (a, b, c, d, e) => createElement(vm, a, b, c, d, false, e);
   // normalization is always applied for the public version, used in
   // user-written render functions.
   vm.$createElement = (a, b, c, d) => createElement(vm, a, b, c, d, true);
@@ -52,7 +55,7 @@ export function initRender(vm: Component) {
     defineReactive(
       vm,
       "$listeners",
-      options._parentListeners || emptyObject,
+      getFallthroughListeners(vm, options._parentListeners) || emptyObject,
       () => {
         !isUpdatingChildComponent && warn(`$listeners is readonly.`, vm);
       },
@@ -69,7 +72,7 @@ export function initRender(vm: Component) {
     defineReactive(
       vm,
       "$listeners",
-      options._parentListeners || emptyObject,
+      getFallthroughListeners(vm, options._parentListeners) || emptyObject,
       null,
       true
     );
@@ -112,15 +115,22 @@ export function renderMixin(Vue: Class<Component>) {
     vm.$vnode = _parentVnode;
     // render self
     let vnode;
+    // Nested component's render fns are normally called when the parent
+    // component is patched, but a component may also be mounted from within
+    // another render (e.g. <suspense> mounting its content off-screen), so
+    // the previous rendering instance is restored afterwards.
+    const prevRenderingInstance = currentRenderingInstance;
+    const blockDepth = getBlockDepth();
     try {
-      // There's no need to maintain a stack because all render fns are called
-      // separately from one another. Nested component's render fns are called
-      // when parent component is patched.
       currentRenderingInstance = vm;
 
       // # 执行 render 函数，生成 vnode
-      vnode = render.call(vm._renderProxy, vm.$createElement);
+      // # async setup() 还未完成时渲染为空节点
+      vnode = vm._setupPending
+        ? createEmptyVNode()
+        : render.call(vm._renderProxy, vm.$createElement);
     } catch (e) {
+      resetBlocks(blockDepth);
       handleError(e, vm, `render`);
       // return error render result,
       // or previous vnode to prevent render error causing blank component
@@ -145,22 +155,24 @@ export function renderMixin(Vue: Class<Component>) {
         vnode = vm._vnode;
       }
     } finally {
-      currentRenderingInstance = null;
+      currentRenderingInstance = prevRenderingInstance;
     }
     // if the returned array contains only a single node, allow it
     if (Array.isArray(vnode) && vnode.length === 1) {
       vnode = vnode[0];
     }
+    // multiple root nodes are rendered as a fragment, its start anchor
+    // becomes the component's $el
+    // # 返回多个根节点时，创建 fragment vnode
+    if (Array.isArray(vnode) && vnode.length) {
+      vnode = createFragmentVNode(normalizeChildren(vnode) || []);
+      if (process.env.NODE_ENV !== "production" && !vm._vnode) {
+        checkFragmentAttrs(vm, _parentVnode);
+      }
+    }
     // return empty vnode in case the render function errored out
     // # render 函数出错时，返回一个空的 vnode
     if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== "production" && Array.isArray(vnode)) {
-        warn(
-          "Multiple root nodes returned from render function. Render function " +
-            "should return a single root node.",
-          vm
-        );
-      }
       vnode = createEmptyVNode();
     }
     // set parent
@@ -168,3 +180,29 @@ export function renderMixin(Vue: Class<Component>) {
     return vnode;
   };
 }
+
+/**
+ * Attributes, class and style of the component placeholder are inherited by
+ * a single root element only. Warn about the ones a fragment root drops.
+ */
+function checkFragmentAttrs(vm: Component, parentVnode: ?VNode) {
+  const data = parentVnode && parentVnode.data;
+  if (!data) {
+    return;
+  }
+  const dropped =
+    vm.$options.inheritAttrs !== false && data.attrs
+      ? Object.keys(data.attrs)
+      : [];
+  if (data.staticClass || data.class) dropped.push("class");
+  if (data.staticStyle || data.style) dropped.push("style");
+  if (dropped.length) {
+    warn(
+      `Extraneous non-props attributes (${dropped.join(", ")}) were passed ` +
+        `to a component that renders multiple root nodes and cannot be ` +
+        `inherited. Bind attributes explicitly via v-bind="$attrs" with ` +
+        `"inheritAttrs: false", and class or style on an inner element.`,
+      vm
+    );
+  }
+}
@@ -0,0 +1,205 @@
+/* @flow */
+
+import { EffectScope } from "../observer/effect-scope";
+import { isRef } from "../observer/reactivity";
+import { pushTarget, popTarget } from "../observer/dep";
+import { observe } from "../observer/index";
+import {
+  warn,
+  noop,
+  hasOwn,
+  isObject,
+  isReserved,
+  handleError,
+  invokeWithErrorHandling,
+} from "../util/index";
+
+/*
+  # setup(props, ctx) 选项，在 props 初始化之后、methods/data/computed 之前调用
+  #   返回对象：对象上的属性被代理到实例上，可以在模版、methods、computed 中通过 this.xx 访问，ref 会被自动解包
+  #   返回函数：作为组件的渲染函数
+  # setup 执行期间可以通过 onMounted 等函数注册生命周期钩子，它们被放入 vm.$options 上对应的钩子数组，
+  # 由 callHook 统一执行
+  # async setup() 返回 Promise：注册到最近的 <suspense> 上，resolve 之前组件渲染为空节点，
+  # resolve 之后再处理其结果（代理绑定或设置渲染函数）并重新渲染
+*/
+
+let currentInstance: ?Component = null;
+
+/**
+ * Return the component instance whose setup() is currently running.
+ */
+export function getCurrentInstance(): ?Component {
+  return currentInstance;
+}
+
+export function initSetup(vm: Component) {
+  const setup = vm.$options.setup;
+  if (!setup) {
+    return;
+  }
+  const ctx = createSetupContext(vm);
+  const prevInstance = currentInstance;
+  currentInstance = vm;
+  // # setup 中创建的 watchEffect、computed 等随组件一起销毁
+  const scope = (vm._scope = new EffectScope(true));
+  // # 禁止依赖收集，避免被父组件的渲染 watcher 收集
+  pushTarget();
+  let result;
+  try {
+    result = scope.run(() =>
+      invokeWithErrorHandling(setup, null, [vm._props || {}, ctx], vm, "setup")
+    );
+  } finally {
+    popTarget();
+    currentInstance = prevInstance;
+  }
+
+  if (isObject(result) && typeof result.then === "function") {
+    waitForSetup(vm, result);
+  } else {
+    applySetupResult(vm, result);
+  }
+}
+
+function waitForSetup(vm: Component, promise: Promise<any>) {
+  const suspense: any = vm._suspense;
+  if (process.env.NODE_ENV !== "production" && !suspense) {
+    warn(
+      `setup() returned a Promise, but the component is not rendered inside ` +
+        `a <suspense> boundary. It renders nothing until the Promise resolves.`,
+      vm
+    );
+  }
+  const settle = suspense ? suspense.register() : noop;
+  vm._setupPending = true;
+  promise
+    .then(
+      (result) => {
+        if (vm._isDestroyed) {
+          return;
+        }
+        applySetupResult(vm, result);
+        vm._setupPending = false;
+        vm.$forceUpdate();
+      },
+      (e) => {
+        // # invokeWithErrorHandling 已经处理过 rejected 的 Promise
+        if (!(promise: any)._handled) {
+          handleError(e, vm, "setup (Promise/async)");
+        }
+      }
+    )
+    .then(settle, (e) => {
+      handleError(e, vm, "setup");
+      settle();
+    });
+}
+
+function applySetupResult(vm: Component, result: any) {
+  if (typeof result === "function") {
+    // # 返回渲染函数
+    vm.$options.render = result;
+  } else if (isObject(result)) {
+    // # 返回的对象做浅层响应式处理，this.xx = val 修改普通值时也能触发更新
+    const ob = observe(result, false, true);
+    const state = ob && ob.proxy ? ob.proxy : result;
+    vm._setupState = state;
+    for (const key in result) {
+      if (isReserved(key)) {
+        process.env.NODE_ENV !== "production" &&
+          warn(
+            `setup() return property "${key}" should not start with "$" or "_" ` +
+              `which are reserved prefixes for Vue internals.`,
+            vm
+          );
+      } else if (vm.$options.props && hasOwn(vm.$options.props, key)) {
+        process.env.NODE_ENV !== "production" &&
+          warn(
+            `setup() return property "${key}" is already defined as a prop.`,
+            vm
+          );
+      } else {
+        proxySetupBinding(vm, state, key);
+      }
+    }
+  } else if (process.env.NODE_ENV !== "production" && result !== undefined) {
+    warn(
+      `setup() should return an object or a render function. ` +
+        `Received: ${result === null ? "null" : typeof result}`,
+      vm
+    );
+  }
+}
+
+function createSetupContext(vm: Component): Object {
+  return {
+    get attrs() {
+      return vm.$attrs;
+    },
+    get listeners() {
+      return vm.$listeners;
+    },
+    get slots() {
+      return vm.$scopedSlots;
+    },
+    emit(event: string, ...args: Array<any>) {
+      return vm.$emit(event, ...args);
+    },
+  };
+}
+
+/**
+ * Expose a binding returned from setup() on the instance. Refs are
+ * unwrapped on access and assignment.
+ */
+function proxySetupBinding(vm: Component, state: Object, key: string) {
+  // flow has problems with directly declared definition objects
+  const bindingDef = {};
+  bindingDef.enumerable = true;
+  bindingDef.configurable = true;
+  bindingDef.get = () => {
+    const value = state[key];
+    return isRef(value) ? value.value : value;
+  };
+  bindingDef.set = (val) => {
+    const value = state[key];
+    if (isRef(value) && !isRef(val)) {
+      value.value = val;
+    } else {
+      state[key] = val;
+    }
+  };
+  Object.defineProperty(vm, key, bindingDef);
+}
+
+function createLifecycleHook(hook: string) {
+  return (fn: Function, target?: ?Component = currentInstance) => {
+    if (!target) {
+      process.env.NODE_ENV !== "production" &&
+        warn(
+          `Lifecycle hook "${hook}" is registered when there is no active ` +
+            `component instance. Lifecycle registration functions can only ` +
+            `be called during setup().`
+        );
+      return;
+    }
+    const options = target.$options;
+    const hooks = options[hook];
+    // # 钩子数组可能是从构造函数的选项上继承来的，不能直接 push
+    options[hook] = hooks ? hooks.concat(fn) : [fn];
+  };
+}
+
+export const onBeforeMount = createLifecycleHook("beforeMount");
+export const onMounted = createLifecycleHook("mounted");
+export const onBeforeUpdate = createLifecycleHook("beforeUpdate");
+export const onUpdated = createLifecycleHook("updated");
+export const onBeforeUnmount = createLifecycleHook("beforeDestroy");
+export const onUnmounted = createLifecycleHook("destroyed");
+export const onActivated = createLifecycleHook("activated");
+export const onDeactivated = createLifecycleHook("deactivated");
+export const onErrorCaptured = createLifecycleHook("errorCaptured");
+export const onServerPrefetch = createLifecycleHook("serverPrefetch");
+export const onRenderTracked = createLifecycleHook("renderTracked");
+export const onRenderTriggered = createLifecycleHook("renderTriggered");
@@ -12,6 +12,7 @@ import {
   defineReactive,
   toggleObserving,
 } from "../observer/index";
+import { setReadonlyOwner } from "../observer/readonly";
 
 import {
   warn,
@@ -46,16 +47,21 @@ export function proxy(target: Object, sourceKey: string, key: string) {
   Object.defineProperty(target, key, sharedPropertyDefinition);
 }
 
-// # 初始化 props、methods、data、computed、watch
-export function initState(vm: Component) {
+// # 初始化 props，在 setup 之前执行，setup 的第一个参数就是 props
+export function initPropsState(vm: Component) {
   vm._watchers = [];
   const opts = vm.$options;
   if (opts.props) initProps(vm, opts.props);
+}
+
+// # 初始化 methods、data、computed、watch，setup 返回的绑定已经定义在实例上
+export function initState(vm: Component) {
+  const opts = vm.$options;
   if (opts.methods) initMethods(vm, opts.methods);
   if (opts.data) {
     initData(vm);
   } else {
-    observe((vm._data = {}), true /* asRootData */);
+    observeData(vm, (vm._data = {}));
   }
   if (opts.computed) initComputed(vm, opts.computed);
   if (opts.watch && opts.watch !== nativeWatch) {
@@ -147,12 +153,30 @@ function initData(vm: Component) {
             `Use prop default value instead.`,
           vm
         );
+    } else if (vm._setupState && hasOwn(vm._setupState, key)) {
+      process.env.NODE_ENV !== "production" &&
+        warn(
+          `The data property "${key}" is already returned from setup().`,
+          vm
+        );
     } else if (!isReserved(key)) {
       proxy(vm, `_data`, key);
+      // # 记录只读数据所属的组件和 key，修改时的警告中会给出
+      if (process.env.NODE_ENV !== "production") {
+        setReadonlyOwner(data[key], vm, key);
+      }
     }
   }
   // observe data
-  observe(data, true /* asRootData */);
+  observeData(vm, data);
+}
+
+function observeData(vm: Component, data: Object) {
+  const ob = observe(data, true /* asRootData */);
+  // # proxy 模式下 vm._data 指向代理对象，这样通过 vm.xx 读写时才会被拦截
+  if (ob && ob.proxy) {
+    vm._data = ob.proxy;
+  }
 }
 
 export function getData(data: Function, vm: Component): any {
@@ -189,7 +213,13 @@ function initComputed(vm: Component, computed: Object) {
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        process.env.NODE_ENV !== "production" && typeof userDef !== "function"
+          ? {
+              lazy: true,
+              onTrack: userDef.onTrack,
+              onTrigger: userDef.onTrigger,
+            }
+          : computedWatcherOptions
       );
     }
 
@@ -211,6 +241,11 @@ function initComputed(vm: Component, computed: Object) {
           `The computed property "${key}" is already defined as a method.`,
           vm
         );
+      } else if (vm._setupState && hasOwn(vm._setupState, key)) {
+        warn(
+          `The computed property "${key}" is already returned from setup().`,
+          vm
+        );
       }
     }
   }
@@ -293,6 +328,12 @@ function initMethods(vm: Component, methods: Object) {
         );
       }
     }
+    // # setup 返回的绑定优先，不能通过它的 setter 覆盖
+    if (vm._setupState && hasOwn(vm._setupState, key)) {
+      process.env.NODE_ENV !== "production" &&
+        warn(`Method "${key}" has already been returned from setup().`, vm);
+      continue;
+    }
     vm[key] =
       typeof methods[key] !== "function" ? noop : bind(methods[key], vm);
   }
@@ -9,7 +9,7 @@ import { def } from "../util/index";
 const arrayProto = Array.prototype;
 export const arrayMethods = Object.create(arrayProto);
 
-// # 操作数组的七个方法，这七个方法可以改变数组自身
+// # 操作数组的方法，这些方法可以改变数组自身
 const methodsToPatch = [
   "push",
   "pop",
@@ -18,7 +18,9 @@ const methodsToPatch = [
   "splice",
   "sort",
   "reverse",
-];
+  "fill",
+  "copyWithin",
+].filter((method) => typeof arrayProto[method] === "function");
 
 /**
  * Intercept mutating methods and emit events
@@ -28,11 +30,14 @@ methodsToPatch.forEach(function (method) {
   // cache original method
   const original = arrayProto[method];
   def(arrayMethods, method, function mutator(...args) {
-    // # 执行方法
-    const result = original.apply(this, args);
     const ob = this.__ob__;
+    // # 通过代理对象调用时直接操作原始数组，只在最后通知一次
+    const target = ob.proxy === this ? ob.value : this;
+    // # 执行方法
+    const res = original.apply(target, args);
+    const result = res === target ? this : res;
     let inserted;
-    // # 如果是以下三个方法，则表示插入新元素
+    // # 如果是以下四个方法，则表示插入新元素
     switch (method) {
       case "push":
       case "unshift":
@@ -41,12 +46,19 @@ methodsToPatch.forEach(function (method) {
       case "splice":
         inserted = args.slice(2);
         break;
+      case "fill":
+        inserted = args.slice(0, 1);
+        break;
     }
     // # 对插入的新元素做响应式处理
-    if (inserted) ob.observeArray(inserted);
+    if (inserted && !ob.shallow) ob.observeArray(inserted);
     // notify change
     // # 通知依赖改变
-    ob.dep.notify();
+    if (process.env.NODE_ENV !== "production") {
+      ob.dep.notify({ target: this, type: "array mutation", key: method });
+    } else {
+      ob.dep.notify();
+    }
 
     // # 返回结果
     return result;
@@ -0,0 +1,248 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototypes
+ */
+
+import Dep from "./dep";
+import { observe } from "./index";
+import { toRaw } from "./proxy";
+import {
+  def,
+  extend,
+  hasChanged,
+  hasSymbol,
+  toRawType,
+} from "../util/index";
+
+/*
+  # 和 array.js 一样，通过修改原型的方式拦截 Map、Set、WeakMap、WeakSet 的方法
+  # 集合的所有读写共用 ob.dep：读取方法收集依赖，修改方法通知依赖
+*/
+
+/**
+ * Check if a value is a Map, Set, WeakMap or WeakSet instance. Instances of
+ * subclasses are left out, replacing their prototype would drop the methods
+ * of the subclass.
+ */
+export function isCollection(value) {
+  return (
+    value != null && collectionProtos.indexOf(Object.getPrototypeOf(value)) > -1
+  );
+}
+
+// # 集合中的对象值也做响应式处理，proxy 模式下返回代理对象
+function toReactive(value) {
+  const ob = observe(value);
+  return ob && ob.proxy ? ob.proxy : value;
+}
+
+// # 开发环境下附带调试信息，供 onTrack / onTrigger 使用
+function track(collection, type, key) {
+  if (Dep.target) {
+    if (process.env.NODE_ENV !== "production") {
+      collection.__ob__.dep.depend({ target: collection, type, key });
+    } else {
+      collection.__ob__.dep.depend();
+    }
+  }
+}
+
+function trigger(collection, type, key, newValue, oldValue) {
+  if (process.env.NODE_ENV !== "production") {
+    collection.__ob__.dep.notify({
+      target: collection,
+      type,
+      key,
+      newValue,
+      oldValue,
+    });
+  } else {
+    collection.__ob__.dep.notify();
+  }
+}
+
+function createCollectionMethods(proto, methods) {
+  const collectionMethods = Object.create(proto);
+  Object.keys(methods).forEach((method) => {
+    def(collectionMethods, method, methods[method]);
+  });
+  return collectionMethods;
+}
+
+/**
+ * Intercept accessors and mutators shared by keyed collections.
+ */
+function keyedMethods(proto, isMap) {
+  const { get, has } = proto;
+  const methods = {
+    has(key) {
+      track(this, "has", key);
+      return has.call(this, toRaw(key));
+    },
+    delete(key) {
+      const result = proto.delete.call(this, toRaw(key));
+      if (result) {
+        trigger(this, "delete", key);
+      }
+      return result;
+    },
+  };
+  if (isMap) {
+    methods.get = function (key) {
+      track(this, "get", key);
+      return toReactive(get.call(this, toRaw(key)));
+    };
+    methods.set = function (key, value) {
+      key = toRaw(key);
+      value = toRaw(value);
+      const hadKey = has.call(this, key);
+      const oldValue = get.call(this, key);
+      proto.set.call(this, key, value);
+      observe(value);
+      if (!hadKey || hasChanged(value, oldValue)) {
+        trigger(this, hadKey ? "set" : "add", key, value, oldValue);
+      }
+      return this;
+    };
+  } else {
+    methods.add = function (value) {
+      value = toRaw(value);
+      if (!has.call(this, value)) {
+        proto.add.call(this, value);
+        observe(value);
+        trigger(this, "add", value, value);
+      }
+      return this;
+    };
+  }
+  return methods;
+}
+
+/**
+ * Intercept iteration methods of Map and Set.
+ */
+function iterableMethods(proto, isMap) {
+  const sizeGetter = Object.getOwnPropertyDescriptor(proto, "size").get;
+  const methods = {
+    clear() {
+      const hadItems = sizeGetter.call(this) !== 0;
+      proto.clear.call(this);
+      if (hadItems) {
+        trigger(this, "clear");
+      }
+    },
+    forEach(callback, thisArg) {
+      track(this, "iterate");
+      const collection = this;
+      proto.forEach.call(this, function (value, key) {
+        callback.call(
+          thisArg,
+          toReactive(value),
+          isMap ? key : toReactive(key),
+          collection
+        );
+      });
+    },
+  };
+  const wrapIterator = (method, wrap) => {
+    const original = proto[method];
+    return function () {
+      track(this, "iterate");
+      const inner = original.apply(this, arguments);
+      const iterator = {
+        next() {
+          const { value, done } = inner.next();
+          return done ? { value, done } : { value: wrap(value), done };
+        },
+      };
+      if (hasSymbol) {
+        iterator[Symbol.iterator] = function () {
+          return this;
+        };
+      }
+      return iterator;
+    };
+  };
+  const wrapEntry = (entry) => [
+    isMap ? entry[0] : toReactive(entry[0]),
+    toReactive(entry[1]),
+  ];
+  methods.keys = wrapIterator("keys", isMap ? (key) => key : toReactive);
+  methods.values = wrapIterator("values", toReactive);
+  methods.entries = wrapIterator("entries", wrapEntry);
+  return methods;
+}
+
+function defineSize(collectionMethods, proto) {
+  const sizeGetter = Object.getOwnPropertyDescriptor(proto, "size").get;
+  Object.defineProperty(collectionMethods, "size", {
+    configurable: true,
+    get() {
+      track(this, "iterate");
+      return sizeGetter.call(this);
+    },
+  });
+}
+
+function createIterableCollectionMethods(proto, isMap) {
+  const collectionMethods = createCollectionMethods(
+    proto,
+    extend(keyedMethods(proto, isMap), iterableMethods(proto, isMap))
+  );
+  if (hasSymbol) {
+    def(
+      collectionMethods,
+      Symbol.iterator,
+      isMap ? collectionMethods.entries : collectionMethods.values
+    );
+  }
+  defineSize(collectionMethods, proto);
+  return collectionMethods;
+}
+
+export const mapMethods =
+  typeof Map !== "undefined"
+    ? createIterableCollectionMethods(Map.prototype, true)
+    : null;
+export const setMethods =
+  typeof Set !== "undefined"
+    ? createIterableCollectionMethods(Set.prototype, false)
+    : null;
+export const weakMapMethods =
+  typeof WeakMap !== "undefined"
+    ? createCollectionMethods(
+        WeakMap.prototype,
+        keyedMethods(WeakMap.prototype, true)
+      )
+    : null;
+export const weakSetMethods =
+  typeof WeakSet !== "undefined"
+    ? createCollectionMethods(
+        WeakSet.prototype,
+        keyedMethods(WeakSet.prototype, false)
+      )
+    : null;
+
+// # 原生集合的原型，以及观察之后替换成的原型
+const collectionProtos = [];
+[mapMethods, setMethods, weakMapMethods, weakSetMethods].forEach((methods) => {
+  if (methods) {
+    collectionProtos.push(Object.getPrototypeOf(methods), methods);
+  }
+});
+
+/**
+ * Get the intercepted prototype for a collection instance.
+ */
+export function getCollectionMethods(value) {
+  switch (toRawType(value)) {
+    case "Map":
+      return mapMethods;
+    case "Set":
+      return setMethods;
+    case "WeakMap":
+      return weakMapMethods;
+    default:
+      return weakSetMethods;
+  }
+}
@@ -1,11 +1,28 @@
 /* @flow */
 
 import type Watcher from "./watcher";
-import { remove } from "../util/index";
+import { remove, extend } from "../util/index";
 import config from "../config";
 
 let uid = 0;
 
+// # Vue.batch 嵌套的层数，以及批量期间被推迟更新的 watcher
+let batchDepth = 0;
+let batchedWatchers: Array<Watcher> = [];
+let batchedInfos: Array<?DebuggerEventExtraInfo> = [];
+let batchedIds: { [key: number]: ?true } = {};
+
+/**
+ * Debugger event passed to onTrack / onTrigger in dev builds.
+ */
+export type DebuggerEventExtraInfo = {
+  target: Object,
+  type: string,
+  key?: any,
+  newValue?: any,
+  oldValue?: any,
+};
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -30,14 +47,20 @@ export default class Dep {
     remove(this.subs, sub);
   }
 
-  depend() {
-    if (Dep.target) {
-      Dep.target.addDep(this);
+  depend(info?: DebuggerEventExtraInfo) {
+    const target = Dep.target;
+    if (target) {
+      target.addDep(this);
+      // # 开发环境下，通知 watcher 收集到了哪个响应式数据
+      if (process.env.NODE_ENV !== "production" && info) {
+        const onTrack = target.onTrack;
+        if (onTrack) onTrack(extend({ effect: target }, info));
+      }
     }
   }
 
   // # 通知所有 watcher 执行 update 方法
-  notify() {
+  notify(info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice();
     if (process.env.NODE_ENV !== "production" && !config.async) {
@@ -47,7 +70,24 @@ export default class Dep {
       subs.sort((a, b) => a.id - b.id);
     }
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update();
+      const sub = subs[i];
+      // # 开发环境下，通知 watcher 是哪个响应式数据的变化触发了更新
+      if (process.env.NODE_ENV !== "production" && info) {
+        const onTrigger = sub.onTrigger;
+        if (onTrigger) onTrigger(extend({ effect: sub }, info));
+      }
+      if (batchDepth > 0 && !sub.lazy) {
+        // inside Vue.batch(): computed values are still marked dirty right
+        // away so reads stay consistent, other watchers are updated once
+        // when the outermost batch ends
+        if (!batchedIds[sub.id]) {
+          batchedIds[sub.id] = true;
+          batchedWatchers.push(sub);
+          batchedInfos.push(info);
+        }
+      } else {
+        sub.update(info);
+      }
     }
   }
 }
@@ -68,3 +108,56 @@ export function popTarget() {
   targetStack.pop();
   Dep.target = targetStack[targetStack.length - 1];
 }
+
+/**
+ * Run a function and defer the watcher updates caused by it until it
+ * returns, so that each affected watcher is updated only once.
+ */
+export function batch<T>(fn: () => T): T {
+  batchDepth++;
+  try {
+    return fn();
+  } finally {
+    if (--batchDepth === 0) {
+      flushBatchedWatchers();
+    }
+  }
+}
+
+// every watcher is notified even if one of them throws, the first error is
+// rethrown afterwards
+function flushBatchedWatchers() {
+  const watchers = batchedWatchers;
+  const infos = batchedInfos;
+  batchedWatchers = [];
+  batchedInfos = [];
+  batchedIds = {};
+  let error;
+  let hasError = false;
+  for (let i = 0; i < watchers.length; i++) {
+    try {
+      watchers[i].update(infos[i] || undefined);
+    } catch (e) {
+      if (!hasError) {
+        hasError = true;
+        error = e;
+      }
+    }
+  }
+  if (hasError) {
+    throw error;
+  }
+}
+
+/**
+ * Run a function without collecting its reactive reads as dependencies of
+ * the currently evaluating watcher.
+ */
+export function untracked<T>(fn: () => T): T {
+  pushTarget();
+  try {
+    return fn();
+  } finally {
+    popTarget();
+  }
+}
@@ -0,0 +1,74 @@
+/* @flow */
+
+import type Watcher from "./watcher";
+import { warn } from "../util/index";
+
+/*
+  # 副作用作用域，收集在 scope.run() 期间创建的、不属于任何组件的 watcher，
+  # 调用 scope.stop() 时一起销毁。组件内的 watcher 仍然跟随组件销毁
+*/
+
+let activeEffectScope: ?EffectScope;
+
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  scopes: Array<EffectScope>;
+
+  constructor(detached?: boolean) {
+    this.active = true;
+    this.effects = [];
+    this.scopes = [];
+    // # 嵌套的作用域随父作用域一起销毁，除非是独立的作用域
+    if (!detached && activeEffectScope) {
+      activeEffectScope.scopes.push(this);
+    }
+  }
+
+  /**
+   * Run a function with this scope active, so that effects created
+   * inside of it are collected.
+   */
+  run<T>(fn: () => T): T | void {
+    if (this.active) {
+      const currentEffectScope = activeEffectScope;
+      try {
+        activeEffectScope = this;
+        return fn();
+      } finally {
+        activeEffectScope = currentEffectScope;
+      }
+    } else if (process.env.NODE_ENV !== "production") {
+      warn(`cannot run an inactive effect scope.`);
+    }
+  }
+
+  /**
+   * Tear down all effects and nested scopes collected by this scope.
+   */
+  stop() {
+    if (this.active) {
+      let i, l;
+      for (i = 0, l = this.effects.length; i < l; i++) {
+        this.effects[i].teardown();
+      }
+      for (i = 0, l = this.scopes.length; i < l; i++) {
+        this.scopes[i].stop();
+      }
+      this.active = false;
+    }
+  }
+}
+
+export function effectScope(detached?: boolean): EffectScope {
+  return new EffectScope(detached);
+}
+
+/**
+ * Register a watcher in the currently active effect scope.
+ */
+export function recordEffectScope(effect: Watcher) {
+  if (activeEffectScope && activeEffectScope.active) {
+    activeEffectScope.effects.push(effect);
+  }
+}
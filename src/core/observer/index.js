@@ -1,13 +1,18 @@
 /* @flow */
 
 import Dep from "./dep";
+import config from "../config";
 import VNode from "../vdom/vnode";
 import { arrayMethods } from "./array";
+import { isCollection, getCollectionMethods } from "./collection";
+import { createReactiveProxy, toRaw } from "./proxy";
+import { isReadonly, warnReadonly } from "./readonly";
 import {
   def,
   warn,
   hasOwn,
   hasProto,
+  hasProxy,
   isObject,
   isPlainObject,
   isPrimitive,
@@ -18,6 +23,9 @@ import {
 
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods);
 
+// # defineReactive 的 val 参数使用该值时，从 obj[key] 读取初始值
+const NO_INITIAL_VALUE = {};
+
 /**
  * In some cases we may want to disable observation inside a component's
  * update computation.
@@ -42,14 +50,52 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
+  proxy: any; // only set in 'proxy' reactivity mode
+  deps: { [key: string]: Dep }; // per-key deps in 'proxy' reactivity mode
+  shallow: boolean; // nested values are left as is
 
-  constructor(value: any) {
+  constructor(value: any, shallow?: boolean) {
     this.value = value;
     this.dep = new Dep();
     this.vmCount = 0;
+    this.shallow = !!shallow;
     // # 在 value 对象上设置 __ob__ 属性
     def(value, "__ob__", this);
-    if (Array.isArray(value)) {
+    if (isCollection(value)) {
+      /*
+        # Map、Set、WeakMap、WeakSet 和数组一样通过覆盖原型方法实现响应式，
+        # 两种模式都不使用代理对象，因为集合的方法依赖实例的内部槽
+      */
+      protoAugment(value, getCollectionMethods(value));
+      this.observeCollection(value);
+    } else if (
+      hasProxy &&
+      (config.reactivityMode === "proxy" ||
+        (config.arrayProxy && Array.isArray(value)))
+    ) {
+      /*
+        # proxy 模式，不再逐个 key 定义 getter/setter，也不覆盖数组原型方法，
+        # 所有的读写都通过代理对象拦截，嵌套对象在读取时才被观察
+        # 开启 config.arrayProxy 时只有数组使用代理
+      */
+      // $flow-disable-line
+      this.deps = Object.create(null);
+      this.proxy = createReactiveProxy(value);
+      if (Array.isArray(value)) {
+        if (config.reactivityMode !== "proxy") {
+          // # 仍然覆盖原型方法，直接操作原始数组时也能触发更新
+          if (hasProto) {
+            protoAugment(value, arrayMethods);
+          } else {
+            copyAugment(value, arrayMethods, arrayKeys);
+          }
+        }
+        if (!this.shallow) {
+          // # 数组项仍然立即观察，dependArray 依赖数组项上的 __ob__
+          this.observeArray(value);
+        }
+      }
+    } else if (Array.isArray(value)) {
       // # 对数组进行特殊处理
       // # 覆盖数组默认的七个原型方法，以实现数组响应式
       if (hasProto) {
@@ -58,7 +104,9 @@ export class Observer {
       } else {
         copyAugment(value, arrayMethods, arrayKeys);
       }
-      this.observeArray(value);
+      if (!this.shallow) {
+        this.observeArray(value);
+      }
     } else {
       // # value 为对象，为对象的每个属性（包括嵌套对象）设置响应式
       this.walk(value);
@@ -74,7 +122,19 @@ export class Observer {
     // # 遍历对象的 key，全部变成 getter/setters，进行响应式处理
     const keys = Object.keys(obj);
     for (let i = 0; i < keys.length; i++) {
-      defineReactive(obj, keys[i]);
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, null, this.shallow);
+    }
+  }
+
+  /**
+   * Observe the values of a Map or Set.
+   */
+  observeCollection(collection: any) {
+    // # WeakMap 和 WeakSet 无法遍历，只能在写入时观察
+    if (typeof collection.forEach === "function") {
+      collection.forEach((item) => {
+        observe(item);
+      });
     }
   }
 
@@ -126,9 +186,13 @@ function copyAugment(target: Object, src: Object, keys: Array<string>) {
   # 响应式处理的真正入口
   # 为对象创建观察者实例，如果对象已经被观察过，则返回已有的观察者实例，否则创建新的观察者实例
 */
-export function observe(value: any, asRootData: ?boolean): Observer | void {
-  // # 非对象和 VNode 实例不做响应式处理
-  if (!isObject(value) || value instanceof VNode) {
+export function observe(
+  value: any,
+  asRootData: ?boolean,
+  shallow?: boolean
+): Observer | void {
+  // # 非对象、VNode 实例和只读代理不做响应式处理
+  if (!isObject(value) || value instanceof VNode || isReadonly(value)) {
     return;
   }
   let ob: Observer | void;
@@ -138,11 +202,13 @@ export function observe(value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) ||
+      isPlainObject(value) ||
+      (hasProto && isCollection(value))) &&
     Object.isExtensible(value) &&
     !value._isVue
   ) {
-    ob = new Observer(value);
+    ob = new Observer(value, shallow);
   }
   if (asRootData && ob) {
     ob.vmCount++;
@@ -172,12 +238,22 @@ export function defineReactive(
   // cater for pre-defined getter/setters
   const getter = property && property.get;
   const setter = property && property.set;
-  if ((!getter || setter) && arguments.length === 2) {
+  if (
+    (!getter || setter) &&
+    (val === NO_INITIAL_VALUE || arguments.length === 2)
+  ) {
     val = obj[key];
+  } else if (val === NO_INITIAL_VALUE) {
+    // # 只有 getter 的属性，值总是从 getter 读取
+    val = undefined;
   }
 
   // # 对每个子项也添加观察
   let childOb = !shallow && observe(val);
+  if (childOb && childOb.proxy) {
+    // # proxy 模式下只保存原始对象，读取时再返回代理对象
+    val = toRaw(val);
+  }
   /*
     # 数据描述符和存取描述符。
     # 数据描述符是一个具有值的属性，该值可以是可写的，也可以是不可写的。
@@ -194,7 +270,11 @@ export function defineReactive(
       const value = getter ? getter.call(obj) : val;
       if (Dep.target) {
         // # 开始收集依赖
-        dep.depend();
+        if (process.env.NODE_ENV !== "production") {
+          dep.depend({ target: obj, type: "get", key });
+        } else {
+          dep.depend();
+        }
         if (childOb) {
           // # this.key.childKey 响应式
           childOb.dep.depend();
@@ -204,10 +284,13 @@ export function defineReactive(
           }
         }
       }
-      return value;
+      return childOb && childOb.proxy && childOb.value === value
+        ? childOb.proxy
+        : value;
     },
     // # 拦截更改
     set: function reactiveSetter(newVal) {
+      newVal = toRaw(newVal);
       const value = getter ? getter.call(obj) : val;
       /* eslint-disable no-self-compare */
       if (newVal === value || (newVal !== newVal && value !== value)) {
@@ -230,7 +313,17 @@ export function defineReactive(
       childOb = !shallow && observe(newVal);
 
       // # 通知依赖进行更新
-      dep.notify();
+      if (process.env.NODE_ENV !== "production") {
+        dep.notify({
+          target: obj,
+          type: "set",
+          key,
+          newValue: newVal,
+          oldValue: value,
+        });
+      } else {
+        dep.notify();
+      }
     },
   });
 }
@@ -254,6 +347,15 @@ export function set(target: Array<any> | Object, key: any, val: any): any {
       `Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`
     );
   }
+  if (isReadonly(target)) {
+    warnReadonly(target, key, "Set");
+    return val;
+  }
+  const ob = isObject(target) ? (target: any).__ob__ : undefined;
+  // # proxy 模式下通过代理对象修改，由拦截器负责通知依赖
+  if (ob && ob.proxy) {
+    target = ob.proxy;
+  }
   // # 更新数组指定下标的元素，Vue.set(array, idx, val)，通过 splice 方法实现响应式更新
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.length = Math.max(target.length, key);
@@ -265,7 +367,6 @@ export function set(target: Array<any> | Object, key: any, val: any): any {
     target[key] = val;
     return val;
   }
-  const ob = (target: any).__ob__;
   if (target._isVue || (ob && ob.vmCount)) {
     /*
       # 不能向 Vue 实例或者 $data 添加动态添加响应式属性，vmCount 的用处之一，
@@ -284,10 +385,18 @@ export function set(target: Array<any> | Object, key: any, val: any): any {
     target[key] = val;
     return val;
   }
+  if (ob.proxy) {
+    target[key] = val;
+    return val;
+  }
   // # 给对象定义新属性，通过 defineReactive 方法设置响应式
-  defineReactive(ob.value, key, val);
+  defineReactive(ob.value, key, val, null, ob.shallow);
   // # 触发依赖更新
-  ob.dep.notify();
+  if (process.env.NODE_ENV !== "production") {
+    ob.dep.notify({ target, type: "add", key, newValue: val });
+  } else {
+    ob.dep.notify();
+  }
   return val;
 }
 
@@ -308,13 +417,20 @@ export function del(target: Array<any> | Object, key: any) {
       `Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`
     );
   }
+  if (isReadonly(target)) {
+    warnReadonly(target, key, "Delete");
+    return;
+  }
+  const ob = isObject(target) ? (target: any).__ob__ : undefined;
+  if (ob && ob.proxy) {
+    target = ob.proxy;
+  }
 
   // # target 为数组，则通过 splice 方法删除指定下标的元素
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.splice(key, 1);
     return;
   }
-  const ob = (target: any).__ob__;
   if (target._isVue || (ob && ob.vmCount)) {
     // # 避免删除 Vue 实例的属性或者 $data 的数据
     process.env.NODE_ENV !== "production" &&
@@ -332,12 +448,16 @@ export function del(target: Array<any> | Object, key: any) {
 
   // # 使用 delete 操作符直接删掉对象上的属性
   delete target[key];
-  if (!ob) {
+  if (!ob || ob.proxy) {
     return;
   }
 
   // # 通知依赖执行更新
-  ob.dep.notify();
+  if (process.env.NODE_ENV !== "production") {
+    ob.dep.notify({ target, type: "delete", key });
+  } else {
+    ob.dep.notify();
+  }
 }
 
 /**
@@ -348,7 +468,7 @@ export function del(target: Array<any> | Object, key: any) {
   # 遍历每个数组元素，递归处理数组项为对象的情况，为其添加依赖
   # 因为前面的递归阶段无法为数组中的对象元素添加依赖
 */
-function dependArray(value: Array<any>) {
+export function dependArray(value: Array<any>) {
   for (let e, i = 0, l = value.length; i < l; i++) {
     e = value[i];
     e && e.__ob__ && e.__ob__.dep.depend();
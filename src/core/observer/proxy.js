@@ -0,0 +1,169 @@
+/*
+ * not type checking this file because flow doesn't play well with Proxy
+ */
+
+import Dep from "./dep";
+import { observe, dependArray } from "./index";
+import {
+  hasOwn,
+  isObject,
+  hasChanged,
+  isValidArrayIndex,
+} from "../util/index";
+
+/*
+  # proxy 模式下的拦截器，所有被观察的对象共用同一个 handler
+  # 通过 target.__ob__ 找到对应的 Observer，依赖仍然由 Dep/Watcher 收集和派发：
+  #   对象：每个 key 一个 dep，保存在 ob.deps 上；新增、删除 key 时额外通知 ob.dep，
+  #     嵌套对象在第一次读取时才被观察
+  #   数组：和 getter/setter 模式一样，所有下标和 length 共用 ob.dep，数组项在写入时被观察
+*/
+
+/**
+ * Create the Proxy used to access an object observed in 'proxy'
+ * reactivity mode.
+ */
+export function createReactiveProxy(value) {
+  return new Proxy(value, reactiveHandlers);
+}
+
+/**
+ * Return the raw object behind a reactive Proxy.
+ */
+export function toRaw(value) {
+  const ob = isObject(value) && value.__ob__;
+  return ob && ob.proxy === value ? ob.value : value;
+}
+
+function isTrackedKey(key) {
+  return typeof key === "string" && key !== "__ob__";
+}
+
+function isArrayKey(key) {
+  return key === "length" || isValidArrayIndex(key);
+}
+
+function getKeyDep(ob, key) {
+  return ob.deps[key] || (ob.deps[key] = new Dep());
+}
+
+// # 开发环境下附带调试信息，供 onTrack / onTrigger 使用
+function track(dep, target, type, key) {
+  if (process.env.NODE_ENV !== "production") {
+    dep.depend({ target, type, key });
+  } else {
+    dep.depend();
+  }
+}
+
+function trigger(dep, target, type, key, newValue, oldValue) {
+  if (process.env.NODE_ENV !== "production") {
+    dep.notify({ target, type, key, newValue, oldValue });
+  } else {
+    dep.notify();
+  }
+}
+
+function notifyKey(ob, target, type, key, newValue, oldValue) {
+  const dep = ob.deps[key];
+  if (dep) trigger(dep, target, type, key, newValue, oldValue);
+}
+
+const reactiveHandlers = {
+  get(target, key, receiver) {
+    const res = Reflect.get(target, key, receiver);
+    if (!isTrackedKey(key)) {
+      return res;
+    }
+    const ob = target.__ob__;
+    const isArray = Array.isArray(target);
+    if (isArray && !isArrayKey(key)) {
+      // # 数组的方法（push、map 等）不收集依赖，方法内部访问下标和 length 时才收集
+      return res;
+    }
+    // # 嵌套对象在第一次被读取时才做观察，shallow 模式下不观察
+    const childOb = ob.shallow ? undefined : observe(res);
+    if (Dep.target) {
+      track(isArray ? ob.dep : getKeyDep(ob, key), target, "get", key);
+      if (childOb) {
+        // # 与 defineReactive 保持一致，读取 obj.key 时同时依赖子对象的 ob.dep
+        childOb.dep.depend();
+        if (Array.isArray(childOb.value)) {
+          dependArray(childOb.value);
+        }
+      }
+    }
+    return childOb && childOb.proxy ? childOb.proxy : res;
+  },
+
+  set(target, key, value, receiver) {
+    const ob = target.__ob__;
+    const isArray = Array.isArray(target);
+    const hadKey =
+      isArray && isValidArrayIndex(key)
+        ? Number(key) < target.length
+        : hasOwn(target, key);
+    const oldValue = target[key];
+    const oldLength = isArray ? target.length : 0;
+    // # 原始对象中只保存原始值，不保存代理对象
+    const result = Reflect.set(target, key, toRaw(value), receiver);
+    if (!isTrackedKey(key)) {
+      return result;
+    }
+    const newValue = target[key];
+    const type = hadKey ? "set" : "add";
+    if (isArray) {
+      if (isValidArrayIndex(key) && !ob.shallow) {
+        observe(newValue);
+      }
+      if (
+        !hadKey ||
+        hasChanged(newValue, oldValue) ||
+        target.length !== oldLength
+      ) {
+        trigger(ob.dep, target, type, key, newValue, oldValue);
+      }
+    } else if (!hadKey) {
+      notifyKey(ob, target, type, key, newValue);
+      trigger(ob.dep, target, type, key, newValue);
+    } else if (hasChanged(newValue, oldValue)) {
+      notifyKey(ob, target, type, key, newValue, oldValue);
+    }
+    return result;
+  },
+
+  deleteProperty(target, key) {
+    const hadKey = hasOwn(target, key);
+    const oldValue = target[key];
+    const result = Reflect.deleteProperty(target, key);
+    if (hadKey && result && isTrackedKey(key)) {
+      const ob = target.__ob__;
+      if (!Array.isArray(target)) {
+        notifyKey(ob, target, "delete", key, undefined, oldValue);
+      }
+      trigger(ob.dep, target, "delete", key, undefined, oldValue);
+    }
+    return result;
+  },
+
+  has(target, key) {
+    const result = Reflect.has(target, key);
+    if (Dep.target && isTrackedKey(key)) {
+      const ob = target.__ob__;
+      track(
+        Array.isArray(target) ? ob.dep : getKeyDep(ob, key),
+        target,
+        "has",
+        key
+      );
+    }
+    return result;
+  },
+
+  ownKeys(target) {
+    if (Dep.target) {
+      track(target.__ob__.dep, target, "iterate");
+    }
+    return Reflect.ownKeys(target);
+  },
+};
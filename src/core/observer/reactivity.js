@@ -0,0 +1,184 @@
+/* @flow */
+
+import Watcher from "./watcher";
+import Dep from "./dep";
+import { observe, defineReactive } from "./index";
+import { createReadonly } from "./readonly";
+import {
+  def,
+  warn,
+  noop,
+  extend,
+  isObject,
+  isServerRendering,
+} from "../util/index";
+
+/*
+  # 独立于组件实例的响应式 API，直接基于 observe、Dep 和 Watcher 实现，
+  # 可以在 store、service、测试等非组件代码中使用，不需要创建 new Vue()
+*/
+
+export type Ref<T> = { value: T };
+
+export { isReadonly } from "./readonly";
+
+/**
+ * Make an object reactive. Returns the object itself, or its Proxy in
+ * 'proxy' reactivity mode.
+ */
+export function reactive<T>(target: T): T {
+  return makeReactive(target, false);
+}
+
+/**
+ * Like reactive(), but only the root level properties are reactive.
+ * Nested values are stored and returned as is, without being walked.
+ */
+export function shallowReactive<T>(target: T): T {
+  return makeReactive(target, true);
+}
+
+function makeReactive<T>(target: T, shallow: boolean): T {
+  const ob = observe(target, false, shallow);
+  if (process.env.NODE_ENV !== "production" && !ob) {
+    if (!isObject(target)) {
+      warn(`value cannot be made reactive: ${String(target)}`);
+    } else if (!isServerRendering()) {
+      warn(
+        `Target object cannot be made reactive. It may be frozen, ` +
+          `non-extensible or a Vue instance.`
+      );
+    }
+  }
+  return ob && ob.proxy ? ob.proxy : target;
+}
+
+/**
+ * Create a reactive reference holding a single value in its `value`
+ * property.
+ */
+export function ref<T>(value: T): Ref<T> {
+  if (isRef(value)) {
+    return (value: any);
+  }
+  const r: any = {};
+  def(r, "_isRef", true);
+  defineReactive(r, "value", value);
+  return r;
+}
+
+/**
+ * Create a readonly view of an object. Nested objects and arrays are
+ * wrapped lazily when accessed, mutations are ignored and warned about in
+ * development.
+ */
+export function readonly<T>(target: T): T {
+  return createReadonly(target, false);
+}
+
+/**
+ * Like readonly(), but nested values are returned as is.
+ */
+export function shallowReadonly<T>(target: T): T {
+  return createReadonly(target, true);
+}
+
+export function isRef(r: any): boolean {
+  return !!(r && r._isRef === true);
+}
+
+/**
+ * Unwrap a ref, returning other values as is.
+ */
+export function unref<T>(r: T | Ref<T>): T {
+  return isRef(r) ? (r: any).value : (r: any);
+}
+
+/**
+ * Create a lazily evaluated, cached ref whose value is re-computed only
+ * after one of its dependencies changed.
+ */
+export function computed<T>(
+  getterOrOptions: (() => T) | { get: () => T, set?: (v: T) => void },
+  debugOptions?: { onTrack?: Function, onTrigger?: Function }
+): Ref<T> {
+  let getter, setter;
+  if (typeof getterOrOptions === "function") {
+    getter = getterOrOptions;
+  } else {
+    getter = getterOrOptions.get;
+    setter = getterOrOptions.set;
+  }
+  // computed properties are just getters during SSR
+  const watcher = isServerRendering()
+    ? null
+    : new Watcher(
+        null,
+        getter,
+        noop,
+        process.env.NODE_ENV !== "production" && debugOptions
+          ? {
+              lazy: true,
+              onTrack: debugOptions.onTrack,
+              onTrigger: debugOptions.onTrigger,
+            }
+          : { lazy: true }
+      );
+
+  const r: any = {};
+  def(r, "_isRef", true);
+  // # 与 instance/state.js 中的 createComputedGetter 一致：脏检查 + 依赖透传
+  // flow has problems with directly declared definition objects
+  const valueDef = {};
+  valueDef.enumerable = true;
+  valueDef.configurable = true;
+  valueDef.get = function () {
+    if (!watcher) {
+      return getter();
+    }
+    if (watcher.dirty) {
+      watcher.evaluate();
+    }
+    if (Dep.target) {
+      watcher.depend();
+    }
+    return watcher.value;
+  };
+  valueDef.set = function (value: T) {
+    if (setter) {
+      setter(value);
+    } else if (process.env.NODE_ENV !== "production") {
+      warn(`Write operation failed: computed value is readonly.`);
+    }
+  };
+  Object.defineProperty(r, "value", valueDef);
+  def(r, "effect", watcher);
+  return r;
+}
+
+/**
+ * Run a function immediately while tracking its reactive dependencies,
+ * and re-run it whenever they change. Returns a function that stops it.
+ */
+export function watchEffect(
+  effect: () => any,
+  options?: {
+    flush?: "pre" | "post" | "sync",
+    sync?: boolean,
+    onTrack?: Function,
+    onTrigger?: Function,
+  }
+): Function {
+  if (isServerRendering()) {
+    return noop;
+  }
+  const watcher = new Watcher(
+    null,
+    effect,
+    noop,
+    extend({ user: true }, options)
+  );
+  return function stop() {
+    watcher.teardown();
+  };
+}
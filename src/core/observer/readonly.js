@@ -0,0 +1,155 @@
+/*
+ * not type checking this file because flow doesn't play well with Proxy
+ */
+
+import {
+  warn,
+  hasProxy,
+  isObject,
+  isPlainObject,
+  isValidArrayIndex,
+} from "../util/index";
+
+/*
+  # 只读代理，读取时不会观察数据（也就不会递归遍历大对象），修改时在开发环境下给出警告
+  # 嵌套的对象和数组在读取时才被包装成只读代理；shallow 模式下直接返回原始值
+  # 如果被包装的是响应式对象，读取仍然会通过它的 getter / 拦截器收集依赖
+*/
+
+// # 所有的只读代理对象
+const readonlyProxies = hasProxy ? new WeakSet() : null;
+// # 原始对象 => 代理对象，同一个对象只创建一个只读代理
+const readonlyCache = hasProxy ? new WeakMap() : null;
+const shallowReadonlyCache = hasProxy ? new WeakMap() : null;
+// # 代理对象 => 所在的位置 { parent, key, vm }，用于在警告中给出组件和 key 的路径
+const readonlyParents = hasProxy ? new WeakMap() : null;
+
+export function isReadonly(value) {
+  return !!readonlyProxies && isObject(value) && readonlyProxies.has(value);
+}
+
+/**
+ * Create a readonly view of an object or array. Nested values are wrapped
+ * lazily on access unless the view is shallow.
+ */
+export function createReadonly(target, shallow) {
+  if (!isObject(target)) {
+    if (process.env.NODE_ENV !== "production") {
+      warn(`value cannot be made readonly: ${String(target)}`);
+    }
+    return target;
+  }
+  if (isReadonly(target)) {
+    return target;
+  }
+  if (!hasProxy) {
+    if (process.env.NODE_ENV !== "production") {
+      warn(
+        `readonly() requires native Proxy support, the value is returned ` +
+          `as is.`
+      );
+    }
+    return target;
+  }
+  const cache = shallow ? shallowReadonlyCache : readonlyCache;
+  let proxy = cache.get(target);
+  if (!proxy) {
+    proxy = new Proxy(
+      target,
+      shallow ? shallowReadonlyHandlers : readonlyHandlers
+    );
+    cache.set(target, proxy);
+    readonlyProxies.add(proxy);
+  }
+  return proxy;
+}
+
+/**
+ * Record the component and data key a readonly value is stored under, so
+ * that mutation warnings can name them.
+ */
+export function setReadonlyOwner(value, vm, key) {
+  if (isReadonly(value) && !readonlyParents.has(value)) {
+    readonlyParents.set(value, { parent: null, key, vm });
+  }
+}
+
+function getKeyPath(proxy, key) {
+  const segments = [key];
+  let vm;
+  const seen = [proxy];
+  let info = readonlyParents.get(proxy);
+  while (info) {
+    segments.unshift(info.key);
+    vm = info.vm;
+    const parent = info.parent;
+    // circular structures
+    if (!parent || seen.indexOf(parent) > -1) break;
+    seen.push(parent);
+    info = readonlyParents.get(parent);
+  }
+  return {
+    vm,
+    path: segments
+      .map((segment, i) =>
+        isValidArrayIndex(segment)
+          ? `[${segment}]`
+          : `${i ? "." : ""}${String(segment)}`
+      )
+      .join(""),
+  };
+}
+
+/**
+ * Warn about a mutation of a readonly value, naming the key path and the
+ * component it belongs to when known.
+ */
+export function warnReadonly(proxy, key, operation) {
+  if (process.env.NODE_ENV !== "production") {
+    const { vm, path } = getKeyPath(proxy, key);
+    warn(
+      `${operation} operation on key "${path}" failed: target is readonly.`,
+      vm
+    );
+  }
+}
+
+function shouldWrap(target, key, value) {
+  if (!(Array.isArray(value) || isPlainObject(value))) {
+    return false;
+  }
+  // non-configurable, non-writable properties must be returned as is
+  const desc = Object.getOwnPropertyDescriptor(target, key);
+  return !desc || desc.configurable || desc.writable || !!desc.get;
+}
+
+function createHandlers(shallow) {
+  return {
+    get(target, key, receiver) {
+      const res = Reflect.get(target, key, receiver);
+      if (shallow || !isObject(res) || !shouldWrap(target, key, res)) {
+        return res;
+      }
+      const child = createReadonly(res, false);
+      if (!readonlyParents.has(child)) {
+        readonlyParents.set(child, { parent: receiver, key });
+      }
+      return child;
+    },
+    set(target, key, value, receiver) {
+      warnReadonly(receiver, key, "Set");
+      return true;
+    },
+    deleteProperty(target, key) {
+      warnReadonly(getProxy(target), key, "Delete");
+      return true;
+    },
+  };
+}
+
+function getProxy(target) {
+  return readonlyCache.get(target) || shallowReadonlyCache.get(target);
+}
+
+const readonlyHandlers = hasProxy ? createHandlers(false) : null;
+const shallowReadonlyHandlers = hasProxy ? createHandlers(true) : null;
@@ -1,19 +1,46 @@
 /* @flow */
 
 import type Watcher from "./watcher";
+import type { DebuggerEventExtraInfo } from "./dep";
 import config from "../config";
 import { callHook, activateChildComponent } from "../instance/lifecycle";
 
-import { warn, nextTick, devtools, inBrowser, isIE } from "../util/index";
+import {
+  warn,
+  nextTick,
+  devtools,
+  inBrowser,
+  isIE,
+  formatComponentName,
+  yieldToMain,
+  holdCallbacks,
+  releaseCallbacks,
+} from "../util/index";
 
-export const MAX_UPDATE_COUNT = 100;
+export type UpdateLoopEntry = {
+  component: ?string,
+  expression: string,
+  isRenderWatcher: boolean,
+  key: any,
+};
+
+export type UpdateLoopReport = {
+  limit: number,
+  chain: Array<UpdateLoopEntry>,
+};
 
 const queue: Array<Watcher> = [];
 const activatedChildren: Array<Component> = [];
 let has: { [key: number]: ?true } = {};
+// # 由用户输入触发入队的 watcher，分片刷新时优先执行
+let inputPriority: { [key: number]: ?true } = {};
 let circular: { [key: number]: number } = {};
+// # 开发环境下记录每个 watcher 是被哪个 watcher（以及哪个 key）触发入队的，用于诊断无限更新循环
+let triggers: { [key: number]: { watcher: ?Watcher, key: any } } = {};
 let waiting = false;
 let flushing = false;
+let yielding = false;
+let handlingInput = false;
 let index = 0;
 
 /**
@@ -22,10 +49,12 @@ let index = 0;
 function resetSchedulerState() {
   index = queue.length = activatedChildren.length = 0;
   has = {};
+  inputPriority = {};
   if (process.env.NODE_ENV !== "production") {
     circular = {};
+    triggers = {};
   }
-  waiting = flushing = false;
+  waiting = flushing = yielding = false;
 }
 
 // Async edge case #6566 requires saving the timestamp when event listeners are
@@ -59,6 +88,42 @@ if (inBrowser && !isIE) {
   }
 }
 
+/**
+ * Watchers with flush: 'pre' run right before their component's render
+ * watcher even if they were created after it, and watchers with
+ * flush: 'post' run after all other watchers, i.e. after the DOM has been
+ * patched. When time slicing, watchers queued by user input run before
+ * the others. Otherwise watchers run in creation order.
+ */
+function getSortId(watcher: Watcher): number {
+  const renderWatcher = watcher.pre && watcher.vm ? watcher.vm._watcher : null;
+  return renderWatcher && renderWatcher.id < watcher.id
+    ? renderWatcher.id - 0.5
+    : watcher.id;
+}
+
+function sortCompareFn(a: Watcher, b: Watcher): number {
+  return (
+    (a.post ? 1 : 0) - (b.post ? 1 : 0) ||
+    (inputPriority[b.id] ? 1 : 0) - (inputPriority[a.id] ? 1 : 0) ||
+    getSortId(a) - getSortId(b)
+  );
+}
+
+/**
+ * Run a user input handler. Watchers queued by it are flushed ahead of the
+ * rest of the queue when time slicing is enabled.
+ */
+export function runWithInputPriority(fn: Function, ctx: any, args: any): any {
+  const prev = handlingInput;
+  handlingInput = true;
+  try {
+    return fn.apply(ctx, args);
+  } finally {
+    handlingInput = prev;
+  }
+}
+
 /**
  * Flush both queues and run the watchers.
  */
@@ -72,7 +137,6 @@ if (inBrowser && !isIE) {
 function flushSchedulerQueue() {
   currentFlushTimestamp = getNow();
   flushing = true;
-  let watcher, id;
 
   // Sort queue before flush.
   // This ensures that:
@@ -82,14 +146,50 @@ function flushSchedulerQueue() {
   //    user watchers are created before the render watcher)
   // 3. If a component is destroyed during a parent component's watcher run,
   //    its watchers can be skipped.
+  // 4. Watchers with flush: 'post' run after all components have been
+  //    re-rendered, so they can access the updated DOM.
+  // 5. When time slicing, watchers queued by user input run first.
   /*
     # 刷新队列之前先给队列排序（升序），可以保证：
     #   1、组件的更新顺序为从父级到子级，因为父组件总是在子组件之前被创建
     #   2、一个组件的用户 watcher 在其渲染 watcher 之前被执行，因为用户 watcher 先于渲染 watcher 创建
     #   3、如果一个组件在其父组件的 watcher 执行期间被销毁，则它的 watcher 可以被跳过
+    #   4、flush 为 post 的 watcher 排在最后，在所有组件重新渲染之后执行，可以访问更新后的 DOM
+    #   5、开启分片刷新时，由用户输入触发的 watcher 优先执行
     # 排序以后在刷新队列期间新进来的 watcher 也会按顺序放入队列的合适位置
   */
-  queue.sort((a, b) => a.id - b.id);
+  queue.sort(sortCompareFn);
+
+  index = 0;
+  runWatchers();
+}
+
+/**
+ * Continue a time-sliced flush after yielding to the browser.
+ */
+function resumeFlush() {
+  yielding = false;
+  index++;
+  currentFlushTimestamp = getNow();
+  runWatchers();
+}
+
+/**
+ * Run the queued watchers starting at the current index. When time slicing
+ * is enabled, yield to the browser once the frame budget has been spent
+ * and resume in a later task; the updated hooks and nextTick callbacks are
+ * held back until the whole queue has been flushed.
+ */
+/*
+  # 从当前 index 开始执行队列中的 watcher
+  # 开启分片刷新时，本次执行超过 config.frameBudget 则让出主线程，在下一个宏任务中继续执行，
+  # 期间新入队的用户输入 watcher 会被插入到队列前面优先执行；
+  # 等整个队列执行完毕后才调用 updated 钩子和 nextTick 回调，保证顺序与不分片时一致
+*/
+function runWatchers() {
+  const timeSliced = config.timeSlicing && config.async;
+  const sliceStart = getNow();
+  let watcher, id;
 
   // do not cache length because more watchers might be pushed
   // as we run existing watchers
@@ -97,32 +197,49 @@ function flushSchedulerQueue() {
     # 这里直接使用了 queue.length，动态计算队列的长度，没有缓存长度，
     # 是因为在执行现有 watcher 期间队列中可能会被 push 进新的 watcher
   */
-  for (index = 0; index < queue.length; index++) {
+  for (; index < queue.length; index++) {
     watcher = queue[index];
+    id = watcher.id;
+    // in dev build, check and stop circular updates. A watcher that keeps
+    // running again within the same flush is part of an update loop, either
+    // by re-queueing itself or through other watchers.
+    // # 开发环境下统计 watcher 在本次刷新中重复执行的次数，超过 config.maxUpdateCount 则认为出现了无限更新循环
+    if (process.env.NODE_ENV !== "production") {
+      if (circular[id] == null) {
+        circular[id] = 0;
+      } else if (++circular[id] > config.maxUpdateCount) {
+        const report = getUpdateLoopReport(watcher);
+        warn(
+          "You may have an infinite update loop " +
+            (watcher.user
+              ? `in watcher with expression "${watcher.expression}"`
+              : `in a component render function`) +
+            formatUpdateLoopReport(report),
+          watcher.vm,
+          report
+        );
+        break;
+      }
+    }
     if (watcher.before) {
       watcher.before();
     }
     // # 将缓存的 watcher 清除
-    id = watcher.id;
     has[id] = null;
     /*
       # 执行 watcher.run，最终触发更新函数，比如 updateComponent
       # 或者获取 this.xx（xx 为用户 watch 的第二个参数），当然第二个参数也有可能是一个函数，那就直接执行
     */
     watcher.run();
-    // in dev build, check and stop circular updates.
-    if (process.env.NODE_ENV !== "production" && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1;
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          "You may have an infinite update loop " +
-            (watcher.user
-              ? `in watcher with expression "${watcher.expression}"`
-              : `in a component render function.`),
-          watcher.vm
-        );
-        break;
-      }
+    if (
+      timeSliced &&
+      index < queue.length - 1 &&
+      getNow() - sliceStart >= config.frameBudget
+    ) {
+      yielding = true;
+      holdCallbacks();
+      yieldToMain(resumeFlush);
+      return;
     }
   }
 
@@ -148,6 +265,47 @@ function flushSchedulerQueue() {
   if (devtools && config.devtools) {
     devtools.emit("flush");
   }
+
+  releaseCallbacks();
+}
+
+/**
+ * Walk back from the watcher that exceeded the update limit through the
+ * watchers that re-queued it, until the cycle closes.
+ */
+function getUpdateLoopReport(watcher: Watcher): UpdateLoopReport {
+  const chain = [];
+  const seen = {};
+  let current = watcher;
+  while (current && !seen[current.id]) {
+    seen[current.id] = true;
+    const trigger = triggers[current.id];
+    const vm = current.vm;
+    chain.unshift({
+      component: vm ? formatComponentName(vm, false) : null,
+      expression: current.expression,
+      isRenderWatcher: !!vm && vm._watcher === current,
+      key: trigger ? trigger.key : undefined,
+    });
+    current = trigger ? trigger.watcher : null;
+  }
+  return { limit: config.maxUpdateCount, chain };
+}
+
+function formatUpdateLoopReport(report: UpdateLoopReport): string {
+  const lines = report.chain.map((entry, i) => {
+    const source = entry.isRenderWatcher
+      ? "render function"
+      : `watcher "${entry.expression}"`;
+    const key =
+      entry.key !== undefined ? ` (triggered by "${String(entry.key)}")` : "";
+    const prefix = i === 0 ? "   " : "-> ";
+    return `\n${prefix}${entry.component || "<Effect>"} ${source}${key}`;
+  });
+  return (
+    ` (exceeded config.maxUpdateCount of ${report.limit}).\n\n` +
+    `Watchers involved in the loop:${lines.join("")}\n`
+  );
 }
 
 function callUpdatedHooks(queue) {
@@ -155,7 +313,7 @@ function callUpdatedHooks(queue) {
   while (i--) {
     const watcher = queue[i];
     const vm = watcher.vm;
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       callHook(vm, "updated");
     }
   }
@@ -185,12 +343,24 @@ function callActivatedHooks(queue) {
  * pushed when the queue is being flushed.
  */
 // # 将 watcher 放置在 watcher 队列
-export function queueWatcher(watcher: Watcher) {
+export function queueWatcher(
+  watcher: Watcher,
+  info?: DebuggerEventExtraInfo
+) {
   const id = watcher.id;
   // # 如果 watcher 已经存在，则跳过，不会重复入队
   if (has[id] == null) {
     // # 缓存 watcher.id，用于判断 watcher 是否已经入队
     has[id] = true;
+    if (handlingInput && config.timeSlicing) {
+      inputPriority[id] = true;
+    }
+    if (process.env.NODE_ENV !== "production") {
+      triggers[id] = {
+        watcher: flushing && !yielding ? queue[index] : null,
+        key: info ? info.key : undefined,
+      };
+    }
     if (!flushing) {
       // # 当前没有处于刷新队列状态，watcher 直接入队
       queue.push(watcher);
@@ -205,7 +375,7 @@ export function queueWatcher(watcher: Watcher) {
         # 即将当前 watcher 放入已排序的队列中，且队列仍是有序的
       */
       let i = queue.length - 1;
-      while (i > index && queue[i].id > watcher.id) {
+      while (i > index && sortCompareFn(queue[i], watcher) > 0) {
         i--;
       }
       queue.splice(i + 1, 0, watcher);
@@ -3,6 +3,7 @@
 import { _Set as Set, isObject } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
+import { isCollection } from './collection'
 
 const seenObjects = new Set()
 
@@ -37,6 +38,11 @@ function _traverse (val: any, seen: SimpleSet) {
     // # 对数组中的每一项进行处理
     i = val.length
     while (i--) _traverse(val[i], seen)
+  } else if (isCollection(val)) {
+    // # 对 Map、Set 中的每一个值进行处理，WeakMap、WeakSet 无法遍历
+    if (typeof val.forEach === 'function') {
+      val.forEach(item => _traverse(item, seen))
+    }
   } else {
     // # 对对象中的每一个属性进行处理
     keys = Object.keys(val)
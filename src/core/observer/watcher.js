@@ -13,8 +13,11 @@ import {
 
 import { traverse } from "./traverse";
 import { queueWatcher } from "./scheduler";
+import { recordEffectScope } from "./effect-scope";
 import Dep, { pushTarget, popTarget } from "./dep";
 
+import type { DebuggerEventExtraInfo } from "./dep";
+
 import type { SimpleSet } from "../util/index";
 
 let uid = 0;
@@ -29,7 +32,7 @@ let uid = 0;
   # 当数据更新时 watcher 会被触发，访问 this.computedProperty 时也会触发 watcher
 */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
@@ -37,6 +40,8 @@ export default class Watcher {
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  pre: boolean;
+  post: boolean;
   dirty: boolean;
   active: boolean;
   deps: Array<Dep>;
@@ -44,11 +49,13 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  onTrack: ?Function;
+  onTrigger: ?Function;
   getter: Function;
   value: any;
 
   constructor(
-    vm: Component,
+    vm: ?Component,
     expOrFn: string | Function,
     cb: Function,
     options?: ?Object,
@@ -56,19 +63,50 @@ export default class Watcher {
   ) {
     // debugger;
     this.vm = vm;
-    if (isRenderWatcher) {
-      vm._watcher = this;
+    if (vm) {
+      if (isRenderWatcher) {
+        vm._watcher = this;
+      }
+      vm._watchers.push(this);
+    } else {
+      // # 不属于任何组件的 watcher（比如 watchEffect、computed），由 effectScope 负责销毁
+      recordEffectScope(this);
     }
-    vm._watchers.push(this);
     // options
     if (options) {
       this.deep = !!options.deep;
       this.user = !!options.user;
       this.lazy = !!options.lazy;
-      this.sync = !!options.sync;
+      /*
+        # flush 选项决定 watcher 的执行时机：
+        #   pre：在所属组件重新渲染之前执行，即使 watcher 是在组件挂载之后创建的
+        #   post：在本轮所有组件更新（DOM patch）完成之后执行
+        #   sync：数据变化时同步执行，等同于 sync: true
+        #   不传时按创建顺序执行（在组件挂载之前创建的 watcher 与 pre 相同）
+      */
+      this.sync = !!options.sync || options.flush === "sync";
+      this.pre = options.flush === "pre";
+      this.post = options.flush === "post";
       this.before = options.before;
+      if (
+        process.env.NODE_ENV !== "production" &&
+        options.flush != null &&
+        ["pre", "post", "sync"].indexOf(options.flush) < 0
+      ) {
+        warn(
+          `Invalid watcher flush option: "${String(options.flush)}". ` +
+            `Expected "pre", "post" or "sync".`,
+          vm
+        );
+      }
+      if (process.env.NODE_ENV !== "production") {
+        // # 调试钩子，依赖被收集和被触发时调用
+        this.onTrack = options.onTrack;
+        this.onTrigger = options.onTrigger;
+      }
     } else {
       this.deep = this.user = this.lazy = this.sync = false;
+      this.pre = this.post = false;
     }
     this.cb = cb;
     this.id = ++uid; // uid for batching
@@ -200,7 +238,7 @@ export default class Watcher {
    * Subscriber interface.
    * Will be called when a dependency changes.
    */
-  update() {
+  update(info?: DebuggerEventExtraInfo) {
     /* istanbul ignore else */
     // # 懒执行时走这里，比如 computed
     if (this.lazy) {
@@ -217,7 +255,7 @@ export default class Watcher {
       this.run();
     } else {
       // # 更新时一般走这里，将 watcher 放入 watcher 队列
-      queueWatcher(this);
+      queueWatcher(this, info);
     }
   }
 
@@ -301,7 +339,7 @@ export default class Watcher {
       // remove self from vm's watcher list
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
-      if (!this.vm._isBeingDestroyed) {
+      if (this.vm && !this.vm._isBeingDestroyed) {
         remove(this.vm._watchers, this);
       }
       let i = this.deps.length;
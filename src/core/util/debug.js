@@ -3,6 +3,15 @@
 import config from '../config'
 import { noop } from 'shared/util'
 
+/**
+ * Get the config of the app created with Vue.createApp() that the
+ * instance belongs to.
+ */
+export function getAppConfig (vm: any): ?AppConfig {
+  const app = vm && vm.$root && vm.$root.$options._app
+  return app ? app.config : null
+}
+
 export let warn = noop
 export let tip = noop
 export let generateComponentTrace = (noop: any) // work around flow check
@@ -15,11 +24,19 @@ if (process.env.NODE_ENV !== 'production') {
     .replace(classifyRE, c => c.toUpperCase())
     .replace(/[-_]/g, '')
 
-  warn = (msg, vm) => {
+  warn = (msg, vm, report) => {
     const trace = vm ? generateComponentTrace(vm) : ''
+    const appConfig = getAppConfig(vm)
+    const warnHandler = (appConfig && appConfig.warnHandler) || config.warnHandler
 
-    if (config.warnHandler) {
-      config.warnHandler.call(null, msg, vm, trace)
+    if (warnHandler) {
+      // structured details (e.g. update loop reports) are only passed
+      // along when present
+      if (report) {
+        warnHandler.call(null, msg, vm, trace, report)
+      } else {
+        warnHandler.call(null, msg, vm, trace)
+      }
     } else if (hasConsole && (!config.silent)) {
       console.error(`[Vue warn]: ${msg}${trace}`)
     }
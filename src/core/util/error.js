@@ -1,7 +1,7 @@
 /* @flow */
 
 import config from "../config";
-import { warn } from "./debug";
+import { warn, getAppConfig } from "./debug";
 import { inBrowser, inWeex } from "./env";
 import { isPromise } from "shared/util";
 import { pushTarget, popTarget } from "../observer/dep";
@@ -13,18 +13,27 @@ export function handleError(err: Error, vm: any, info: string) {
   try {
     if (vm) {
       let cur = vm;
-      while ((cur = cur.$parent)) {
-        const hooks = cur.$options.errorCaptured;
+      while (cur) {
+        const parent = cur.$parent;
+        // # 先交给位于当前组件和父组件之间的错误边界处理
+        let boundary = cur._errorBoundary;
+        while (boundary && isBoundaryBelow(boundary, parent)) {
+          if (boundary.captureError(err, vm, info)) return;
+          boundary = boundary._errorBoundary;
+        }
+        if (!parent) break;
+        const hooks = parent.$options.errorCaptured;
         if (hooks) {
           for (let i = 0; i < hooks.length; i++) {
             try {
-              const capture = hooks[i].call(cur, err, vm, info) === false;
+              const capture = hooks[i].call(parent, err, vm, info) === false;
               if (capture) return;
             } catch (e) {
-              globalHandleError(e, cur, "errorCaptured hook");
+              globalHandleError(e, parent, "errorCaptured hook");
             }
           }
         }
+        cur = parent;
       }
     }
     globalHandleError(err, vm, info);
@@ -33,6 +42,15 @@ export function handleError(err: Error, vm: any, info: string) {
   }
 }
 
+// # 错误边界是否位于当前组件和 parent 之间（中间只隔着抽象组件），parent 自身也可能是错误边界
+function isBoundaryBelow(boundary: Component, parent: ?Component): boolean {
+  let cur = boundary;
+  while (cur && cur !== parent && cur.$options.abstract) {
+    cur = cur.$parent;
+  }
+  return cur === parent;
+}
+
 /*
   # 通用函数，执行指定函数 handler
   # 传递进来的函数会被用 try catch 包裹，进行异常捕获处理
@@ -61,9 +79,13 @@ export function invokeWithErrorHandling(
 }
 
 function globalHandleError(err, vm, info) {
-  if (config.errorHandler) {
+  // # 应用级别的 errorHandler 优先于全局的 config.errorHandler
+  const appConfig = getAppConfig(vm);
+  const errorHandler =
+    (appConfig && appConfig.errorHandler) || config.errorHandler;
+  if (errorHandler) {
     try {
-      return config.errorHandler.call(null, err, vm, info);
+      return errorHandler.call(null, err, vm, info);
     } catch (e) {
       // if the user intentionally throws the original error in the handler,
       // do not log it twice
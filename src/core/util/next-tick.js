@@ -9,6 +9,8 @@ export let isUsingMicroTask = false;
 
 const callbacks = [];
 let pending = false;
+// # 分片刷新期间被挂起的回调，等刷新全部完成后再执行
+let heldCallbacks: ?Array<Function> = null;
 
 /*
   # 做了三件事：
@@ -21,7 +23,32 @@ function flushCallbacks() {
   const copies = callbacks.slice(0);
   callbacks.length = 0;
   for (let i = 0; i < copies.length; i++) {
-    copies[i]();
+    if (heldCallbacks) {
+      heldCallbacks.push(copies[i]);
+    } else {
+      copies[i]();
+    }
+  }
+}
+
+/**
+ * Hold back nextTick callbacks until releaseCallbacks() is called. Used by
+ * the scheduler while a time-sliced flush is yielding, so that callbacks
+ * still observe the fully updated DOM.
+ */
+export function holdCallbacks() {
+  if (!heldCallbacks) {
+    heldCallbacks = [];
+  }
+}
+
+export function releaseCallbacks() {
+  const held = heldCallbacks;
+  if (held) {
+    heldCallbacks = null;
+    for (let i = 0; i < held.length; i++) {
+      held[i]();
+    }
   }
 }
 
@@ -104,6 +131,63 @@ if (typeof Promise !== "undefined" && isNative(Promise)) {
   };
 }
 
+// Yielding to the main thread needs a (macro) task, so that the browser can
+// render and handle user input before the callback runs. MessageChannel
+// fires as soon as possible after that, requestIdleCallback may wait until
+// the browser is idle, and the remaining fallbacks are the same as above.
+/*
+  # 让出主线程需要使用宏任务，这样浏览器可以先渲染、响应用户输入，再执行回调
+  # 优先级：MessageChannel > requestIdleCallback > setImmediate > setTimeout
+*/
+const yieldCallbacks = [];
+let yieldPending = false;
+let yieldTimerFunc;
+
+function flushYieldCallbacks() {
+  yieldPending = false;
+  const copies = yieldCallbacks.slice(0);
+  yieldCallbacks.length = 0;
+  for (let i = 0; i < copies.length; i++) {
+    copies[i]();
+  }
+}
+
+/* istanbul ignore next, $flow-disable-line */
+if (typeof MessageChannel !== "undefined" && isNative(MessageChannel)) {
+  const channel = new MessageChannel();
+  channel.port1.onmessage = flushYieldCallbacks;
+  yieldTimerFunc = () => {
+    channel.port2.postMessage(1);
+  };
+} else if (
+  typeof requestIdleCallback !== "undefined" &&
+  isNative(requestIdleCallback)
+) {
+  yieldTimerFunc = () => {
+    requestIdleCallback(flushYieldCallbacks, { timeout: 50 });
+  };
+} else if (typeof setImmediate !== "undefined" && isNative(setImmediate)) {
+  yieldTimerFunc = () => {
+    setImmediate(flushYieldCallbacks);
+  };
+} else {
+  yieldTimerFunc = () => {
+    setTimeout(flushYieldCallbacks, 0);
+  };
+}
+
+/**
+ * Run a callback in a later (macro) task, after the browser has had a
+ * chance to render and handle pending events.
+ */
+export function yieldToMain(cb: Function) {
+  yieldCallbacks.push(cb);
+  if (!yieldPending) {
+    yieldPending = true;
+    yieldTimerFunc();
+  }
+}
+
 /*
   # 完成两件事：
   #   1、用 try catch 包装 flushSchedulerQueue 函数，然后将其放入 callbacks 数组
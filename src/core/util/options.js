@@ -234,6 +234,7 @@ strats.watch = function (
  * Other object hashes.
  */
 strats.props =
+  strats.emits =
   strats.methods =
   strats.inject =
   strats.computed =
@@ -270,6 +271,24 @@ function checkComponents(options: Object) {
   }
 }
 
+/**
+ * Reactive provide re-evaluates the provide function, an object has
+ * nothing to track.
+ */
+function checkReactiveProvide(options: Object, vm: ?Component) {
+  if (
+    options.reactiveProvide &&
+    options.provide &&
+    typeof options.provide !== "function"
+  ) {
+    warn(
+      `The "reactiveProvide" option requires "provide" to be a function ` +
+        `that reads reactive state, the provided object is injected as is.`,
+      vm
+    );
+  }
+}
+
 export function validateComponentName(name: string) {
   if (
     !new RegExp(`^[a-zA-Z][\\-\\.0-9_${unicodeRegExp.source}]*$`).test(name)
@@ -353,6 +372,32 @@ function normalizeInject(options: Object, vm: ?Component) {
   }
 }
 
+/**
+ * Normalize emits into Object-based format, mapping each declared event
+ * to its payload validator (or null).
+ */
+function normalizeEmits(options: Object, vm: ?Component) {
+  const emits = options.emits;
+  if (!emits) return;
+  const normalized = (options.emits = {});
+  if (Array.isArray(emits)) {
+    for (let i = 0; i < emits.length; i++) {
+      normalized[emits[i]] = null;
+    }
+  } else if (isPlainObject(emits)) {
+    for (const key in emits) {
+      const val = emits[key];
+      normalized[key] = typeof val === "function" ? val : null;
+    }
+  } else if (process.env.NODE_ENV !== "production") {
+    warn(
+      `Invalid value for option "emits": expected an Array or an Object, ` +
+        `but got ${toRawType(emits)}.`,
+      vm
+    );
+  }
+}
+
 /**
  * Normalize raw function directives into object format.
  */
@@ -399,10 +444,15 @@ export function mergeOptions(
     child = child.options;
   }
 
-  // # 标准化 props、inject、directive 选项，方便后续程序的处理
+  if (process.env.NODE_ENV !== "production") {
+    checkReactiveProvide(child, vm);
+  }
+
+  // # 标准化 props、inject、emits、directive 选项，方便后续程序的处理
   // # 将多种写法统一成一种格式，方便后续处理
   normalizeProps(child, vm);
   normalizeInject(child, vm);
+  normalizeEmits(child, vm);
   normalizeDirectives(child);
 
   // Apply extends and mixins on the child options,
@@ -425,6 +475,11 @@ export function mergeOptions(
     }
   }
 
+  // # 应用内的组件使用应用自己的合并策略
+  const app = parent._app;
+  const mergeStrats: { [key: string]: Function } = app
+    ? app.config.optionMergeStrategies
+    : strats;
   const options = {};
   let key;
   for (key in parent) {
@@ -444,7 +499,7 @@ export function mergeOptions(
   function mergeField(key) {
 
     // # strat 是合并策略函数，如果 key 冲突，则 childVal 会 覆盖 parentVal
-    const strat = strats[key] || defaultStrat;
+    const strat = mergeStrats[key] || defaultStrat;
     // # 值为如果 childVal 存在则优先使用 childVal，否则使用 parentVal
     options[key] = strat(parent[key], child[key], vm, key);
   }
@@ -10,7 +10,8 @@ import {
   isDef,
   isUndef,
   isTrue,
-  isObject
+  isObject,
+  hasOwn
 } from '../util/index'
 
 import {
@@ -69,6 +70,9 @@ const componentVNodeHooks = {
     if (!componentInstance._isMounted) {
       componentInstance._isMounted = true
       callHook(componentInstance, 'mounted')
+      if (componentInstance._hydrated) {
+        callHook(componentInstance, 'hydrated')
+      }
     }
     if (vnode.data.keepAlive) {
       if (context._isMounted) {
@@ -151,7 +155,7 @@ export function createComponent (
   resolveConstructorOptions(Ctor)
 
   // transform component v-model data into props & events
-  if (isDef(data.model)) {
+  if (isDef(data.model) || isDef(data.models)) {
     transformModel(Ctor.options, data)
   }
 
@@ -172,14 +176,18 @@ export function createComponent (
 
   if (isTrue(Ctor.options.abstract)) {
     // abstract components do not keep anything
-    // other than props & listeners & slot
+    // other than props & listeners & slot & scoped slots
 
     // work around flow
     const slot = data.slot
+    const scopedSlots = data.scopedSlots
     data = {}
     if (slot) {
       data.slot = slot
     }
+    if (scopedSlots) {
+      data.scopedSlots = scopedSlots
+    }
   }
 
   // install component management hooks onto the placeholder node
@@ -248,14 +256,40 @@ function mergeHook (f1: any, f2: any): Function {
 }
 
 // transform component v-model info (value and callback) into
-// prop and event handler respectively.
+// prop and event handler respectively. v-model:arg binds the arg prop
+// and the "update:arg" event instead.
 function transformModel (options, data: any) {
-  const prop = (options.model && options.model.prop) || 'value'
-  const event = (options.model && options.model.event) || 'input'
-  ;(data.attrs || (data.attrs = {}))[prop] = data.model.value
+  const model = data.model
+  if (isDef(model)) {
+    const prop = (options.model && options.model.prop) || 'value'
+    const event = (options.model && options.model.event) || 'input'
+    bindModel(options, data, model, prop, event, 'modelModifiers')
+  }
+  const models = data.models
+  if (isDef(models)) {
+    for (const arg in models) {
+      bindModel(options, data, models[arg], arg, `update:${arg}`, `${arg}Modifiers`)
+    }
+  }
+}
+
+function bindModel (
+  options,
+  data: any,
+  model: VNodeModel,
+  prop: string,
+  event: string,
+  modifiersProp: string
+) {
+  const attrs = data.attrs || (data.attrs = {})
+  attrs[prop] = model.value
+  // modifiers are only passed to components declaring the prop for them
+  if (isDef(model.modifiers) && options.props && hasOwn(options.props, modifiersProp)) {
+    attrs[modifiersProp] = model.modifiers
+  }
   const on = data.on || (data.on = {})
   const existing = on[event]
-  const callback = data.model.callback
+  const callback = model.callback
   if (isDef(existing)) {
     if (
       Array.isArray(existing)
@@ -76,8 +76,8 @@ export function FunctionalRenderContext (
   }
 
   if (options._scopeId) {
-    this._c = (a, b, c, d) => {
-      const vnode = createElement(contextVm, a, b, c, d, needNormalization)
+    this._c = (a, b, c, d, e) => {
+      const vnode = createElement(contextVm, a, b, c, d, needNormalization, e)
       if (vnode && !Array.isArray(vnode)) {
         vnode.fnScopeId = options._scopeId
         vnode.fnContext = parent
@@ -85,7 +85,7 @@ export function FunctionalRenderContext (
       return vnode
     }
   } else {
-    this._c = (a, b, c, d) => createElement(contextVm, a, b, c, d, needNormalization)
+    this._c = (a, b, c, d, e) => createElement(contextVm, a, b, c, d, needNormalization, e)
   }
 }
 
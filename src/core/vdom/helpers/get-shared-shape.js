@@ -0,0 +1,8 @@
+/* @flow */
+
+// The shape of a vnode only describes its changes when the old vnode was
+// rendered from the same compiled element, otherwise the data is diffed fully.
+export function getSharedShape (oldVnode: VNodeWithData, vnode: VNodeWithData): ?VNodeShape {
+  const shape = vnode.shape
+  return shape && shape === oldVnode.shape ? shape : null
+}
@@ -0,0 +1,75 @@
+/* @flow */
+
+import { warn } from 'core/util/index'
+
+// events that trigger the hydration of an 'interaction' island
+const interactionEvents = ['click', 'focusin', 'pointerenter', 'touchstart']
+
+/**
+ * Call hydrate() once the trigger of the lazy hydration strategy fires on
+ * the server-rendered root element of a component. Returns a function that
+ * cancels the pending trigger.
+ */
+export function onHydrationTrigger (
+  strategy: string,
+  el: HTMLElement,
+  hydrate: Function
+): Function {
+  if (strategy === 'visible') {
+    if (typeof IntersectionObserver === 'undefined') {
+      hydrate()
+      return noopCancel
+    }
+    const observer = new IntersectionObserver(entries => {
+      for (let i = 0; i < entries.length; i++) {
+        if (entries[i].isIntersecting) {
+          observer.disconnect()
+          hydrate()
+          return
+        }
+      }
+    }, {})
+    observer.observe(el)
+    return () => observer.disconnect()
+  }
+
+  if (strategy === 'idle') {
+    if (typeof requestIdleCallback !== 'undefined') {
+      const id = requestIdleCallback(() => hydrate())
+      return () => cancelIdleCallback(id)
+    }
+    const id = setTimeout(() => hydrate(), 1)
+    return () => clearTimeout(id)
+  }
+
+  if (strategy === 'interaction') {
+    const teardown = () => {
+      interactionEvents.forEach(event => {
+        el.removeEventListener(event, onEvent, true)
+      })
+    }
+    // hydrate in the capture phase, before the event reaches its target:
+    // the listeners attached by the hydration then receive the original
+    // event, so preventDefault() and the default action (e.g. toggling a
+    // checkbox) apply only once, without replaying it
+    const onEvent = () => {
+      teardown()
+      hydrate()
+    }
+    interactionEvents.forEach(event => {
+      el.addEventListener(event, onEvent, true)
+    })
+    return teardown
+  }
+
+  // static islands are never hydrated
+  if (strategy !== 'never') {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(`Unknown lazy hydration strategy: "${strategy}".`)
+    }
+    hydrate()
+  }
+  return noopCancel
+}
+
+function noopCancel () {}
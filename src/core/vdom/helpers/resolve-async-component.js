@@ -40,6 +40,29 @@ export function createAsyncPlaceholder (
   return node
 }
 
+/**
+ * Invoke a callback once an async component factory has resolved or
+ * failed, e.g. for <suspense> to wait for its content.
+ */
+export function onAsyncComponentSettled (factory: Function, cb: Function) {
+  if (isTrue(factory.settled)) {
+    cb()
+  } else {
+    (factory.settledCbs || (factory.settledCbs = [])).push(cb)
+  }
+}
+
+function settle (factory: Function) {
+  factory.settled = true
+  const cbs = factory.settledCbs
+  if (cbs) {
+    factory.settledCbs = null
+    for (let i = 0; i < cbs.length; i++) {
+      cbs[i]()
+    }
+  }
+}
+
 export function resolveAsyncComponent (
   factory: Function,
   baseCtor: Class<Component>
@@ -98,6 +121,7 @@ export function resolveAsyncComponent (
       } else {
         owners.length = 0
       }
+      settle(factory)
     })
 
     const reject = once(reason => {
@@ -109,6 +133,7 @@ export function resolveAsyncComponent (
         factory.error = true
         forceRender(true)
       }
+      settle(factory)
     })
 
     const res = factory(resolve, reject)
@@ -12,10 +12,20 @@
 
 import VNode, { cloneVNode } from "./vnode";
 import config from "../config";
-import { SSR_ATTR } from "shared/constants";
+import {
+  SSR_ATTR,
+  LAZY_HYDRATION_ATTR,
+  PATCH_TEXT,
+  PATCH_HOISTED,
+} from "shared/constants";
 import { registerRef } from "./modules/ref";
 import { traverse } from "../observer/traverse";
-import { activeInstance } from "../instance/lifecycle";
+import {
+  activeInstance,
+  setActiveInstance,
+  callHook,
+} from "../instance/lifecycle";
+import { onHydrationTrigger, getSharedShape } from "./helpers/index";
 import { isTextInputType } from "web/util/element";
 
 import {
@@ -39,6 +49,7 @@ function sameVnode(a, b) {
     a.asyncFactory === b.asyncFactory &&
     ((a.tag === b.tag &&
       a.isComment === b.isComment &&
+      a.isFragment === b.isFragment &&
       isDef(a.data) === isDef(b.data) &&
       sameInputType(a, b)) ||
       (isTrue(a.isAsyncPlaceholder) && isUndef(b.asyncFactory.error)))
@@ -63,6 +74,47 @@ function createKeyToOldIdx(children, beginIdx, endIdx) {
   return map;
 }
 
+// # 描述 vnode / DOM 节点，用于 hydration 不匹配的报告
+function describeVnode(vnode) {
+  if (isDef(vnode.tag)) {
+    return `<${vnode.tag}>`;
+  }
+  return isTrue(vnode.isComment) ? "#comment" : "#text";
+}
+
+function describeNode(node) {
+  if (node.nodeType === 1) {
+    return `<${node.tagName.toLowerCase()}>`;
+  }
+  return node.nodeType === 8 ? "#comment" : "#text";
+}
+
+// # 从根组件到 vm 的组件名称列表
+function getComponentPath(vm) {
+  const path = [];
+  while (vm) {
+    const options = vm.$options;
+    path.unshift(
+      vm.$root === vm
+        ? "Root"
+        : options.name || options._componentTag || "Anonymous"
+    );
+    vm = vm.$parent;
+  }
+  return path;
+}
+
+function formatMismatch(mismatch) {
+  const { reason, key, expected, actual, path } = mismatch;
+  const location = path.length
+    ? ` in ${path.map((name) => `<${name}>`).join(" > ")}`
+    : "";
+  return (
+    `Mismatching ${reason}${isDef(key) ? ` "${key}"` : ""}${location}: ` +
+    `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}.`
+  );
+}
+
 export function createPatchFunction(backend) {
   let i, j;
   const cbs = {};
@@ -88,10 +140,10 @@ export function createPatchFunction(backend) {
     );
   }
 
-  function createRmCb(childElm, listeners) {
+  function createRmCb(childElm, listeners, lastElm) {
     function remove() {
       if (--remove.listeners === 0) {
-        removeNode(childElm);
+        removeElms(childElm, lastElm);
       }
     }
     remove.listeners = listeners;
@@ -106,13 +158,53 @@ export function createPatchFunction(backend) {
     }
   }
 
+  // remove the nodes from elm up to lastElm, which are siblings when the
+  // vnode is a fragment or a component with a fragment root. these are moved
+  // into a detached container to keep them together, e.g. for keep-alive
+  function removeElms(elm, lastElm) {
+    if (elm === lastElm || isUndef(lastElm)) {
+      removeNode(elm);
+      return;
+    }
+    const container = nodeOps.createElement("div");
+    while (isDef(elm)) {
+      const next = elm === lastElm ? null : nodeOps.nextSibling(elm);
+      nodeOps.appendChild(container, elm);
+      elm = next;
+    }
+  }
+
+  // the last DOM node of a vnode, elm is the first one
+  function getLastElm(vnode) {
+    while (isDef(vnode.componentInstance) && vnode.componentInstance._vnode) {
+      vnode = vnode.componentInstance._vnode;
+    }
+    return isTrue(vnode.isFragment) ? vnode.anchor : vnode.elm;
+  }
+
+  // insert or move all DOM nodes of a vnode
+  function insertVnodeElms(parentElm, vnode, refElm) {
+    const lastElm = getLastElm(vnode);
+    let elm = vnode.elm;
+    while (isDef(elm) && elm !== lastElm) {
+      const next = nodeOps.nextSibling(elm);
+      insert(parentElm, elm, refElm);
+      elm = next;
+    }
+    insert(parentElm, lastElm, refElm);
+  }
+
   function isUnknownElement(vnode, inVPre) {
+    const app = vnode.context && vnode.context.$root.$options._app;
+    const ignoredElements = app
+      ? app.config.ignoredElements
+      : config.ignoredElements;
     return (
       !inVPre &&
       !vnode.ns &&
       !(
-        config.ignoredElements.length &&
-        config.ignoredElements.some((ignore) => {
+        ignoredElements.length &&
+        ignoredElements.some((ignore) => {
           return isRegExp(ignore)
             ? ignore.test(vnode.tag)
             : ignore === vnode.tag;
@@ -140,6 +232,9 @@ export function createPatchFunction(backend) {
       // reference node. Instead, we clone the node on-demand before creating
       // associated DOM element for it.
       vnode = ownerArray[index] = cloneVNode(vnode);
+      // the descendants are cloned as they are created, so they are patched
+      // by a full diff next time
+      vnode.dynamicChildren = undefined;
     }
 
     vnode.isRootInsert = !nested; // for transition enter check
@@ -205,12 +300,35 @@ export function createPatchFunction(backend) {
     } else if (isTrue(vnode.isComment)) {
       vnode.elm = nodeOps.createComment(vnode.text);
       insert(parentElm, vnode.elm, refElm);
+    } else if (isTrue(vnode.isFragment)) {
+      createFragment(vnode, insertedVnodeQueue, parentElm, refElm);
     } else {
       vnode.elm = nodeOps.createTextNode(vnode.text);
       insert(parentElm, vnode.elm, refElm);
     }
   }
 
+  // # fragment：子节点渲染在两个空文本节点（锚点）之间
+  function createFragment(vnode, insertedVnodeQueue, parentElm, refElm) {
+    const start = (vnode.elm = nodeOps.createTextNode(""));
+    const end = (vnode.anchor = nodeOps.createTextNode(""));
+    insert(parentElm, start, refElm);
+    let parent = nodeOps.parentNode(start);
+    if (!parent) {
+      // keep the nodes of a detached fragment together until it's inserted
+      parent = nodeOps.createElement("div");
+      nodeOps.appendChild(parent, start);
+    }
+    nodeOps.insertBefore(parent, end, nodeOps.nextSibling(start));
+    const children = vnode.children;
+    if (process.env.NODE_ENV !== "production") {
+      checkDuplicateKeys(children);
+    }
+    for (let i = 0; i < children.length; ++i) {
+      createElm(children[i], insertedVnodeQueue, parent, end, true, children, i);
+    }
+  }
+
   function createComponent(vnode, insertedVnodeQueue, parentElm, refElm) {
     let i = vnode.data;
     if (isDef(i)) {
@@ -224,7 +342,7 @@ export function createPatchFunction(backend) {
       // in that case we can just return the element and be done.
       if (isDef(vnode.componentInstance)) {
         initComponent(vnode, insertedVnodeQueue);
-        insert(parentElm, vnode.elm, refElm);
+        insertVnodeElms(parentElm, vnode, refElm);
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm);
         }
@@ -273,7 +391,7 @@ export function createPatchFunction(backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm);
+    insertVnodeElms(parentElm, vnode, refElm);
   }
 
   function insert(parent, elm, ref) {
@@ -380,6 +498,11 @@ export function createPatchFunction(backend) {
 
   function invokeDestroyHook(vnode) {
     let i, j;
+    // # 尚未 hydrate 的组件没有实例，只需取消等待中的触发器
+    if (isDef((i = vnode.lazyHydration))) {
+      i.cancel();
+      return;
+    }
     const data = vnode.data;
     if (isDef(data)) {
       if (isDef((i = data.hook)) && isDef((i = i.destroy))) i(vnode);
@@ -399,6 +522,10 @@ export function createPatchFunction(backend) {
         if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch);
           invokeDestroyHook(ch);
+        } else if (isTrue(ch.isFragment)) {
+          removeVnodes(ch.children, 0, ch.children.length - 1);
+          removeNode(ch.elm);
+          removeNode(ch.anchor);
         } else {
           // Text node
           removeNode(ch.elm);
@@ -417,7 +544,7 @@ export function createPatchFunction(backend) {
         rm.listeners += listeners;
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners);
+        rm = createRmCb(vnode.elm, listeners, getLastElm(vnode));
       }
       // recursively invoke hooks on child component root node
       if (
@@ -445,7 +572,8 @@ export function createPatchFunction(backend) {
     oldCh,
     newCh,
     insertedVnodeQueue,
-    removeOnly
+    removeOnly,
+    endElm
   ) {
     // debugger
     let oldStartIdx = 0;
@@ -504,10 +632,10 @@ export function createPatchFunction(backend) {
           newEndIdx
         );
         canMove &&
-          nodeOps.insertBefore(
+          insertVnodeElms(
             parentElm,
-            oldStartVnode.elm,
-            nodeOps.nextSibling(oldEndVnode.elm)
+            oldStartVnode,
+            nodeOps.nextSibling(getLastElm(oldEndVnode))
           );
         oldStartVnode = oldCh[++oldStartIdx];
         newEndVnode = newCh[--newEndIdx];
@@ -520,8 +648,7 @@ export function createPatchFunction(backend) {
           newCh,
           newStartIdx
         );
-        canMove &&
-          nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm);
+        canMove && insertVnodeElms(parentElm, oldEndVnode, oldStartVnode.elm);
         oldEndVnode = oldCh[--oldEndIdx];
         newStartVnode = newCh[++newStartIdx];
       } else {
@@ -556,11 +683,7 @@ export function createPatchFunction(backend) {
             // # 这项设置为 undefined，表示设置完毕
             oldCh[idxInOld] = undefined;
             canMove &&
-              nodeOps.insertBefore(
-                parentElm,
-                vnodeToMove.elm,
-                oldStartVnode.elm
-              );
+              insertVnodeElms(parentElm, vnodeToMove, oldStartVnode.elm);
           } else {
             // same key but different element. treat as new element
             createElm(
@@ -579,7 +702,8 @@ export function createPatchFunction(backend) {
     }
     if (oldStartIdx > oldEndIdx) {
       // # 还有元素需要加入
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm;
+      // # fragment 的子节点插入到结束锚点之前
+      refElm = isUndef(newCh[newEndIdx + 1]) ? endElm : newCh[newEndIdx + 1].elm;
       addVnodes(
         parentElm,
         refElm,
@@ -648,6 +772,13 @@ export function createPatchFunction(backend) {
       return;
     }
 
+    // # 尚未 hydrate 的组件保留服务端 DOM，触发时使用最新的 vnode 进行 hydrate
+    if (isDef(oldVnode.lazyHydration)) {
+      vnode.lazyHydration = oldVnode.lazyHydration;
+      vnode.lazyHydration.vnode = vnode;
+      return;
+    }
+
     // reuse element for static trees.
     // note we only do this if the vnode is cloned -
     // if the new node is not cloned it means the render functions have been
@@ -670,12 +801,47 @@ export function createPatchFunction(backend) {
 
     const oldCh = oldVnode.children;
     const ch = vnode.children;
-    if (isDef(data) && isPatchable(vnode)) {
-      for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode);
-      if (isDef((i = data.hook)) && isDef((i = i.update))) i(oldVnode, vnode);
+    if (isTrue(vnode.isFragment)) {
+      vnode.anchor = oldVnode.anchor;
+      if (oldCh !== ch) {
+        updateChildren(
+          nodeOps.parentNode(elm),
+          oldCh,
+          ch,
+          insertedVnodeQueue,
+          removeOnly,
+          vnode.anchor
+        );
+      }
+      return;
     }
+    // # 编译器生成的形状，说明了同一个元素在两次渲染之间哪些部分可能变化
+    const shape = getSharedShape(oldVnode, vnode);
+    updateData(oldVnode, vnode, shape);
     if (isUndef(vnode.text)) {
-      if (isDef(oldCh) && isDef(ch)) {
+      if (
+        isDef(oldVnode.dynamicChildren) &&
+        isDef(vnode.dynamicChildren) &&
+        oldVnode.block === vnode.block
+      ) {
+        // # 同一个 block 的结构不变，只需要 patch 收集到的动态后代节点
+        // # 不同 block 的元素（如 v-if/v-else）在下面做完整的 diff
+        patchBlockChildren(oldVnode.dynamicChildren, vnode.dynamicChildren);
+        copyBlockElms(oldCh, ch);
+      } else if (
+        shape &&
+        shape.flag & PATCH_TEXT &&
+        isDef(oldCh) &&
+        isDef(ch) &&
+        oldCh.length === 1 &&
+        ch.length === 1
+      ) {
+        // the only child is a text node, update it in place
+        const text = (ch[0].elm = oldCh[0].elm);
+        if (oldCh[0].text !== ch[0].text) {
+          nodeOps.setTextContent(text, ch[0].text);
+        }
+      } else if (isDef(oldCh) && isDef(ch)) {
         if (oldCh !== ch)
           updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly);
       } else if (isDef(ch)) {
@@ -698,6 +864,66 @@ export function createPatchFunction(backend) {
     }
   }
 
+  function updateData(oldVnode, vnode, shape) {
+    let i;
+    const data = vnode.data;
+    if (isDef(data) && isPatchable(vnode)) {
+      // hoisted data is the same object in every render
+      if (!shape || !(shape.flag & PATCH_HOISTED)) {
+        for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode);
+      }
+      if (isDef((i = data.hook)) && isDef((i = i.update))) i(oldVnode, vnode);
+    }
+  }
+
+  // the dynamic descendants of a block are in the same order in every
+  // render, their children are patched as part of the block as well
+  function patchBlockChildren(oldCh, ch) {
+    for (let i = 0; i < ch.length; ++i) {
+      const oldVnode = oldCh[i];
+      let vnode = ch[i];
+      if (isDef(vnode.elm)) {
+        // clone reused vnode
+        vnode = ch[i] = cloneVNode(vnode);
+      }
+      const elm = (vnode.elm = oldVnode.elm);
+      if (isDef(vnode.text)) {
+        if (oldVnode.text !== vnode.text) {
+          nodeOps.setTextContent(elm, vnode.text);
+        }
+      } else {
+        updateData(oldVnode, vnode, getSharedShape(oldVnode, vnode));
+        let j;
+        if (
+          isDef((j = vnode.data)) &&
+          isDef((j = j.hook)) &&
+          isDef((j = j.postpatch))
+        ) {
+          j(oldVnode, vnode);
+        }
+      }
+    }
+  }
+
+  // the static nodes of a block are not patched, they take over the
+  // elements of the previous render so that the tree can be diffed in full
+  // later, e.g. when an element is reused for another block
+  function copyBlockElms(oldCh, ch) {
+    for (let i = 0; i < ch.length; ++i) {
+      const oldVnode = oldCh[i];
+      const vnode = ch[i];
+      if (oldVnode === vnode) {
+        continue;
+      }
+      if (isUndef(vnode.elm)) {
+        vnode.elm = oldVnode.elm;
+      }
+      if (isDef(oldVnode.children) && isDef(vnode.children)) {
+        copyBlockElms(oldVnode.children, vnode.children);
+      }
+    }
+  }
+
   function invokeInsertHook(vnode, queue, initial) {
     // delay insert hooks for component root nodes, invoke them after the
     // element is really inserted
@@ -710,13 +936,68 @@ export function createPatchFunction(backend) {
     }
   }
 
-  let hydrationBailed = false;
   // list of modules that can skip create hook during hydration because they
   // are already rendered on the client or has no need for initialization
   // Note: style is excluded because it relies on initial clone for future
   // deep updates (#7063).
   const isRenderedModule = makeMap("attrs,class,staticClass,staticStyle,key");
 
+  // # 平台模块提供的检查，比较服务端渲染的属性与 vnode 是否一致
+  const hydrationChecks = [];
+  for (i = 0; i < modules.length; ++i) {
+    if (isDef(modules[i].checkHydration)) {
+      hydrationChecks.push(modules[i].checkHydration);
+    }
+  }
+
+  // # 第一处导致放弃 hydration 的不匹配，用于开发环境下的警告
+  let bailedMismatch = null;
+  // # 正在 hydrate 的根 vnode，它不匹配时整个组件都会在客户端重新渲染，无法部分恢复
+  let hydrationRoot = null;
+
+  function isPartialRecovery() {
+    return config.hydrationRecovery === "partial";
+  }
+
+  // # 开发环境下总是检查，生产环境下只在配置了报告或部分恢复时检查
+  function shouldCheckMismatch() {
+    return (
+      process.env.NODE_ENV !== "production" ||
+      isDef(config.hydrationMismatchHandler) ||
+      isPartialRecovery()
+    );
+  }
+
+  /*
+    # 报告一处不匹配：交给 config.hydrationMismatchHandler 以及正在 hydrate 的组件的
+    # hydrationMismatch 钩子。recovered 表示是否只在原地修复了该节点，
+    # 而不是放弃整个组件的 hydration
+  */
+  function reportMismatch(mismatch, recovered) {
+    mismatch.recovered = recovered;
+    mismatch.path = getComponentPath(mismatch.vnode.context || activeInstance);
+    if (!recovered && !bailedMismatch) {
+      bailedMismatch = mismatch;
+    }
+    if (config.hydrationMismatchHandler) {
+      config.hydrationMismatchHandler(mismatch, activeInstance);
+    }
+    if (activeInstance) {
+      callHook(activeInstance, "hydrationMismatch", [mismatch]);
+    }
+  }
+
+  function checkNodeData(elm, vnode) {
+    let mismatched = false;
+    for (let i = 0; i < hydrationChecks.length; i++) {
+      hydrationChecks[i](vnode, (reason, key, expected, actual) => {
+        mismatched = true;
+        reportMismatch({ reason, node: elm, vnode, key, expected, actual }, true);
+      });
+    }
+    return mismatched;
+  }
+
   // Note: this is a browser-only function so we can assume elms are DOM nodes.
   function hydrate(elm, vnode, insertedVnodeQueue, inVPre) {
     let i;
@@ -728,9 +1009,31 @@ export function createPatchFunction(backend) {
       vnode.isAsyncPlaceholder = true;
       return true;
     }
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre);
+    }
+    // # 服务端标记为延迟 hydrate 的组件，在触发之前不处理其 DOM
+    if (
+      isDef(vnode.componentOptions) &&
+      elm.nodeType === 1 &&
+      elm.hasAttribute(LAZY_HYDRATION_ATTR) &&
+      deferHydration(elm, vnode)
+    ) {
+      return true;
+    }
     // assert node match
-    if (process.env.NODE_ENV !== "production") {
+    if (shouldCheckMismatch()) {
       if (!assertNodeMatch(elm, vnode, inVPre)) {
+        reportMismatch(
+          {
+            reason: "node",
+            node: elm,
+            vnode,
+            expected: describeVnode(vnode),
+            actual: describeNode(elm),
+          },
+          isPartialRecovery() && vnode !== hydrationRoot
+        );
         return false;
       }
     }
@@ -744,6 +1047,10 @@ export function createPatchFunction(backend) {
       }
     }
     if (isDef(tag)) {
+      // # 属性不一致时在下面重新执行 create 钩子，用 vnode 的数据修复
+      const dataMismatched =
+        isDef(data) && shouldCheckMismatch() && checkNodeData(elm, vnode);
+      let htmlMismatched = false;
       if (isDef(children)) {
         // empty element, allow client to pick up and populate children
         if (!elm.hasChildNodes()) {
@@ -756,75 +1063,241 @@ export function createPatchFunction(backend) {
             isDef((i = i.innerHTML))
           ) {
             if (i !== elm.innerHTML) {
-              /* istanbul ignore if */
-              if (
-                process.env.NODE_ENV !== "production" &&
-                typeof console !== "undefined" &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true;
-                console.warn("Parent: ", elm);
-                console.warn("server innerHTML: ", i);
-                console.warn("client innerHTML: ", elm.innerHTML);
+              reportMismatch(
+                {
+                  reason: "innerHTML",
+                  node: elm,
+                  vnode,
+                  expected: i,
+                  actual: elm.innerHTML,
+                },
+                isPartialRecovery()
+              );
+              if (!isPartialRecovery()) {
+                return false;
               }
-              return false;
+              htmlMismatched = true;
             }
           } else {
             // iterate and compare children lists
-            let childrenMatch = true;
-            let childNode = elm.firstChild;
-            for (let i = 0; i < children.length; i++) {
-              if (
-                !childNode ||
-                !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)
-              ) {
-                childrenMatch = false;
-                break;
-              }
-              childNode = childNode.nextSibling;
+            let childNode = hydrateChildren(
+              elm,
+              elm.firstChild,
+              children,
+              insertedVnodeQueue,
+              inVPre,
+              false
+            );
+            if (childNode === false) {
+              return false;
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
-            if (!childrenMatch || childNode) {
-              /* istanbul ignore if */
-              if (
-                process.env.NODE_ENV !== "production" &&
-                typeof console !== "undefined" &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true;
-                console.warn("Parent: ", elm);
-                console.warn(
-                  "Mismatching childNodes vs. VNodes: ",
-                  elm.childNodes,
-                  children
-                );
+            if (childNode) {
+              reportMismatch(
+                {
+                  reason: "children",
+                  node: elm,
+                  vnode,
+                  expected: null,
+                  actual: describeNode(childNode),
+                },
+                isPartialRecovery()
+              );
+              if (!isPartialRecovery()) {
+                return false;
+              }
+              while (childNode) {
+                const next = childNode.nextSibling;
+                removeNode(childNode);
+                childNode = next;
               }
-              return false;
             }
           }
         }
       }
       if (isDef(data)) {
-        let fullInvoke = false;
-        for (const key in data) {
-          if (!isRenderedModule(key)) {
-            fullInvoke = true;
-            invokeCreateHooks(vnode, insertedVnodeQueue);
-            break;
+        let fullInvoke = dataMismatched || htmlMismatched;
+        if (!fullInvoke) {
+          for (const key in data) {
+            if (!isRenderedModule(key)) {
+              fullInvoke = true;
+              break;
+            }
           }
         }
-        if (!fullInvoke && data["class"]) {
+        if (fullInvoke) {
+          invokeCreateHooks(vnode, insertedVnodeQueue);
+        } else if (data["class"]) {
           // ensure collecting deps for deep class bindings for future updates
           traverse(data["class"]);
         }
       }
     } else if (elm.data !== vnode.text) {
+      if (shouldCheckMismatch()) {
+        reportMismatch(
+          {
+            reason: "text",
+            node: elm,
+            vnode,
+            expected: vnode.text,
+            actual: elm.data,
+          },
+          true
+        );
+      }
       elm.data = vnode.text;
     }
     return true;
   }
 
+  // # 返回 false 表示触发器已同步触发，组件直接按正常流程 hydrate
+  function deferHydration(elm, vnode) {
+    const pending = {
+      vnode,
+      // # 组件实例的 $parent
+      parent: activeInstance,
+      cancel: null,
+    };
+    let triggeredSync = false;
+    const cancel = onHydrationTrigger(
+      elm.getAttribute(LAZY_HYDRATION_ATTR),
+      elm,
+      () => {
+        elm.removeAttribute(LAZY_HYDRATION_ATTR);
+        if (!pending.cancel) {
+          triggeredSync = true;
+          return;
+        }
+        const vnode = pending.vnode;
+        vnode.lazyHydration = undefined;
+        const insertedVnodeQueue = [];
+        const restoreActiveInstance = setActiveInstance(pending.parent);
+        hydrate(elm, vnode, insertedVnodeQueue);
+        restoreActiveInstance();
+        invokeInsertHook(vnode, insertedVnodeQueue, false);
+      }
+    );
+    if (triggeredSync) {
+      return false;
+    }
+    pending.cancel = cancel;
+    vnode.lazyHydration = pending;
+    return true;
+  }
+
+  /*
+    # 依次 hydrate 子节点，返回最后一个子节点之后的服务端节点，失败时返回 false
+    # 部分恢复模式下，不匹配的子节点会在客户端重新渲染并替换对应的服务端节点
+  */
+  function hydrateChildren(
+    parentElm,
+    childNode,
+    children,
+    insertedVnodeQueue,
+    inVPre,
+    inFragment
+  ) {
+    const partial = isPartialRecovery();
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i];
+      if (!childNode || (inFragment && isFragmentAnchor(childNode, "]"))) {
+        reportMismatch(
+          {
+            reason: "children",
+            node: parentElm,
+            vnode: child,
+            expected: describeVnode(child),
+            actual: null,
+          },
+          partial
+        );
+        if (!partial) {
+          return false;
+        }
+        createElm(child, insertedVnodeQueue, parentElm, childNode);
+      } else if (!hydrate(childNode, child, insertedVnodeQueue, inVPre)) {
+        if (!partial) {
+          return false;
+        }
+        const next = childNode.nextSibling;
+        createElm(child, insertedVnodeQueue, parentElm, childNode);
+        removeNode(childNode);
+        childNode = next;
+      } else {
+        childNode = getLastElm(child).nextSibling;
+      }
+    }
+    return childNode;
+  }
+
+  // server rendered fragments are wrapped in <!--[--> and <!--]--> comments,
+  // which are used as the anchors
+  function isFragmentAnchor(node, data) {
+    return isDef(node) && node.nodeType === 8 && node.data === data;
+  }
+
+  function hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre) {
+    if (!isFragmentAnchor(elm, "[")) {
+      reportMismatch(
+        {
+          reason: "fragment",
+          node: elm,
+          vnode,
+          expected: "<!--[-->",
+          actual: describeNode(elm),
+        },
+        isPartialRecovery() && vnode !== hydrationRoot
+      );
+      return false;
+    }
+    const parentElm = elm.parentNode;
+    let childNode = hydrateChildren(
+      parentElm,
+      elm.nextSibling,
+      vnode.children,
+      insertedVnodeQueue,
+      inVPre,
+      true
+    );
+    if (childNode === false) {
+      return false;
+    }
+    if (!isFragmentAnchor(childNode, "]")) {
+      reportMismatch(
+        {
+          reason: "fragment",
+          node: childNode || parentElm,
+          vnode,
+          expected: "<!--]-->",
+          actual: childNode ? describeNode(childNode) : null,
+        },
+        isPartialRecovery()
+      );
+      if (!isPartialRecovery()) {
+        return false;
+      }
+      // # 移除多余的服务端节点直到结束锚点，找不到时创建一个新的锚点
+      let end = childNode;
+      while (end && !isFragmentAnchor(end, "]")) {
+        end = end.nextSibling;
+      }
+      if (end) {
+        while (childNode !== end) {
+          const next = childNode.nextSibling;
+          removeNode(childNode);
+          childNode = next;
+        }
+      } else {
+        const anchor = nodeOps.createComment("]");
+        nodeOps.insertBefore(parentElm, anchor, childNode);
+        childNode = anchor;
+      }
+    }
+    vnode.anchor = childNode;
+    return true;
+  }
+
   function assertNodeMatch(node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return (
@@ -866,18 +1339,30 @@ export function createPatchFunction(backend) {
             hydrating = true;
           }
           if (isTrue(hydrating)) {
-            if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
+            bailedMismatch = null;
+            const prevHydrationRoot = hydrationRoot;
+            hydrationRoot = vnode;
+            const hydrated = hydrate(oldVnode, vnode, insertedVnodeQueue);
+            hydrationRoot = prevHydrationRoot;
+            if (hydrated) {
+              // # 由 mounted 之后的 hydrated 钩子通知组件
+              if (activeInstance) {
+                activeInstance._hydrated = true;
+              }
               invokeInsertHook(vnode, insertedVnodeQueue, true);
               return oldVnode;
-            } else if (process.env.NODE_ENV !== "production") {
+            }
+            if (process.env.NODE_ENV !== "production") {
               warn(
                 "The client-side rendered virtual DOM tree is not matching " +
                   "server-rendered content. This is likely caused by incorrect " +
                   "HTML markup, for example nesting block-level elements inside " +
                   "<p>, or missing <tbody>. Bailing hydration and performing " +
-                  "full client-side render."
+                  "full client-side render." +
+                  (bailedMismatch ? `\n\n${formatMismatch(bailedMismatch)}` : "")
               );
             }
+            bailedMismatch = null;
           }
           // either not server-rendered, or hydration failed.
           // create an empty node and replace it
@@ -896,7 +1381,7 @@ export function createPatchFunction(backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(getLastElm(oldVnode))
         );
 
         // update parent placeholder node element, recursively
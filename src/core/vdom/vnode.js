@@ -23,11 +23,17 @@ export default class VNode {
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  isFragment: boolean; // multiple root nodes, rendered between two anchors
+  anchor: Node | void; // end anchor of a fragment, elm is the start anchor
+  lazyHydration: Object | void; // pending hydration of a server-rendered component
   ssrContext: Object | void;
   fnContext: Component | void; // real context vm for functional nodes
   fnOptions: ?ComponentOptions; // for SSR caching
   devtoolsMeta: ?Object; // used to store functional render context for devtools
   fnScopeId: ?string; // functional scope id support
+  shape: VNodeShape | void; // compiled shape, tells which parts of the data can change
+  block: Object | void; // compiled block, shared by the vnodes rendered from it
+  dynamicChildren: ?Array<VNode>; // descendants of a block that have to be patched
 
   constructor (
     tag?: string,
@@ -62,6 +68,12 @@ export default class VNode {
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
+    this.isFragment = false
+    this.anchor = undefined
+    this.lazyHydration = undefined
+    this.shape = undefined
+    this.block = undefined
+    this.dynamicChildren = undefined
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -78,6 +90,12 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+export function createFragmentVNode (children: Array<VNode>): VNode {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
@@ -104,10 +122,14 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.isStatic = vnode.isStatic
   cloned.key = vnode.key
   cloned.isComment = vnode.isComment
+  cloned.isFragment = vnode.isFragment
   cloned.fnContext = vnode.fnContext
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
   cloned.asyncMeta = vnode.asyncMeta
+  cloned.shape = vnode.shape
+  cloned.block = vnode.block
+  cloned.dynamicChildren = vnode.dynamicChildren && vnode.dynamicChildren.slice()
   cloned.isCloned = true
   return cloned
 }
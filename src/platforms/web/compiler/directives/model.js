@@ -32,10 +32,22 @@ export default function model (
         el.rawAttrsMap['v-model']
       )
     }
+    if (dir.arg && (dir.isDynamicArg || (!el.component && config.isReservedTag(tag)))) {
+      warn(
+        `<${el.tag} ${dir.rawName}="${value}">: ` +
+        (dir.isDynamicArg
+          ? `dynamic v-model arguments are not supported.`
+          : `v-model arguments are only supported on components.`),
+        el.rawAttrsMap[dir.rawName]
+      )
+    }
   }
 
+  // dynamic arguments are not supported and fall back to the default model
+  const arg = dir.isDynamicArg ? null : dir.arg
+
   if (el.component) {
-    genComponentModel(el, value, modifiers)
+    genComponentModel(el, value, modifiers, arg)
     // component v-model doesn't need extra runtime
     return false
   } else if (tag === 'select') {
@@ -47,7 +59,7 @@ export default function model (
   } else if (tag === 'input' || tag === 'textarea') {
     genDefaultModel(el, value, modifiers)
   } else if (!config.isReservedTag(tag)) {
-    genComponentModel(el, value, modifiers)
+    genComponentModel(el, value, modifiers, arg)
     // component v-model doesn't need extra runtime
     return false
   } else if (process.env.NODE_ENV !== 'production') {
@@ -94,6 +94,11 @@ Vue.prototype.$mount = function (
         template,
         {
           outputSourceRange: process.env.NODE_ENV !== "production",
+          /*
+            # 设置了 sourceMap 选项时生成 source map，模版表达式的报错可以定位到模版中
+          */
+          sourceMap: options.sourceMap,
+          filename: options.name && `${options.name}.html`,
           shouldDecodeNewlines,
           shouldDecodeNewlinesForHref,
           /*
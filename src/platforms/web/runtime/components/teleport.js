@@ -0,0 +1,170 @@
+/* @flow */
+
+// Renders its content into another container of the document while the
+// content stays a logical child of the surrounding component tree.
+
+import { warn } from 'core/util/index'
+import { setActiveInstance } from 'core/instance/lifecycle'
+import { isAsyncPlaceholder } from 'core/vdom/helpers/index'
+import * as nodeOps from 'web/runtime/node-ops'
+
+// marks the start of each teleported content in the server rendered target
+export const TELEPORT_MARKER = 'teleport'
+
+function isRenderable (c: VNode): boolean {
+  return !!(c.tag || isAsyncPlaceholder(c) || (c.text && c.text.trim()))
+}
+
+function getSingleChild (children: ?Array<VNode>, vm: Component): ?VNode {
+  children = children && children.filter(isRenderable)
+  if (!children || !children.length) {
+    return
+  }
+  // warn multiple elements
+  if (process.env.NODE_ENV !== 'production' && children.length > 1) {
+    warn(
+      '<teleport> can only be used on a single element. Use a wrapper ' +
+      'element for multiple elements.',
+      vm
+    )
+  }
+  return children[0]
+}
+
+function resolveTarget (to: any, vm: Component): ?Node {
+  const target = typeof to === 'string' ? document.querySelector(to) : to
+  if (!target && process.env.NODE_ENV !== 'production') {
+    warn(`Failed to locate <teleport> target: ${String(to)}`, vm)
+  }
+  return target
+}
+
+// find the server rendered content of the next teleport into the target
+function claimServerRendered (target: any): ?Node {
+  let node = target._teleportCursor || target.firstChild
+  while (node && !(node.nodeType === 8 && node.data === TELEPORT_MARKER)) {
+    node = node.nextSibling
+  }
+  const content = node && node.nextSibling
+  target._teleportCursor = content && content.nextSibling
+  return content
+}
+
+// renders the default slot of the owning <teleport>
+const TeleportContent = {
+  name: 'teleport-content',
+  abstract: true,
+
+  render () {
+    const slot = this.$scopedSlots.default
+    return getSingleChild(slot && slot(), this.$parent)
+  }
+}
+
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    to: [String, Object],
+    disabled: Boolean
+  },
+
+  created () {
+    this._contentVnode = null
+    this._hydrating = false
+  },
+
+  mounted () {
+    this.sync()
+  },
+
+  // sync before the teleport re-renders, so that the content re-renders
+  // in the same flush
+  beforeUpdate () {
+    this.sync()
+  },
+
+  destroyed () {
+    const vnode = this._contentVnode
+    if (vnode) {
+      const elm = vnode.elm
+      this.__patch__(vnode, null)
+      const parent = elm && nodeOps.parentNode(elm)
+      if (parent) {
+        nodeOps.removeChild(parent, elm)
+      }
+    }
+  },
+
+  methods: {
+    /**
+     * Patch the content into the current container, moving it when the
+     * target or the disabled state changed.
+     */
+    sync () {
+      // disabled content is placed right after the teleport's own anchor
+      const target = this.disabled
+        ? nodeOps.parentNode(this.$el)
+        : resolveTarget(this.to, this)
+      if (!target) {
+        return
+      }
+      const ref = this.disabled ? nodeOps.nextSibling(this.$el) : null
+      const prevVnode = this._contentVnode
+      const vnode = this._contentVnode = this.$createElement(TeleportContent, {
+        scopedSlots: {
+          default: props => {
+            const slot = this.$scopedSlots.default
+            return slot && slot(props)
+          }
+        }
+      })
+      // the content instance is a child of the teleport
+      const restoreActiveInstance = setActiveInstance(this)
+      if (prevVnode) {
+        this.__patch__(prevVnode, vnode)
+      } else {
+        const ssrNode = this._hydrating && !this.disabled
+          ? claimServerRendered(target)
+          : null
+        if (ssrNode && ssrNode.nodeType === 1) {
+          this.__patch__(ssrNode, vnode, true)
+        } else {
+          // patch over a placeholder so that the content is already in the
+          // document when its mounted hooks are called
+          const placeholder = nodeOps.createElement('div', vnode)
+          nodeOps.insertBefore(target, placeholder, (ref: any))
+          this.__patch__(placeholder, vnode)
+        }
+      }
+      restoreActiveInstance()
+      const elm = vnode.elm
+      if (
+        elm &&
+        (nodeOps.parentNode(elm) !== target ||
+          (this.disabled && nodeOps.nextSibling(this.$el) !== elm))
+      ) {
+        nodeOps.insertBefore(target, elm, (ref: any))
+      }
+    }
+  },
+
+  render () {
+    // read the props so that changes re-render the teleport and sync
+    // the content, the teleport itself only renders an empty anchor
+    const { to, disabled } = this
+    if (!this._isMounted && this.$el) {
+      this._hydrating = true
+    }
+    if (this.$isServer) {
+      // the server renderer writes the content into ssrContext.teleports,
+      // disabled teleports are mounted on the client after hydration
+      this._ssrTeleport = disabled || typeof to !== 'string' ? null : to
+      if (this._ssrTeleport) {
+        const slot = this.$scopedSlots.default
+        return getSingleChild(slot && slot(), this)
+      }
+    }
+  }
+}
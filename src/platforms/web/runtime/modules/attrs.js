@@ -1,6 +1,8 @@
 /* @flow */
 
 import { isIE, isIE9, isEdge } from 'core/util/env'
+import { PATCH_PROPS, PATCH_FULL_PROPS } from 'shared/constants'
+import { getSharedShape } from 'core/vdom/helpers/index'
 
 import {
   extend,
@@ -35,6 +37,21 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     attrs = vnode.data.attrs = extend({}, attrs)
   }
 
+  // only the dynamic attrs of the same compiled element can change
+  const shape = getSharedShape(oldVnode, vnode)
+  if (shape && !(shape.flag & PATCH_FULL_PROPS)) {
+    const props = shape.flag & PATCH_PROPS && shape.props
+    if (props) {
+      for (let i = 0; i < props.length; i++) {
+        key = props[i]
+        if (key in attrs && attrs[key] !== oldAttrs[key]) {
+          setAttr(elm, key, attrs[key], vnode.data.pre)
+        }
+      }
+    }
+    return
+  }
+
   for (key in attrs) {
     cur = attrs[key]
     old = oldAttrs[key]
@@ -113,7 +130,41 @@ function baseSetAttr (el, key, value) {
   }
 }
 
+// the attribute value setAttr renders for a binding, null if it is absent
+function getRenderedAttr (el: Element, key: string, value: any, isInPre: any): ?string {
+  if (!isInPre && el.tagName.indexOf('-') === -1) {
+    if (isBooleanAttr(key)) {
+      if (isFalsyAttrValue(value)) {
+        return null
+      }
+      return key === 'allowfullscreen' && el.tagName === 'EMBED' ? 'true' : key
+    }
+    if (isEnumeratedAttr(key)) {
+      return convertEnumeratedValue(key, value)
+    }
+  }
+  return isFalsyAttrValue(value) ? null : String(value)
+}
+
+function checkHydration (vnode: VNodeWithData, report: Function) {
+  const attrs = vnode.data.attrs
+  if (isUndef(attrs)) {
+    return
+  }
+  const elm: any = vnode.elm
+  for (const key in attrs) {
+    // xlink attributes and style are rendered by other means
+    if (isXlink(key) || key === 'style') continue
+    const expected = getRenderedAttr(elm, key, attrs[key], vnode.data.pre)
+    const actual = elm.getAttribute(key)
+    if (expected !== actual) {
+      report('attribute', key, expected, actual)
+    }
+  }
+}
+
 export default {
   create: updateAttrs,
-  update: updateAttrs
+  update: updateAttrs,
+  checkHydration
 }
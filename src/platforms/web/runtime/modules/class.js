@@ -5,6 +5,9 @@ import {
   isUndef
 } from 'shared/util'
 
+import { PATCH_CLASS } from 'shared/constants'
+import { getSharedShape } from 'core/vdom/helpers/index'
+
 import {
   concat,
   stringifyClass,
@@ -26,6 +29,10 @@ function updateClass (oldVnode: any, vnode: any) {
   ) {
     return
   }
+  const shape = getSharedShape(oldVnode, vnode)
+  if (shape && !(shape.flag & PATCH_CLASS)) {
+    return
+  }
 
   let cls = genClassForVnode(vnode)
 
@@ -42,7 +49,20 @@ function updateClass (oldVnode: any, vnode: any) {
   }
 }
 
+function normalizeClassList (cls: ?string): string {
+  return cls ? cls.trim().split(/\s+/).sort().join(' ') : ''
+}
+
+function checkHydration (vnode: VNodeWithData, report: Function) {
+  const expected = normalizeClassList(genClassForVnode(vnode))
+  const actual = normalizeClassList(vnode.elm.getAttribute('class'))
+  if (expected !== actual) {
+    report('class', undefined, expected, actual)
+  }
+}
+
 export default {
   create: updateClass,
-  update: updateClass
+  update: updateClass,
+  checkHydration
 }
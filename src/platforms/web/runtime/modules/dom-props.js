@@ -2,6 +2,8 @@
 
 import { isDef, isUndef, extend, toNumber } from 'shared/util'
 import { isSVG } from 'web/util/index'
+import { PATCH_PROPS, PATCH_FULL_PROPS } from 'shared/constants'
+import { getSharedShape } from 'core/vdom/helpers/index'
 
 let svgContainer
 
@@ -18,6 +20,21 @@ function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     props = vnode.data.domProps = extend({}, props)
   }
 
+  // only the dynamic props of the same compiled element can change
+  const shape = getSharedShape(oldVnode, vnode)
+  if (shape && !(shape.flag & PATCH_FULL_PROPS)) {
+    const keys = shape.flag & PATCH_PROPS && shape.props
+    if (keys) {
+      for (let i = 0; i < keys.length; i++) {
+        key = keys[i]
+        if (key in props) {
+          setDOMProp(elm, key, props[key], oldProps[key])
+        }
+      }
+    }
+    return
+  }
+
   for (key in oldProps) {
     if (!(key in props)) {
       elm[key] = ''
@@ -38,40 +55,43 @@ function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
         elm.removeChild(elm.childNodes[0])
       }
     }
+    setDOMProp(elm, key, cur, oldProps[key])
+  }
+}
 
-    if (key === 'value' && elm.tagName !== 'PROGRESS') {
-      // store value as _value as well since
-      // non-string values will be stringified
-      elm._value = cur
-      // avoid resetting cursor position when value is the same
-      const strCur = isUndef(cur) ? '' : String(cur)
-      if (shouldUpdateValue(elm, strCur)) {
-        elm.value = strCur
-      }
-    } else if (key === 'innerHTML' && isSVG(elm.tagName) && isUndef(elm.innerHTML)) {
-      // IE doesn't support innerHTML for SVG elements
-      svgContainer = svgContainer || document.createElement('div')
-      svgContainer.innerHTML = `<svg>${cur}</svg>`
-      const svg = svgContainer.firstChild
-      while (elm.firstChild) {
-        elm.removeChild(elm.firstChild)
-      }
-      while (svg.firstChild) {
-        elm.appendChild(svg.firstChild)
-      }
-    } else if (
-      // skip the update if old and new VDOM state is the same.
-      // `value` is handled separately because the DOM value may be temporarily
-      // out of sync with VDOM state due to focus, composition and modifiers.
-      // This  #4521 by skipping the unnecessary `checked` update.
-      cur !== oldProps[key]
-    ) {
-      // some property updates can throw
-      // e.g. `value` on <progress> w/ non-finite value
-      try {
-        elm[key] = cur
-      } catch (e) {}
+function setDOMProp (elm: any, key: string, cur: any, old: any) {
+  if (key === 'value' && elm.tagName !== 'PROGRESS') {
+    // store value as _value as well since
+    // non-string values will be stringified
+    elm._value = cur
+    // avoid resetting cursor position when value is the same
+    const strCur = isUndef(cur) ? '' : String(cur)
+    if (shouldUpdateValue(elm, strCur)) {
+      elm.value = strCur
+    }
+  } else if (key === 'innerHTML' && isSVG(elm.tagName) && isUndef(elm.innerHTML)) {
+    // IE doesn't support innerHTML for SVG elements
+    svgContainer = svgContainer || document.createElement('div')
+    svgContainer.innerHTML = `<svg>${cur}</svg>`
+    const svg = svgContainer.firstChild
+    while (elm.firstChild) {
+      elm.removeChild(elm.firstChild)
+    }
+    while (svg.firstChild) {
+      elm.appendChild(svg.firstChild)
     }
+  } else if (
+    // skip the update if old and new VDOM state is the same.
+    // `value` is handled separately because the DOM value may be temporarily
+    // out of sync with VDOM state due to focus, composition and modifiers.
+    // This  #4521 by skipping the unnecessary `checked` update.
+    cur !== old
+  ) {
+    // some property updates can throw
+    // e.g. `value` on <progress> w/ non-finite value
+    try {
+      elm[key] = cur
+    } catch (e) {}
   }
 }
 
@@ -1,10 +1,14 @@
 /* @flow */
 
+import config from 'core/config'
 import { isDef, isUndef } from 'shared/util'
 import { updateListeners } from 'core/vdom/helpers/index'
 import { isIE, isFF, supportsPassive, isUsingMicroTask } from 'core/util/index'
 import { RANGE_TOKEN, CHECKBOX_RADIO_TOKEN } from 'web/compiler/directives/model'
-import { currentFlushTimestamp } from 'core/observer/scheduler'
+import {
+  currentFlushTimestamp,
+  runWithInputPriority
+} from 'core/observer/scheduler'
 
 // normalize v-model event tokens that can only be determined at runtime.
 // it's important to place the event as the first in the array because
@@ -44,12 +48,22 @@ function createOnceHandler (event, handler, capture) {
 // safe to exclude.
 const useMicrotaskFix = isUsingMicroTask && !(isFF && Number(isFF[1]) <= 53)
 
+// updates caused by user input are flushed first by a time-sliced scheduler.
+// The flag is read on dispatch where handlers are wrapped anyway, other
+// environments only wrap them while time slicing is enabled.
+function invokeHandler (handler: Function, ctx: any, args: any) {
+  return config.timeSlicing
+    ? runWithInputPriority(handler, ctx, args)
+    : handler.apply(ctx, args)
+}
+
 function add (
   name: string,
   handler: Function,
   capture: boolean,
   passive: boolean
 ) {
+  const invoker = handler
   // async edge case #6566: inner click event triggers patch, event handler
   // attached to outer element during patch, and triggered again. This
   // happens because browsers fire microtask ticks between event propagation.
@@ -58,8 +72,7 @@ function add (
   // AFTER it was attached.
   if (useMicrotaskFix) {
     const attachedTimestamp = currentFlushTimestamp
-    const original = handler
-    handler = original._wrapper = function (e) {
+    handler = function (e) {
       if (
         // no bubbling, should always fire.
         // this is just a safety net in case event.timeStamp is unreliable in
@@ -76,10 +89,15 @@ function add (
         // starting reference
         e.target.ownerDocument !== document
       ) {
-        return original.apply(this, arguments)
+        return invokeHandler(invoker, this, arguments)
       }
     }
+  } else if (config.timeSlicing) {
+    handler = function () {
+      return runWithInputPriority(invoker, this, arguments)
+    }
   }
+  invoker._wrapper = handler
   target.addEventListener(
     name,
     handler,
@@ -1,7 +1,9 @@
 /* @flow */
 
-import { getStyle, normalizeStyleBinding } from 'web/util/style'
+import { getStyle, normalizeStyleBinding, parseStyleText } from 'web/util/style'
 import { cached, camelize, extend, isDef, isUndef, hyphenate } from 'shared/util'
+import { PATCH_STYLE } from 'shared/constants'
+import { getSharedShape } from 'core/vdom/helpers/index'
 
 const cssVarRE = /^--/
 const importantRE = /\s*!important$/
@@ -53,6 +55,10 @@ function updateStyle (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   ) {
     return
   }
+  const shape = getSharedShape(oldVnode, vnode)
+  if (shape && !(shape.flag & PATCH_STYLE)) {
+    return
+  }
 
   let cur, name
   const el: any = vnode.elm
@@ -87,7 +93,24 @@ function updateStyle (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   }
 }
 
+// only checks the properties of the binding, other declarations may come
+// from directives such as v-show
+function checkHydration (vnode: VNodeWithData, report: Function) {
+  const style = getStyle(vnode, false)
+  const actual = parseStyleText(vnode.elm.getAttribute('style') || '')
+  for (const name in style) {
+    const value = style[name]
+    // numbers without units and fallback arrays are not rendered as is
+    if (typeof value !== 'string' && value !== 0) continue
+    const key = hyphenate(name)
+    if (String(value).trim() !== actual[key]) {
+      report('style', key, String(value), actual[key])
+    }
+  }
+}
+
 export default {
   create: updateStyle,
-  update: updateStyle
+  update: updateStyle,
+  checkHydration
 }
@@ -10,7 +10,7 @@ export default function model (
   if (el.tag === 'input' || el.tag === 'textarea') {
     genDefaultModel(el, dir.value, dir.modifiers)
   } else {
-    genComponentModel(el, dir.value, dir.modifiers)
+    genComponentModel(el, dir.value, dir.modifiers, dir.arg)
   }
 }
 
@@ -5,7 +5,8 @@
 import { mergeOptions, isPlainObject, noop } from 'core/util/index'
 import Watcher from 'core/observer/watcher'
 import { initProxy } from 'core/instance/proxy'
-import { initState, getData } from 'core/instance/state'
+import { initPropsState, initState, getData } from 'core/instance/state'
+import { initSetup } from 'core/instance/setup'
 import { initRender } from 'core/instance/render'
 import { initEvents } from 'core/instance/events'
 import { initProvide, initInjections } from 'core/instance/inject'
@@ -52,6 +53,8 @@ function initVirtualComponent (options: Object = {}) {
   initRender(vm)
   callHook(vm, 'beforeCreate')
   initInjections(vm) // resolve injections before data/props
+  initPropsState(vm)
+  initSetup(vm)
   initState(vm)
   initProvide(vm) // resolve provide after data/props
   callHook(vm, 'created')
@@ -42,10 +42,11 @@ export function generate (
 ): CodegenResult {
   const state = new CodegenState(options)
   const code = ast ? genSSRElement(ast, state) : '_c("div")'
-  return {
+  const result = {
     render: `with(this){return ${code}}`,
     staticRenderFns: state.staticRenderFns
   }
+  return state.sourceMap ? state.sourceMap.apply(result) : result
 }
 
 function genSSRElement (el: ASTElement, state: CodegenState): string {
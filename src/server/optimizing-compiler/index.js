@@ -15,6 +15,8 @@ export const createCompiler = createCompilerCreator(function baseCompile (
   return {
     ast,
     render: code.render,
-    staticRenderFns: code.staticRenderFns
+    staticRenderFns: code.staticRenderFns,
+    map: code.map,
+    staticRenderFnMaps: code.staticRenderFnMaps
   }
 })
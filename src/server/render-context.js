@@ -13,6 +13,7 @@ type RenderState = {
   rendered: number;
   total: number;
   children: Array<VNode>;
+  endTag?: string;
 } | {
   type: 'Component';
   prevActive: Component;
@@ -21,7 +22,13 @@ type RenderState = {
   buffer: Array<string>;
   bufferIndex: number;
   componentBuffer: Array<Set<Class<Component>>>;
+  teleportBuffer: Array<{ [to: string]: string }>;
   key: string;
+} | {
+  type: 'Teleport';
+  to: string;
+  buffer: string;
+  prevWrite: (text: string, next: Function) => void;
 };
 
 export class RenderContext {
@@ -82,7 +89,7 @@ export class RenderContext {
             return this.renderNode(children[rendered], false, this)
           } else {
             this.renderStates.pop()
-            if (lastState.type === 'Element') {
+            if (lastState.endTag) {
               return this.write(lastState.endTag, this.next)
             }
           }
@@ -93,10 +100,11 @@ export class RenderContext {
           break
         case 'ComponentWithCache':
           this.renderStates.pop()
-          const { buffer, bufferIndex, componentBuffer, key } = lastState
+          const { buffer, bufferIndex, componentBuffer, teleportBuffer, key } = lastState
           const result = {
             html: buffer[bufferIndex],
-            components: componentBuffer[bufferIndex]
+            components: componentBuffer[bufferIndex],
+            teleports: teleportBuffer[bufferIndex]
           }
           this.cache.set(key, result)
           if (bufferIndex === 0) {
@@ -109,15 +117,44 @@ export class RenderContext {
             buffer[bufferIndex - 1] += result.html
             const prev = componentBuffer[bufferIndex - 1]
             result.components.forEach(c => prev.add(c))
+            appendTeleports(teleportBuffer[bufferIndex - 1], result.teleports)
           }
           buffer.length = bufferIndex
           componentBuffer.length = bufferIndex
+          teleportBuffer.length = bufferIndex
           break
+        case 'Teleport':
+          this.renderStates.pop()
+          const write: any = this.write = lastState.prevWrite
+          appendTeleport(this.userContext, lastState.to, lastState.buffer)
+          // also record it with the components being cached
+          if (write.caching) {
+            const teleports = write.teleportBuffer[write.teleportBuffer.length - 1]
+            teleports[lastState.to] = (teleports[lastState.to] || '') + lastState.buffer
+          }
+          // leave an empty anchor in place of the teleport
+          return this.write(`<!---->`, this.next)
       }
     }
   }
 }
 
+/**
+ * Append rendered teleport content to ssrContext.teleports.
+ */
+export function appendTeleport (userContext: ?Object, to: string, html: string) {
+  if (userContext) {
+    const teleports = userContext.teleports || (userContext.teleports = {})
+    teleports[to] = (teleports[to] || '') + html
+  }
+}
+
+function appendTeleports (target: Object, teleports: Object) {
+  for (const to in teleports) {
+    target[to] = (target[to] || '') + teleports[to]
+  }
+}
+
 function normalizeAsync (cache, method) {
   const fn = cache[method]
   if (isUndef(fn)) {
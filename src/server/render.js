@@ -1,12 +1,17 @@
 /* @flow */
 
 import { escape } from 'web/server/util'
-import { SSR_ATTR } from 'shared/constants'
-import { RenderContext } from './render-context'
+import {
+  SSR_ATTR,
+  LAZY_HYDRATION_ATTR,
+  LAZY_HYDRATION_STRATEGIES
+} from 'shared/constants'
+import { RenderContext, appendTeleport } from './render-context'
 import { resolveAsset } from 'core/util/options'
 import { generateComponentTrace } from 'core/util/debug'
 import { ssrCompileToFunctions } from 'web/server/compiler'
 import { installSSRHelpers } from './optimizing-compiler/runtime-helpers'
+import { TELEPORT_MARKER } from 'web/runtime/components/teleport'
 
 import { isDef, isUndef, isTrue } from 'shared/util'
 
@@ -85,6 +90,8 @@ function renderNode (node, isRoot, context) {
     } else {
       context.write(`<!--${node.text}-->`, context.next)
     }
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, context)
   } else {
     context.write(
       node.raw ? node.text : escape(String(node.text)),
@@ -129,6 +136,7 @@ function renderComponent (node, isRoot, context) {
               registerComponent(userContext)
             }
             res.components.forEach(register => register(userContext))
+            replayTeleports(res, context)
             write(res.html, next)
           })
         } else {
@@ -142,6 +150,7 @@ function renderComponent (node, isRoot, context) {
             registerComponent(userContext)
           }
           res.components.forEach(register => register(userContext))
+          replayTeleports(res, context)
           write(res.html, next)
         } else {
           renderComponentWithCache(node, isRoot, key, context)
@@ -167,6 +176,17 @@ function renderComponent (node, isRoot, context) {
   }
 }
 
+// the content of teleports inside a cached component is not part of its
+// html, it is stored with the cache entry
+function replayTeleports (res, context) {
+  const teleports = res.teleports
+  if (isDef(teleports)) {
+    for (const to in teleports) {
+      appendTeleport(context.userContext, to, teleports[to])
+    }
+  }
+}
+
 function renderComponentWithCache (node, isRoot, key, context) {
   const write = context.write
   write.caching = true
@@ -174,12 +194,15 @@ function renderComponentWithCache (node, isRoot, key, context) {
   const bufferIndex = buffer.push('') - 1
   const componentBuffer = write.componentBuffer
   componentBuffer.push(new Set())
+  const teleportBuffer = write.teleportBuffer
+  teleportBuffer.push({})
   context.renderStates.push({
     type: 'ComponentWithCache',
     key,
     buffer,
     bufferIndex,
-    componentBuffer
+    componentBuffer,
+    teleportBuffer
   })
   renderComponentInner(node, isRoot, context)
 }
@@ -201,7 +224,11 @@ function renderComponentInner (node, isRoot, context) {
       type: 'Component',
       prevActive
     })
-    renderNode(childNode, isRoot, context)
+    if (isDef(child._ssrTeleport)) {
+      renderTeleport(childNode, child._ssrTeleport, context)
+    } else {
+      renderNode(childNode, isRoot, context)
+    }
   }
 
   const reject = context.done
@@ -209,6 +236,32 @@ function renderComponentInner (node, isRoot, context) {
   waitForServerPrefetch(child, resolve, reject)
 }
 
+// render the content of a <teleport> into a separate buffer, which is
+// exposed as ssrContext.teleports[to] once the content finished
+function renderTeleport (node, to, context) {
+  const prevWrite = context.write
+  const state = {
+    type: 'Teleport',
+    to,
+    buffer: `<!--${TELEPORT_MARKER}-->`,
+    prevWrite
+  }
+  const write = (text, next) => {
+    if (text && write.caching) {
+      write.cacheBuffer[write.cacheBuffer.length - 1] += text
+    }
+    state.buffer += text
+    prevWrite('', next)
+  }
+  write.caching = false
+  write.cacheBuffer = []
+  write.componentBuffer = []
+  write.teleportBuffer = []
+  context.renderStates.push(state)
+  context.write = write
+  renderNode(node, false, context)
+}
+
 function renderAsyncComponent (node, isRoot, context) {
   const factory = node.asyncFactory
 
@@ -291,6 +344,18 @@ function renderStringNode (el, context) {
   }
 }
 
+// fragments are wrapped in comments that the client hydrates as anchors
+function renderFragment (node, context) {
+  context.renderStates.push({
+    type: 'Fragment',
+    children: node.children,
+    rendered: 0,
+    total: node.children.length,
+    endTag: '<!--]-->'
+  })
+  context.write('<!--[-->', context.next)
+}
+
 function renderElement (el, isRoot, context) {
   const { write, next } = context
 
@@ -328,6 +393,29 @@ function hasAncestorData (node: VNode) {
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
 }
 
+// the hydrate option of the outermost component the element is the root of,
+// which is where the client starts hydrating
+function getLazyHydration (node: VNode): ?string {
+  let strategy
+  let parentNode = node.parent
+  while (isDef(parentNode)) {
+    const opts = parentNode.componentOptions
+    const value = opts && opts.Ctor.options.hydrate
+    if (isDef(value)) {
+      if (LAZY_HYDRATION_STRATEGIES.indexOf(value) > -1) {
+        strategy = value
+      } else if (process.env.NODE_ENV !== 'production') {
+        warnOnce(
+          `[vue-server-renderer] Unknown lazy hydration strategy: "${String(value)}". ` +
+          `Expected one of ${LAZY_HYDRATION_STRATEGIES.join(', ')}.`
+        )
+      }
+    }
+    parentNode = parentNode.parent
+  }
+  return strategy
+}
+
 function getVShowDirectiveInfo (node: VNode): ?VNodeDirective {
   let dir: VNodeDirective
   let tmp
@@ -384,6 +472,11 @@ function renderStartingTag (node: VNode, context) {
       }
     }
   }
+  // mark the roots of lazily hydrated components for the client
+  const lazyHydration = getLazyHydration(node)
+  if (lazyHydration) {
+    markup += ` ${LAZY_HYDRATION_ATTR}="${lazyHydration}"`
+  }
   // attach scoped CSS ID
   let scopeId
   const activeInstance = context.activeInstance
@@ -85,7 +85,7 @@ export default class TemplateRenderer {
 
   bindRenderFns (context: Object) {
     const renderer: any = this
-    ;['ResourceHints', 'State', 'Scripts', 'Styles'].forEach(type => {
+    ;['ResourceHints', 'State', 'Scripts', 'Styles', 'Teleports'].forEach(type => {
       context[`render${type}`] = renderer[`render${type}`].bind(renderer, context)
     })
     // also expose getPreloadFiles, useful for HTTP/2 push
@@ -112,6 +112,7 @@ export default class TemplateRenderer {
         this.renderStyles(context) +
         template.neck(context) +
         content +
+        this.renderTeleports(context) +
         this.renderState(context) +
         this.renderScripts(context) +
         template.tail(context)
@@ -220,6 +221,13 @@ export default class TemplateRenderer {
       : ''
   }
 
+  // content of <teleport> components rendered into the given target,
+  // teleports into body are injected automatically after the app content
+  renderTeleports (context: Object, target?: string): string {
+    const teleports = context.teleports
+    return (teleports && teleports[target || 'body']) || ''
+  }
+
   renderScripts (context: Object): string {
     if (this.clientManifest) {
       const initial = this.preloadFiles.filter(({ file }) => isJS(file))
@@ -63,6 +63,12 @@ export default class TemplateStream extends Transform {
     this.emit('beforeEnd')
 
     if (this.inject) {
+      // content of teleports into body
+      const teleports = this.renderer.renderTeleports(this.context)
+      if (teleports) {
+        this.push(teleports)
+      }
+
       // inline initial store state
       const state = this.renderer.renderState(this.context)
       if (state) {
@@ -1,5 +1,24 @@
 export const SSR_ATTR = 'data-server-rendered'
 
+// marks the root element of a server-rendered component that hydrates lazily
+export const LAZY_HYDRATION_ATTR = 'data-v-hydrate'
+
+export const LAZY_HYDRATION_STRATEGIES = [
+  'visible',
+  'idle',
+  'interaction',
+  'never'
+]
+
+// patch flags of the shapes the template compiler attaches to elements,
+// telling the patcher which parts of an element can change between renders
+export const PATCH_TEXT = 1 // the only child is a dynamic text
+export const PATCH_CLASS = 2 // dynamic class binding
+export const PATCH_STYLE = 4 // dynamic style binding
+export const PATCH_PROPS = 8 // dynamic attrs / DOM props, listed in shape.props
+export const PATCH_FULL_PROPS = 16 // attrs / DOM props with dynamic names
+export const PATCH_HOISTED = 32 // the data is hoisted and never changes
+
 export const ASSET_TYPES = [
   'component',
   'directive',
@@ -15,8 +34,14 @@ export const LIFECYCLE_HOOKS = [
   'updated',
   'beforeDestroy',
   'destroyed',
+  'beforeUnmount',
+  'unmounted',
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered',
+  'hydrated',
+  'hydrationMismatch'
 ]
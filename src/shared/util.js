@@ -341,3 +341,12 @@ export function once (fn: Function): Function {
     }
   }
 }
+
+/**
+ * Check whether a value has changed, treating NaN as equal to itself.
+ */
+export function hasChanged (x: any, y: any): boolean {
+  /* eslint-disable no-self-compare */
+  return x !== y && (x === x || y === y)
+  /* eslint-enable no-self-compare */
+}
@@ -1642,6 +1642,51 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('components with multiple root nodes', done => {
+    renderVmWithOptions({
+      template: '<div><pair msg="foo"/></div>',
+      components: {
+        pair: {
+          props: ['msg'],
+          render (h) {
+            return [h('span', this.msg), h('span', 'bar')]
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true"><!--[--><span>foo</span><span>bar</span><!--]--></div>'
+      )
+      done()
+    })
+  })
+
+  it('marks the root elements of lazily hydrated components', done => {
+    renderVmWithOptions({
+      template: '<div><island/><outer/><eager/></div>',
+      components: {
+        island: {
+          hydrate: 'visible',
+          template: '<div class="island">{{ 1 + 1 }}</div>'
+        },
+        outer: {
+          hydrate: 'idle',
+          render: h => h({ hydrate: 'interaction', template: '<p>inner</p>' })
+        },
+        eager: { template: '<span>eager</span>' }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<div class="island" data-v-hydrate="visible">2</div>' +
+          '<p data-v-hydrate="idle">inner</p>' +
+          '<span>eager</span>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
   it('Options inheritAttrs in parent component', done => {
     const childComponent = {
       template: `<div>{{ someProp }}</div>`,
@@ -196,6 +196,109 @@ describe('SSR: template option', () => {
     })
   })
 
+  it('renderToString with teleports', done => {
+    const renderer = createRenderer({
+      template: `<html><head></head><body><!--vue-ssr-outlet-->` +
+        `<div id="modals">{{{ renderTeleports('#modals') }}}</div></body></html>`
+    })
+
+    const context = {
+      state: { a: 1 }
+    }
+
+    renderer.renderToString(new Vue({
+      data: { msg: 'hi' },
+      template: `
+        <div>
+          <teleport to="body"><p>{{ msg }}</p></teleport>
+          <teleport to="#modals"><p>modal</p></teleport>
+          <teleport to="#modals" disabled><p>inline</p></teleport>
+        </div>
+      `
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(context.teleports).toEqual({
+        body: '<!--teleport--><p>hi</p>',
+        '#modals': '<!--teleport--><p>modal</p>'
+      })
+      expect(res).toContain(
+        `<body><div data-server-rendered="true"><!----> <!----> <!----></div>` +
+        `<!--teleport--><p>hi</p>` +
+        `<script>window.__INITIAL_STATE__={"a":1}</script>` +
+        `<div id="modals"><!--teleport--><p>modal</p></div></body></html>`
+      )
+      done()
+    })
+  })
+
+  it('renderToString with teleports inside cached components', done => {
+    const store = new Map()
+    const cache = {
+      get: key => store.get(key),
+      set: jasmine.createSpy('set').and.callFake((key, val) => store.set(key, val))
+    }
+    const renderer = createRenderer({ cache })
+    const cached = {
+      name: 'cached',
+      serverCacheKey: () => 'key',
+      template: '<div><teleport to="#modals"><p>modal</p></teleport><inner/></div>',
+      components: {
+        inner: {
+          name: 'inner',
+          serverCacheKey: () => 'key',
+          template: '<span><teleport to="body"><b>inner</b></teleport></span>'
+        }
+      }
+    }
+    const render = cb => {
+      const context = {}
+      renderer.renderToString(new Vue({
+        template: '<div><cached/></div>',
+        components: { cached }
+      }), context, (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe(
+          '<div data-server-rendered="true"><div><!----><span><!----></span></div></div>'
+        )
+        expect(context.teleports).toEqual({
+          body: '<!--teleport--><b>inner</b>',
+          '#modals': '<!--teleport--><p>modal</p>'
+        })
+        cb()
+      })
+    }
+    render(() => {
+      expect(cache.set.calls.count()).toBe(2)
+      // rendered from the cache
+      render(() => {
+        expect(cache.set.calls.count()).toBe(2)
+        done()
+      })
+    })
+  })
+
+  it('renderToStream with teleports', done => {
+    const renderer = createRenderer({
+      template: defaultTemplate
+    })
+
+    const stream = renderer.renderToStream(new Vue({
+      template: `<div><teleport to="body"><p>modal</p></teleport></div>`
+    }), {})
+
+    let res = ''
+    stream.on('data', chunk => {
+      res += chunk
+    })
+    stream.on('end', () => {
+      expect(res).toContain(
+        `<body><div data-server-rendered="true"><!----></div>` +
+        `<!--teleport--><p>modal</p></body>`
+      )
+      done()
+    })
+  })
+
   it('renderToStream', done => {
     const renderer = createRenderer({
       template: defaultTemplate
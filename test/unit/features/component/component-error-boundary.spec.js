@@ -0,0 +1,254 @@
+import Vue from 'vue'
+
+describe('Component error-boundary', () => {
+  let globalSpy
+
+  beforeEach(() => {
+    globalSpy = Vue.config.errorHandler = jasmine.createSpy()
+  })
+
+  afterEach(() => {
+    Vue.config.errorHandler = null
+  })
+
+  function createBroken (hook) {
+    return {
+      props: ['fail'],
+      data: () => ({ msg: 'ok' }),
+      render (h) {
+        if (hook === 'render' && this.fail) {
+          throw new Error('render')
+        }
+        return h('div', this.msg)
+      },
+      created () {
+        if (hook === 'created' && this.fail) {
+          throw new Error('created')
+        }
+      }
+    }
+  }
+
+  it('should render fallback for errors in descendant render and lifecycle', done => {
+    const vm = new Vue({
+      data: { fail: false },
+      template: `
+        <div>
+          <error-boundary>
+            <broken :fail="fail"/>
+            <template #fallback="{ error, info }">
+              <p>{{ error.message }} in {{ info }}</p>
+            </template>
+          </error-boundary>
+          <error-boundary>
+            <created-broken :fail="true"/>
+            <template #fallback="{ error }">
+              <p>{{ error.message }}</p>
+            </template>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        broken: createBroken('render'),
+        createdBroken: createBroken('created')
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<div>ok</div> <p>created</p>')
+      vm.fail = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>render in render</p> <p>created</p>')
+      expect(globalSpy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should not appear in the $parent chain', () => {
+    let child
+    const vm = new Vue({
+      template: '<error-boundary><child/></error-boundary>',
+      components: {
+        child: {
+          render: h => h('div'),
+          created () {
+            child = this
+          }
+        }
+      }
+    }).$mount()
+    expect(child.$parent).toBe(vm)
+    expect(vm.$children).toEqual([child])
+  })
+
+  it('should capture errors from watchers and event handlers', done => {
+    const Child = {
+      data: () => ({ count: 0 }),
+      watch: {
+        count () {
+          throw new Error('watcher')
+        }
+      },
+      render (h) {
+        return h('button', { on: { click: this.onClick }}, this.count)
+      },
+      methods: {
+        onClick () {
+          throw new Error('handler')
+        }
+      }
+    }
+    const onError = jasmine.createSpy()
+    const vm = new Vue({
+      template: `
+        <error-boundary @error="onError">
+          <child ref="child"/>
+          <template #fallback="{ error, reset }">
+            <p @click="reset">{{ error.message }}</p>
+          </template>
+        </error-boundary>
+      `,
+      components: { Child },
+      methods: { onError }
+    }).$mount()
+    vm.$refs.child.count++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('watcher')
+      expect(onError.calls.argsFor(0)[2]).toBe('callback for watcher "count"')
+      triggerEvent(vm.$el, 'click')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('0')
+      triggerEvent(vm.$el, 'click')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('handler')
+      expect(onError.calls.argsFor(1)[2]).toBe('v-on handler')
+      expect(globalSpy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should capture async errors', done => {
+    const vm = new Vue({
+      template: `
+        <error-boundary>
+          <child/>
+          <template #fallback="{ error }">{{ error.message }}</template>
+        </error-boundary>
+      `,
+      components: {
+        child: {
+          render: h => h('div', 'ok'),
+          mounted () {
+            return Promise.reject(new Error('async'))
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('ok')
+    setTimeout(() => {
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('async')
+      }).then(done)
+    })
+  })
+
+  it('should retry rendering the default slot on reset', done => {
+    let attempts = 0
+    const vm = new Vue({
+      template: `
+        <error-boundary>
+          <child/>
+          <template #fallback="{ reset }"><p @click="reset">failed</p></template>
+        </error-boundary>
+      `,
+      components: {
+        child: {
+          render (h) {
+            if (++attempts < 2) {
+              throw new Error('flaky')
+            }
+            return h('div', 'loaded')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('failed')
+      triggerEvent(vm.$el, 'click')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('loaded')
+      expect(attempts).toBe(2)
+    }).then(done)
+  })
+
+  it('should let errorCaptured hooks below the boundary run first', done => {
+    const inner = jasmine.createSpy('inner')
+    const outer = jasmine.createSpy('outer')
+    const vm = new Vue({
+      errorCaptured: outer,
+      template: `
+        <error-boundary>
+          <wrapper/>
+          <template #fallback>failed</template>
+        </error-boundary>
+      `,
+      components: {
+        wrapper: {
+          errorCaptured: inner,
+          render: h => h(createBroken('created'), { props: { fail: true }})
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('failed')
+      expect(inner).toHaveBeenCalled()
+      expect(outer).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should pass errors from the fallback to the outer boundary', done => {
+    const vm = new Vue({
+      template: `
+        <error-boundary>
+          <error-boundary>
+            <broken :fail="true"/>
+            <template #fallback><broken :fail="true"/></template>
+          </error-boundary>
+          <template #fallback="{ error }">outer: {{ error.message }}</template>
+        </error-boundary>
+      `,
+      components: {
+        broken: createBroken('created')
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('outer: created')
+      expect(globalSpy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should pass render errors of the fallback to the outer boundary', done => {
+    const vm = new Vue({
+      template: `
+        <error-boundary>
+          <error-boundary>
+            <broken :fail="true"/>
+            <template #fallback="{ error }">{{ error.cause.message }}</template>
+          </error-boundary>
+          <template #fallback="{ error, info }">outer: {{ info }}</template>
+        </error-boundary>
+      `,
+      components: {
+        broken: createBroken('created')
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('outer: render')
+      expect(globalSpy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should warn on multiple children', () => {
+    new Vue({
+      template: '<error-boundary><div/><div/></error-boundary>'
+    }).$mount()
+    expect('<error-boundary> can only be used on a single element').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,148 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  const Pair = {
+    props: ['a', 'b'],
+    render (h) {
+      return [h('span', this.a), h('span', this.b)]
+    }
+  }
+
+  it('should render multiple root nodes', done => {
+    const vm = new Vue({
+      data: { a: 'foo', b: 'bar' },
+      template: '<div><pair :a="a" :b="b"/><p>after</p></div>',
+      components: { Pair }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>foo</span><span>bar</span><p>after</p>')
+    // $el of a fragment root is its start anchor
+    const child = vm.$children[0]
+    expect(child.$el.nodeType).toBe(3)
+    expect(child.$el.nextSibling.outerHTML).toBe('<span>foo</span>')
+    vm.a = 'baz'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>baz</span><span>bar</span><p>after</p>')
+    }).then(done)
+  })
+
+  it('should update the children of a fragment', done => {
+    const vm = new Vue({
+      data: { items: ['a', 'b'] },
+      template: '<div><list :items="items"/><p>after</p></div>',
+      components: {
+        list: {
+          props: ['items'],
+          render (h) {
+            return this.items.map(item => h('i', { key: item }, item))
+          }
+        }
+      }
+    }).$mount()
+    const b = vm.$el.children[1]
+    vm.items = ['b', 'a', 'c']
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<i>b</i><i>a</i><i>c</i><p>after</p>')
+      expect(vm.$el.children[0]).toBe(b)
+      vm.items = ['c', 'd', 'e']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<i>c</i><i>d</i><i>e</i><p>after</p>')
+    }).then(done)
+  })
+
+  it('should move and remove fragment components', done => {
+    const vm = new Vue({
+      data: { list: [1, 2, 3] },
+      template: `
+        <div>
+          <pair v-for="n in list" :key="n" :a="n" :b="n + '!'"/>
+        </div>
+      `,
+      components: { Pair }
+    }).$mount()
+    const render = list => list.map(n => `<span>${n}</span><span>${n}!</span>`).join('')
+    expect(vm.$el.innerHTML).toBe(render([1, 2, 3]))
+    vm.list = [3, 1, 2]
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe(render([3, 1, 2]))
+      vm.list = [2, 4, 3]
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe(render([2, 4, 3]))
+      vm.list = []
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should switch between a single root and a fragment', done => {
+    const vm = new Vue({
+      data: { multiple: true },
+      template: '<div><child :multiple="multiple"/><p>after</p></div>',
+      components: {
+        child: {
+          props: ['multiple'],
+          render (h) {
+            return this.multiple
+              ? [h('span', 'a'), h('span', 'b')]
+              : h('div', 'single')
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span><span>b</span><p>after</p>')
+    vm.multiple = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<div>single</div><p>after</p>')
+      expect(vm.$children[0].$el.tagName).toBe('DIV')
+      vm.multiple = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span><span>b</span><p>after</p>')
+    }).then(done)
+  })
+
+  it('should work with keep-alive', done => {
+    const vm = new Vue({
+      data: { view: 'pair' },
+      template: `
+        <div>
+          <keep-alive><component :is="view" a="x" b="y"/></keep-alive>
+        </div>
+      `,
+      components: {
+        Pair,
+        other: { props: ['a', 'b'], template: '<p>other</p>' }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>x</span><span>y</span>')
+    vm.view = 'other'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>other</p>')
+      vm.view = 'pair'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>x</span><span>y</span>')
+    }).then(done)
+  })
+
+  it('should warn about attributes that cannot be inherited', () => {
+    new Vue({
+      template: '<div><pair a="1" id="foo" class="bar"/></div>',
+      components: { Pair }
+    }).$mount()
+    expect('Extraneous non-props attributes (id, class)').toHaveBeenWarned()
+  })
+
+  it('should not warn about attributes with inheritAttrs: false', () => {
+    const vm = new Vue({
+      template: '<div><pair id="foo"/></div>',
+      components: {
+        pair: {
+          inheritAttrs: false,
+          render (h) {
+            return [h('span', { attrs: this.$attrs }), h('span')]
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span id="foo"></span><span></span>')
+    expect('Extraneous non-props attributes').not.toHaveBeenWarned()
+  })
+})
@@ -366,8 +366,8 @@ describe('Component slot', () => {
     expect(vm.$el.textContent).toBe('C')
   })
 
-  it('warn if user directly returns array', () => {
-    new Vue({
+  it('should render a fragment if user directly returns array', () => {
+    const vm = new Vue({
       template: '<test><div slot="foo"></div><div slot="foo"></div></test>',
       components: {
         test: {
@@ -377,7 +377,7 @@ describe('Component slot', () => {
         }
       }
     }).$mount()
-    expect('Render function should return a single root node').toHaveBeenWarned()
+    expect(vm.$el.parentNode.innerHTML).toBe('<div></div><div></div>')
   })
 
   // #3254
@@ -0,0 +1,256 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  function createAsync (template, hooks) {
+    const resolvers = []
+    const factory = resolve => {
+      resolvers.push(() => resolve(Object.assign({ template }, hooks)))
+    }
+    factory.resolve = () => resolvers.forEach(r => r())
+    return factory
+  }
+
+  it('should show the fallback until all async components resolved', done => {
+    const one = createAsync('<span>one</span>')
+    const two = createAsync('<span>two</span>')
+    const created = jasmine.createSpy('created')
+    const events = []
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @pending="log('pending')" @fallback="log('fallback')" @resolve="log('resolve')">
+            <div class="content"><one/><two/><plain/></div>
+            <template #fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        one,
+        two,
+        plain: { template: '<b>plain</b>', created }
+      },
+      methods: {
+        log: e => events.push(e)
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>loading</p>')
+    expect(events).toEqual(['pending', 'fallback'])
+    expect(created.calls.count()).toBe(1)
+    one.resolve()
+    waitForUpdate().thenWaitFor(0).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>loading</p>')
+      two.resolve()
+    }).thenWaitFor(0).then(() => {
+      expect(vm.$el.innerHTML).toBe(
+        '<div class="content"><span>one</span><span>two</span><b>plain</b></div>'
+      )
+      expect(events).toEqual(['pending', 'fallback', 'resolve'])
+      // content instances are not re-created when shown
+      expect(created.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should render the content directly without async dependencies', () => {
+    const events = []
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @fallback="events.push('fallback')" @resolve="events.push('resolve')">
+            <span>{{ msg }}</span>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      data: { msg: 'hi', events }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>hi</span>')
+    expect(events).toEqual(['resolve'])
+  })
+
+  it('should wait for nested async components', done => {
+    const inner = createAsync('<i>inner</i>')
+    const outer = createAsync('<div><inner/></div>', { components: { inner }})
+    const vm = new Vue({
+      template: `
+        <suspense>
+          <outer/>
+          <template #fallback><p>loading</p></template>
+        </suspense>
+      `,
+      components: { outer }
+    }).$mount()
+    outer.resolve()
+    waitForUpdate().thenWaitFor(0).then(() => {
+      expect(vm.$el.outerHTML).toBe('<p>loading</p>')
+      inner.resolve()
+    }).thenWaitFor(0).then(() => {
+      expect(vm.$el.outerHTML).toBe('<div><i>inner</i></div>')
+    }).then(done)
+  })
+
+  it('should not show loading components of async components', done => {
+    let resolveComp
+    const vm = new Vue({
+      template: `
+        <suspense>
+          <one/>
+          <template #fallback><p>loading</p></template>
+        </suspense>
+      `,
+      components: {
+        one: () => ({
+          component: new Promise(resolve => {
+            resolveComp = () => resolve({ template: '<span>one</span>' })
+          }),
+          loading: { template: '<i>spinner</i>' },
+          delay: 0
+        })
+      }
+    }).$mount()
+    expect(vm.$el.outerHTML).toBe('<p>loading</p>')
+    resolveComp()
+    waitForUpdate().thenWaitFor(0).then(() => {
+      expect(vm.$el.outerHTML).toBe('<span>one</span>')
+    }).then(done)
+  })
+
+  it('should wait for serverPrefetch hooks and call mounted once inserted', done => {
+    let resolveFetch
+    const mounted = jasmine.createSpy('mounted')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <child/>
+            <template #fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        child: {
+          data: () => ({ msg: '' }),
+          template: '<span>{{ msg }}</span>',
+          serverPrefetch () {
+            return new Promise(resolve => {
+              resolveFetch = () => {
+                this.msg = 'fetched'
+                resolve()
+              }
+            })
+          },
+          mounted () {
+            mounted(document.body.contains(this.$el) || this.$el.parentNode === vm.$el)
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>loading</p>')
+    expect(mounted).not.toHaveBeenCalled()
+    resolveFetch()
+    waitForUpdate().thenWaitFor(0).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>fetched</span>')
+      expect(mounted).toHaveBeenCalledWith(true)
+      expect(mounted.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should wait for async setup', done => {
+    let resolveSetup
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <child/>
+            <template #fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        child: {
+          template: '<span @click="count++">{{ msg }} {{ count }}</span>',
+          setup () {
+            return new Promise(resolve => {
+              resolveSetup = () => resolve({ msg: 'setup', count: 0 })
+            })
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>loading</p>')
+    resolveSetup()
+    waitForUpdate().thenWaitFor(0).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>setup 0</span>')
+      vm.$el.firstChild.click()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>setup 1</span>')
+    }).then(done)
+  })
+
+  it('should warn async setup outside of suspense', done => {
+    const vm = new Vue({
+      template: '<div><child/></div>',
+      components: {
+        child: {
+          template: '<span>{{ msg }}</span>',
+          setup: () => Promise.resolve({ msg: 'foo' })
+        }
+      }
+    }).$mount()
+    expect('setup() returned a Promise').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    waitForUpdate().thenWaitFor(0).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>foo</span>')
+    }).then(done)
+  })
+
+  it('should update the content after it resolved', done => {
+    const one = createAsync('<span>{{ msg }}</span>', { props: ['msg'] })
+    const vm = new Vue({
+      data: { msg: 'foo', show: true },
+      template: `
+        <div>
+          <suspense v-if="show">
+            <one :msg="msg"/>
+          </suspense>
+        </div>
+      `,
+      components: { one }
+    }).$mount()
+    one.resolve()
+    waitForUpdate().thenWaitFor(0).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>foo</span>')
+      vm.msg = 'bar'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>bar</span>')
+      vm.show = false
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(vm.$children[0]).toBeUndefined()
+    }).then(done)
+  })
+
+  it('should destroy the pending content', done => {
+    const one = createAsync('<span>one</span>')
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      data: { show: true },
+      template: `
+        <div>
+          <suspense v-if="show">
+            <div><one/><child/></div>
+            <template #fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        one,
+        child: { template: '<b/>', destroyed }
+      }
+    }).$mount()
+    vm.show = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+})
@@ -0,0 +1,144 @@
+import Vue from 'vue'
+
+describe('Component teleport', () => {
+  let target, other
+
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    other = document.createElement('div')
+    other.id = 'teleport-other'
+    document.body.appendChild(target)
+    document.body.appendChild(other)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+    document.body.removeChild(other)
+  })
+
+  it('should render the content into the target', done => {
+    const onClick = jasmine.createSpy('click')
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      provide: { color: 'red' },
+      template: `
+        <div>
+          <teleport to="#teleport-target">
+            <child :msg="msg" @click.native="onClick"/>
+          </teleport>
+          <span>app</span>
+        </div>
+      `,
+      methods: { onClick },
+      components: {
+        child: {
+          props: ['msg'],
+          inject: ['color'],
+          template: '<p>{{ msg }} {{ color }}</p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!----> <span>app</span>')
+    expect(target.innerHTML).toBe('<p>foo red</p>')
+    // the content stays in the logical component tree
+    expect(vm.$children[0].$parent).toBe(vm)
+    triggerEvent(target.firstChild, 'click')
+    expect(onClick).toHaveBeenCalled()
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>bar red</p>')
+    }).then(done)
+  })
+
+  it('should call mounted hooks once the content is in the target', () => {
+    let parentNode
+    new Vue({
+      template: '<teleport to="#teleport-target"><child/></teleport>',
+      components: {
+        child: {
+          template: '<p/>',
+          mounted () {
+            parentNode = this.$el.parentNode
+          }
+        }
+      }
+    }).$mount()
+    expect(parentNode).toBe(target)
+  })
+
+  it('should move the content when the target or disabled changes', done => {
+    const created = jasmine.createSpy('created')
+    const vm = new Vue({
+      data: { to: '#teleport-target', disabled: true },
+      template: `
+        <div>
+          <teleport :to="to" :disabled="disabled"><child/></teleport>
+          <span>app</span>
+        </div>
+      `,
+      components: {
+        child: { template: '<p>content</p>', created }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!----><p>content</p> <span>app</span>')
+    expect(target.innerHTML).toBe('')
+    vm.disabled = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----> <span>app</span>')
+      expect(target.innerHTML).toBe('<p>content</p>')
+      vm.to = '#teleport-other'
+    }).then(() => {
+      expect(target.innerHTML).toBe('')
+      expect(other.innerHTML).toBe('<p>content</p>')
+      vm.disabled = true
+    }).then(() => {
+      expect(other.innerHTML).toBe('')
+      expect(vm.$el.innerHTML).toBe('<!----><p>content</p> <span>app</span>')
+      expect(created.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should remove the content when destroyed', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      data: { show: true },
+      template: `
+        <div>
+          <teleport v-if="show" to="#teleport-target"><child/></teleport>
+        </div>
+      `,
+      components: {
+        child: { template: '<p>content</p>', destroyed }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>content</p>')
+    vm.show = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should hydrate server rendered content in the target', () => {
+    target.innerHTML = '<!--teleport--><p>foo</p>'
+    const ssrContent = target.lastChild
+    const dom = document.createElement('div')
+    dom.setAttribute('data-server-rendered', 'true')
+    dom.innerHTML = '<!---->'
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<div><teleport to="#teleport-target"><p>{{ msg }}</p></teleport></div>'
+    }).$mount(dom)
+    expect(vm.$el).toBe(dom)
+    expect(target.innerHTML).toBe('<!--teleport--><p>foo</p>')
+    expect(target.lastChild).toBe(ssrContent)
+  })
+
+  it('should warn when the target cannot be found', () => {
+    new Vue({
+      template: '<teleport to="#not-found"><p/></teleport>'
+    }).$mount()
+    expect('Failed to locate <teleport> target: #not-found').toHaveBeenWarned()
+  })
+})
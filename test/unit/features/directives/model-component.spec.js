@@ -230,4 +230,59 @@ describe('Directive v-model component', () => {
 
     expect(vm.$el.innerHTML).toBe('<div>foo</div>');
   })
+
+  it('should support multiple v-model bindings with arguments', done => {
+    const vm = new Vue({
+      data: { title: 'foo', content: 'bar' },
+      template: `
+        <div>
+          <editor v-model:title="title" v-model:content="content"/>
+        </div>
+      `,
+      components: {
+        editor: {
+          props: ['title', 'content'],
+          template: '<p>{{ title }} {{ content }}</p>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe('<p>foo bar</p>')
+    child.$emit('update:title', 'baz')
+    child.$emit('update:content', 'qux')
+    waitForUpdate(() => {
+      expect(vm.title).toBe('baz')
+      expect(vm.content).toBe('qux')
+      expect(vm.$el.innerHTML).toBe('<p>baz qux</p>')
+    }).then(done)
+  })
+
+  it('should pass modifiers to the component', () => {
+    const vm = new Vue({
+      data: { msg: 'foo', title: 'bar' },
+      template: `
+        <div>
+          <child v-model.capitalize="msg" v-model:title.upper="title"/>
+        </div>
+      `,
+      components: {
+        child: {
+          props: ['value', 'modelModifiers', 'title', 'titleModifiers'],
+          template: '<p>{{ modelModifiers }} {{ titleModifiers }}</p>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(child.modelModifiers).toEqual({ capitalize: true })
+    expect(child.titleModifiers).toEqual({ upper: true })
+    expect(child.$attrs).toEqual({})
+  })
+
+  it('should warn v-model arguments on elements', () => {
+    new Vue({
+      data: { msg: '' },
+      template: '<div><input v-model:value="msg"></div>'
+    }).$mount()
+    expect('v-model arguments are only supported on components').toHaveBeenWarned()
+  })
 })
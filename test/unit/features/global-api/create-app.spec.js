@@ -0,0 +1,201 @@
+import Vue from 'vue'
+
+describe('Global API: createApp', () => {
+  it('should mount the root component', () => {
+    const app = Vue.createApp({
+      data: () => ({ msg: 'hello' }),
+      template: '<div>{{ msg }}</div>'
+    })
+    const vm = app.mount()
+    expect(vm.$el.textContent).toBe('hello')
+    expect(vm instanceof Vue).toBe(true)
+  })
+
+  it('should scope registrations to the app', () => {
+    const def = {}
+    const app = Vue.createApp({
+      template: '<div><foo/><bar/></div>',
+      components: {
+        bar: { template: '<p v-test>{{ fromMixin }}</p>' }
+      }
+    })
+    const result = app
+      .component('foo', { template: '<span>foo</span>' })
+      .directive('test', def)
+      .mixin({ data: () => ({ fromMixin: 'mixed' }) })
+    expect(result).toBe(app)
+    expect(app.directive('test')).toBe(def)
+    const vm = app.mount()
+    expect(vm.$el.innerHTML).toBe('<span>foo</span><p>mixed</p>')
+    // the global constructor is not affected
+    expect(Vue.options.components.foo).toBeUndefined()
+    expect(Vue.options.directives.test).toBeUndefined()
+    expect(new Vue().fromMixin).toBeUndefined()
+    const other = Vue.createApp({ template: '<div><foo/></div>' }).mount()
+    expect('Unknown custom element: <foo>').toHaveBeenWarned()
+    expect(other.$el.innerHTML).toBe('<foo></foo>')
+  })
+
+  it('should install plugins once with the app', () => {
+    const install = jasmine.createSpy('install')
+    const plugin = { install }
+    const app = Vue.createApp({})
+    app.use(plugin, 'a', 'b').use(plugin)
+    expect(install.calls.count()).toBe(1)
+    expect(install).toHaveBeenCalledWith(app, 'a', 'b')
+    expect(Vue._installedPlugins || []).not.toContain(plugin)
+  })
+
+  it('should install Vue 2 style plugins into the app', () => {
+    const plugin = {
+      install (Ctor, prefix) {
+        Ctor.prototype.$greet = name => `${prefix} ${name}`
+        Ctor.mixin({ data: () => ({ fromPlugin: Ctor.util.extend({}, { a: 1 }).a }) })
+        Ctor.component('greeting', Ctor.extend({ template: '<b>{{ $greet("world") }}</b>' }))
+        Ctor.filter('upper', s => s.toUpperCase())
+        Ctor.config.optionMergeStrategies.custom = (parent, child) => child || parent
+      }
+    }
+    const vm = Vue.createApp({
+      template: '<div><greeting/> {{ "x" | upper }}{{ fromPlugin }}</div>'
+    }).use(plugin, 'hello').mount()
+    expect(vm.$el.innerHTML).toBe('<b>hello world</b> X1')
+    // the global constructor is not affected
+    expect('$greet' in new Vue()).toBe(false)
+    expect(Vue.options.components.greeting).toBeUndefined()
+    expect(Vue.options.filters.upper).toBeUndefined()
+    expect(Vue.config.optionMergeStrategies.custom).toBeUndefined()
+  })
+
+  it('should not share config objects between apps', () => {
+    const one = Vue.createApp({
+      custom: 'root',
+      template: '<div><child/></div>',
+      components: {
+        child: { custom: 'child', template: '<foo-bar/>' }
+      }
+    })
+    const two = Vue.createApp({
+      custom: 'root',
+      template: '<div><child/></div>',
+      components: {
+        child: { custom: 'child', template: '<foo-bar/>' }
+      }
+    })
+    one.config.optionMergeStrategies.custom = (parent, child) => (parent || '') + (child || '')
+    one.config.ignoredElements.push('foo-bar')
+    one.config.keyCodes.foo = 1
+    expect(two.config.optionMergeStrategies.custom).toBeUndefined()
+    expect(two.config.ignoredElements).toEqual([])
+    expect(two.config.keyCodes.foo).toBeUndefined()
+    expect(Vue.config.optionMergeStrategies.custom).toBeUndefined()
+    expect(Vue.config.ignoredElements).toEqual([])
+    expect(Vue.config.keyCodes.foo).toBeUndefined()
+
+    const vm1 = one.mount()
+    expect(vm1.$children[0].$options.custom).toBe('child')
+    expect('Unknown custom element: <foo-bar>').not.toHaveBeenWarned()
+    const vm2 = two.mount()
+    expect(vm2.$children[0].$options.custom).toBe('child')
+    expect('Unknown custom element: <foo-bar>').toHaveBeenWarned()
+  })
+
+  it('should use the key codes of the app', () => {
+    const spy = jasmine.createSpy('keyup')
+    const app = Vue.createApp({
+      template: '<input @keyup.foo="spy">',
+      methods: { spy }
+    })
+    app.config.keyCodes.foo = 65
+    const vm = app.mount()
+    triggerEvent(vm.$el, 'keyup', e => {
+      e.keyCode = 65
+      e.key = 'a'
+    })
+    expect(spy).toHaveBeenCalled()
+    const other = new Vue({
+      template: '<input @keyup.foo="spy">',
+      methods: { spy }
+    }).$mount()
+    triggerEvent(other.$el, 'keyup', e => {
+      e.keyCode = 65
+      e.key = 'a'
+    })
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('should provide values to every component of the app', () => {
+    const key = typeof Symbol !== 'undefined' ? Symbol('key') : 'key'
+    const vm = Vue.createApp({
+      inject: { root: 'foo' },
+      template: '<div><child/></div>',
+      components: {
+        child: {
+          inject: { foo: 'foo', bar: key },
+          template: '<span>{{ foo }} {{ bar }}</span>'
+        }
+      }
+    }).provide('foo', 'a').provide(key, 'b').mount()
+    expect(vm.root).toBe('a')
+    expect(vm.$el.innerHTML).toBe('<span>a b</span>')
+  })
+
+  it('should report app provides as provided', () => {
+    const vm = Vue.createApp({
+      template: '<div><child/></div>',
+      components: {
+        child: {
+          inject: { foo: { from: 'x', default: 'default' }},
+          template: '<span>{{ foo }}</span>'
+        }
+      }
+    }).provide('x', 'a').mount()
+    const child = vm.$children[0]
+    expect(child.$isProvided('x')).toBe(true)
+    expect(child.$isProvided('foo')).toBe(true)
+    expect(child.$isProvided('y')).toBe(false)
+    expect(vm.$el.innerHTML).toBe('<span>a</span>')
+  })
+
+  it('should use the app config', () => {
+    const errorHandler = jasmine.createSpy('errorHandler')
+    const warnHandler = jasmine.createSpy('warnHandler')
+    const err = new Error('oops')
+    const app = Vue.createApp({
+      template: '<div>{{ $format("foo") }}<child n="x"/></div>',
+      components: {
+        child: {
+          props: { n: Number },
+          render () {},
+          created () {
+            throw err
+          }
+        }
+      }
+    })
+    app.config.errorHandler = errorHandler
+    app.config.warnHandler = warnHandler
+    app.config.globalProperties.$format = s => s.toUpperCase()
+    const vm = app.mount()
+    expect(vm.$el.textContent).toBe('FOO')
+    expect(errorHandler).toHaveBeenCalledWith(err, vm.$children[0], 'created hook')
+    expect(warnHandler.calls.argsFor(0)[0]).toContain('Invalid prop')
+    expect('$format' in new Vue()).toBe(false)
+  })
+
+  it('should unmount the app', () => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const el = document.createElement('div')
+    const container = document.createElement('div')
+    container.appendChild(el)
+    const app = Vue.createApp({ template: '<p>app</p>', destroyed })
+    const vm = app.mount(el)
+    expect(container.innerHTML).toBe('<p>app</p>')
+    app.mount(el)
+    expect('App has already been mounted').toHaveBeenWarned()
+    app.unmount()
+    expect(destroyed).toHaveBeenCalled()
+    expect(vm._isDestroyed).toBe(true)
+    expect(container.innerHTML).toBe('')
+  })
+})
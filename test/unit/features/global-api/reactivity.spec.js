@@ -0,0 +1,308 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  it('reactive', done => {
+    const state = Vue.reactive({ count: 0 })
+    const vm = new Vue({
+      render (h) {
+        return h('div', state.count)
+      }
+    }).$mount()
+    state.count++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('reactive should warn on non-observable values', () => {
+    Vue.reactive(1)
+    expect('value cannot be made reactive: 1').toHaveBeenWarned()
+    Vue.reactive(Object.freeze({}))
+    expect('Target object cannot be made reactive').toHaveBeenWarned()
+  })
+
+  it('shallowReactive should only observe root level properties', done => {
+    const nested = { msg: 'foo' }
+    const list = [{ a: 1 }]
+    const state = Vue.shallowReactive({ nested, list })
+    expect(state.__ob__.shallow).toBe(true)
+    expect(nested.__ob__).toBeUndefined()
+    expect(list.__ob__).toBeUndefined()
+    expect(Object.getOwnPropertyDescriptor(nested, 'msg').get).toBeUndefined()
+    const vm = new Vue({
+      render (h) {
+        return h('div', state.nested.msg)
+      }
+    }).$mount()
+    state.nested.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('foo')
+      state.nested = { msg: 'baz' }
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('baz')
+      expect(state.nested.__ob__).toBeUndefined()
+      Vue.set(state, 'added', { a: 1 })
+      expect(state.added.__ob__).toBeUndefined()
+    }).then(done)
+  })
+
+  it('readonly should not observe or walk the value', () => {
+    const raw = { nested: { list: [{ a: 1 }] }}
+    const state = Vue.readonly(raw)
+    expect(Vue.isReadonly(state)).toBe(true)
+    expect(Vue.isReadonly(raw)).toBe(false)
+    expect(Vue.readonly(state)).toBe(state)
+    expect(Vue.readonly(raw)).toBe(state)
+    expect(state.nested.list[0].a).toBe(1)
+    expect(Vue.isReadonly(state.nested.list[0])).toBe(true)
+    expect(raw.__ob__).toBeUndefined()
+    expect(raw.nested.__ob__).toBeUndefined()
+    expect(Vue.observable(state).__ob__).toBeUndefined()
+  })
+
+  it('readonly should warn on mutation with the component and key path', () => {
+    const Dashboard = {
+      name: 'dashboard',
+      data: () => ({
+        payload: Vue.readonly({ items: [{ name: 'foo' }] })
+      }),
+      render: h => h('div')
+    }
+    const vm = new Vue({
+      render: h => h(Dashboard)
+    }).$mount().$children[0]
+    vm.payload.items[0].name = 'bar'
+    expect(vm.payload.items[0].name).toBe('foo')
+    expect(
+      'Set operation on key "payload.items[0].name" failed: target is readonly.'
+    ).toHaveBeenWarned()
+    expect('found in\n\n---> <Dashboard>').toHaveBeenWarned()
+    vm.payload.items.push({ name: 'baz' })
+    expect(vm.payload.items.length).toBe(1)
+    expect('Set operation on key "payload.items[1]" failed').toHaveBeenWarned()
+    expect('Set operation on key "payload.items.length" failed').toHaveBeenWarned()
+    delete vm.payload.items
+    expect('Delete operation on key "payload.items" failed').toHaveBeenWarned()
+    Vue.set(vm.payload, 'other', 1)
+    expect('Set operation on key "payload.other" failed').toHaveBeenWarned()
+    Vue.delete(vm.payload.items, 0)
+    expect('Delete operation on key "payload.items[0]" failed').toHaveBeenWarned()
+  })
+
+  it('readonly should track reads of reactive values', done => {
+    const state = Vue.reactive({ nested: { count: 0 }})
+    const view = Vue.readonly(state)
+    const vm = new Vue({
+      render (h) {
+        return h('div', view.nested.count)
+      }
+    }).$mount()
+    state.nested.count++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('shallowReadonly should return nested values as is', () => {
+    const nested = { a: 1 }
+    const state = Vue.shallowReadonly({ nested })
+    expect(state.nested).toBe(nested)
+    state.nested.a = 2
+    expect(nested.a).toBe(2)
+    state.nested = {}
+    expect(state.nested).toBe(nested)
+    expect('Set operation on key "nested" failed').toHaveBeenWarned()
+  })
+
+  it('ref', done => {
+    const count = Vue.ref(0)
+    expect(Vue.isRef(count)).toBe(true)
+    expect(Vue.isRef({ value: 0 })).toBe(false)
+    expect(Vue.ref(count)).toBe(count)
+    expect(Vue.unref(count)).toBe(0)
+    expect(Vue.unref(1)).toBe(1)
+    const vm = new Vue({
+      render (h) {
+        return h('div', count.value)
+      }
+    }).$mount()
+    count.value++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('ref should make object values reactive', done => {
+    const r = Vue.ref({ msg: 'foo' })
+    const spy = jasmine.createSpy()
+    Vue.watchEffect(() => spy(r.value.msg))
+    expect(spy).toHaveBeenCalledWith('foo')
+    r.value.msg = 'bar'
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('bar')
+    }).then(done)
+  })
+
+  it('computed should be lazy and cached', done => {
+    const count = Vue.ref(1)
+    const getter = jasmine.createSpy().and.callFake(() => count.value * 2)
+    const double = Vue.computed(getter)
+    expect(getter).not.toHaveBeenCalled()
+    expect(double.value).toBe(2)
+    expect(double.value).toBe(2)
+    expect(getter.calls.count()).toBe(1)
+    count.value = 2
+    expect(getter.calls.count()).toBe(1)
+    expect(double.value).toBe(4)
+    expect(getter.calls.count()).toBe(2)
+
+    const vm = new Vue({
+      render (h) {
+        return h('div', double.value)
+      }
+    }).$mount()
+    count.value = 3
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('6')
+    }).then(done)
+  })
+
+  it('computed with setter', () => {
+    const count = Vue.ref(1)
+    const plusOne = Vue.computed({
+      get: () => count.value + 1,
+      set: val => { count.value = val - 1 }
+    })
+    plusOne.value = 10
+    expect(count.value).toBe(9)
+    expect(plusOne.value).toBe(10)
+
+    const readonly = Vue.computed(() => count.value)
+    readonly.value = 1
+    expect('computed value is readonly').toHaveBeenWarned()
+  })
+
+  it('watchEffect', done => {
+    const state = Vue.reactive({ count: 0 })
+    const spy = jasmine.createSpy()
+    const stop = Vue.watchEffect(() => spy(state.count))
+    expect(spy).toHaveBeenCalledWith(0)
+    state.count++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy.calls.count()).toBe(2)
+      stop()
+      state.count++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('watchEffect sync', () => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy()
+    Vue.watchEffect(() => spy(count.value), { sync: true })
+    count.value++
+    expect(spy).toHaveBeenCalledWith(1)
+  })
+
+  it('watchEffect should handle errors', () => {
+    const err = new Error('effect')
+    Vue.watchEffect(() => { throw err })
+    expect('Error in getter for watcher').toHaveBeenWarned()
+    expect(err).toHaveBeenWarned()
+  })
+
+  it('effectScope should stop collected effects', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy()
+    const nestedSpy = jasmine.createSpy()
+    const detachedSpy = jasmine.createSpy()
+    const scope = Vue.effectScope()
+    let detached
+    scope.run(() => {
+      Vue.watchEffect(() => spy(count.value))
+      Vue.effectScope().run(() => {
+        Vue.watchEffect(() => nestedSpy(count.value))
+      })
+      detached = Vue.effectScope(true)
+      detached.run(() => {
+        Vue.watchEffect(() => detachedSpy(count.value))
+      })
+    })
+    expect(scope.effects.length).toBe(1)
+    scope.stop()
+    expect(scope.active).toBe(false)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(nestedSpy.calls.count()).toBe(1)
+      expect(detachedSpy.calls.count()).toBe(2)
+      detached.stop()
+      expect(scope.run(() => 1)).toBeUndefined()
+      expect('cannot run an inactive effect scope').toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('batch should notify watchers once after the callback', () => {
+    const state = Vue.reactive({ a: 1, b: 1 })
+    const spy = jasmine.createSpy()
+    Vue.watchEffect(() => spy(state.a + state.b), { flush: 'sync' })
+    expect(spy.calls.count()).toBe(1)
+    const res = Vue.batch(() => {
+      state.a++
+      state.b++
+      Vue.batch(() => {
+        state.a++
+      })
+      expect(spy.calls.count()).toBe(1)
+      return 'done'
+    })
+    expect(res).toBe('done')
+    expect(spy.calls.count()).toBe(2)
+    expect(spy).toHaveBeenCalledWith(5)
+  })
+
+  it('batch should keep computed values up to date', () => {
+    const count = Vue.ref(1)
+    const double = Vue.computed(() => count.value * 2)
+    expect(double.value).toBe(2)
+    Vue.batch(() => {
+      count.value++
+      expect(double.value).toBe(4)
+    })
+  })
+
+  it('batch should flush notifications when the callback throws', () => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy()
+    Vue.watchEffect(() => spy(count.value), { flush: 'sync' })
+    expect(() => {
+      Vue.batch(() => {
+        count.value++
+        throw new Error('batch')
+      })
+    }).toThrowError('batch')
+    expect(spy).toHaveBeenCalledWith(1)
+  })
+
+  it('untracked', done => {
+    const state = Vue.reactive({ tracked: 'foo', untracked: 'bar' })
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      render (h) {
+        spy()
+        return h('div', state.tracked + Vue.untracked(() => state.untracked))
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('foobar')
+    state.untracked = 'baz'
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      state.tracked = 'qux'
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+      expect(vm.$el.textContent).toBe('quxbaz')
+    }).then(done)
+  })
+})
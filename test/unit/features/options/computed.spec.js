@@ -228,4 +228,34 @@ describe('Options computed', () => {
     })
     expect(() => vm.a).toThrowError('rethrow')
   })
+
+  it('onTrack / onTrigger', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { list: [1] },
+      computed: {
+        total: {
+          get () {
+            return this.list.length
+          },
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    expect(vm.total).toBe(1)
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      type: 'get',
+      key: 'list'
+    }))
+    vm.list.push(2)
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.list,
+      type: 'array mutation',
+      key: 'push'
+    }))
+    expect(vm.total).toBe(2)
+  })
 })
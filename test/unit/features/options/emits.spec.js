@@ -0,0 +1,136 @@
+import Vue from 'vue'
+
+describe('Options emits', () => {
+  it('should accept declared events', () => {
+    const spy = jasmine.createSpy('change')
+    const vm = new Vue({
+      template: '<child @change="spy"/>',
+      methods: { spy },
+      components: {
+        child: {
+          emits: ['change'],
+          template: '<div/>'
+        }
+      }
+    }).$mount()
+    vm.$children[0].$emit('change', 1)
+    expect(spy).toHaveBeenCalledWith(1)
+    expect('not declared').not.toHaveBeenWarned()
+  })
+
+  it('should warn when emitting undeclared events', () => {
+    const vm = new Vue({
+      emits: ['change']
+    })
+    vm.$emit('input')
+    expect('Component emitted event "input" but it is not declared').toHaveBeenWarned()
+  })
+
+  it('should validate event payloads', () => {
+    const spy = jasmine.createSpy('change')
+    const vm = new Vue({
+      emits: {
+        change: value => typeof value === 'number',
+        close: null
+      }
+    })
+    vm.$on('change', spy)
+    vm.$emit('change', 1)
+    vm.$emit('close')
+    expect('event validation failed').not.toHaveBeenWarned()
+    vm.$emit('change', 'foo')
+    expect('Invalid event arguments: event validation failed for event "change"').toHaveBeenWarned()
+    // handlers are still invoked
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should warn when the parent listens for undeclared events', done => {
+    const vm = new Vue({
+      data: { listen: false },
+      template: `
+        <child
+          @change="noop"
+          @hook:mounted="noop"
+          v-on="listen ? { close: noop } : {}"
+        />
+      `,
+      methods: { noop () {} },
+      components: {
+        child: {
+          emits: ['change'],
+          template: '<div/>'
+        }
+      }
+    }).$mount()
+    expect('is listened to for event "hook:mounted"').not.toHaveBeenWarned()
+    expect('is listened to for event "change"').not.toHaveBeenWarned()
+    vm.listen = true
+    waitForUpdate(() => {
+      expect('is listened to for event "close", which is not declared in its emits option').toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('should exclude declared events from $listeners', () => {
+    const inner = jasmine.createSpy('inner')
+    const vm = new Vue({
+      template: '<child @change="noop" @click="inner"/>',
+      methods: { inner, noop () {} },
+      components: {
+        child: {
+          emits: ['change'],
+          template: '<inner v-on="$listeners"/>',
+          components: {
+            inner: {
+              template: '<div/>'
+            }
+          }
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(Object.keys(child.$listeners)).toEqual(['click'])
+    child.$children[0].$emit('click')
+    expect(inner).toHaveBeenCalled()
+    // undeclared listeners fall through, but are still reported
+    expect('is listened to for event "click"').toHaveBeenWarned()
+  })
+
+  it('should match camelCase and kebab-case event names', () => {
+    const vm = new Vue({
+      template: '<child @my-event="noop" @other-event="noop" @update:fooBar="noop"/>',
+      methods: { noop () {} },
+      components: {
+        child: {
+          emits: {
+            myEvent: value => typeof value === 'number',
+            'other-event': null,
+            'update:fooBar': null
+          },
+          template: '<div/>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect('is listened to for event').not.toHaveBeenWarned()
+    expect(Object.keys(child.$listeners)).toEqual([])
+    child.$emit('my-event', 1)
+    child.$emit('otherEvent')
+    expect('but it is not declared').not.toHaveBeenWarned()
+    child.$emit('my-event', 'foo')
+    expect('event validation failed for event "my-event"').toHaveBeenWarned()
+  })
+
+  it('should merge emits from mixins and extends', () => {
+    const Base = Vue.extend({ emits: ['a'] })
+    const Child = Base.extend({
+      mixins: [{ emits: { b: null }}],
+      emits: { c: () => true }
+    })
+    expect(Object.keys(Child.options.emits).sort()).toEqual(['a', 'b', 'c'])
+  })
+
+  it('should warn invalid emits option', () => {
+    new Vue({ emits: 'change' })
+    expect('Invalid value for option "emits"').toHaveBeenWarned()
+  })
+})
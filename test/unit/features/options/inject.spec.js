@@ -673,4 +673,104 @@ describe('Options provide/inject', () => {
     })
     expect(`Injection "constructor" not found`).toHaveBeenWarned()
   })
+
+  describe('reactive provide', () => {
+    it('should keep injections bound to the provided value', done => {
+      const Child = {
+        inject: ['theme', 'size'],
+        render (h) {
+          return h('span', `${this.theme} ${this.size}`)
+        }
+      }
+      const vm = new Vue({
+        data: { theme: 'dark', size: 1 },
+        reactiveProvide: true,
+        provide () {
+          return {
+            theme: this.theme,
+            size: this.size
+          }
+        },
+        render: h => h('div', [h(Child), h({
+          functional: true,
+          inject: ['theme'],
+          render: (h, ctx) => h('i', ctx.injections.theme)
+        })])
+      }).$mount()
+      expect(vm.$el.textContent).toBe('dark 1dark')
+      vm.theme = 'light'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('light 1light')
+        vm.size++
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('light 2light')
+      }).then(done)
+    })
+
+    it('should not re-render the provider when injections are read', done => {
+      const spy = jasmine.createSpy()
+      const vm = new Vue({
+        data: { msg: 'foo' },
+        reactiveProvide: true,
+        provide () {
+          return { msg: this.msg }
+        },
+        render (h) {
+          spy()
+          return h({
+            inject: ['msg'],
+            render (h) {
+              return h('div', this.msg)
+            }
+          })
+        }
+      }).$mount()
+      vm.msg = 'bar'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('bar')
+        expect(spy.calls.count()).toBe(1)
+      }).then(done)
+    })
+
+    it('should warn when mutating a live injection', () => {
+      const vm = new Vue({
+        reactiveProvide: true,
+        provide: () => ({ foo: 1 })
+      })
+      const child = new Vue({
+        parent: vm,
+        inject: ['foo']
+      })
+      child.foo = 2
+      expect(child.foo).toBe(1)
+      expect('Avoid mutating injected value "foo": it is bound to the value provided by an ancestor component').toHaveBeenWarned()
+    })
+
+    it('should warn when provide is not a function', () => {
+      Vue.extend({
+        reactiveProvide: true,
+        provide: { foo: 1 }
+      })
+      expect('The "reactiveProvide" option requires "provide" to be a function').toHaveBeenWarned()
+    })
+  })
+
+  it('$isProvided', () => {
+    const vm = new Vue({
+      provide: { foo: 1 }
+    })
+    const child = new Vue({
+      parent: vm,
+      inject: {
+        bar: { from: 'foo' },
+        baz: { default: 2 }
+      },
+      provide: { qux: 3 }
+    })
+    expect(child.baz).toBe(2)
+    expect(child.$isProvided('bar')).toBe(true)
+    expect(child.$isProvided('foo')).toBe(true)
+    expect(child.$isProvided('baz')).toBe(false)
+    expect(child.$isProvided('qux')).toBe(false)
+  })
 })
@@ -311,6 +311,35 @@ describe('Options lifecycle hooks', () => {
     })
   })
 
+  describe('beforeUnmount / unmounted', () => {
+    it('should be called as aliases of beforeDestroy / destroyed', () => {
+      const calls = []
+      const vm = new Vue({
+        render () {},
+        mixins: [{ beforeUnmount: () => calls.push('mixin beforeUnmount') }],
+        beforeDestroy: () => calls.push('beforeDestroy'),
+        beforeUnmount () {
+          calls.push('beforeUnmount')
+          expect(this._isDestroyed).toBe(false)
+        },
+        destroyed: () => calls.push('destroyed'),
+        unmounted () {
+          calls.push('unmounted')
+          expect(this._isDestroyed).toBe(true)
+        }
+      }).$mount()
+      vm.$destroy()
+      vm.$destroy()
+      expect(calls).toEqual([
+        'beforeDestroy',
+        'mixin beforeUnmount',
+        'beforeUnmount',
+        'destroyed',
+        'unmounted'
+      ])
+    })
+  })
+
   it('should emit hook events', () => {
     const created = jasmine.createSpy()
     const mounted = jasmine.createSpy()
@@ -335,4 +364,53 @@ describe('Options lifecycle hooks', () => {
     vm.$destroy()
     expect(destroyed).toHaveBeenCalled()
   })
+
+  describe('renderTracked / renderTriggered', () => {
+    it('should be called with debugger events', done => {
+      const tracked = jasmine.createSpy('renderTracked')
+      const triggered = jasmine.createSpy('renderTriggered')
+      const vm = new Vue({
+        data: { msg: 'foo' },
+        render (h) {
+          return h('div', this.msg)
+        },
+        renderTracked: tracked,
+        renderTriggered: triggered
+      }).$mount()
+      expect(tracked).toHaveBeenCalledWith(jasmine.objectContaining({
+        effect: vm._watcher,
+        target: vm._data,
+        type: 'get',
+        key: 'msg'
+      }))
+      expect(triggered).not.toHaveBeenCalled()
+      vm.msg = 'bar'
+      expect(triggered).toHaveBeenCalledWith(jasmine.objectContaining({
+        effect: vm._watcher,
+        target: vm._data,
+        type: 'set',
+        key: 'msg',
+        newValue: 'bar',
+        oldValue: 'foo'
+      }))
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('bar')
+      }).then(done)
+    })
+
+    it('should be merged from mixins', () => {
+      const mixinSpy = jasmine.createSpy()
+      const spy = jasmine.createSpy()
+      new Vue({
+        mixins: [{ renderTracked: mixinSpy }],
+        data: { msg: 'foo' },
+        render (h) {
+          return h('div', this.msg)
+        },
+        renderTracked: spy
+      }).$mount()
+      expect(mixinSpy.calls.count()).toBe(1)
+      expect(spy.calls.count()).toBe(1)
+    })
+  })
 })
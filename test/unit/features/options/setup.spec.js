@@ -0,0 +1,201 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should expose returned bindings to the template', done => {
+    const vm = new Vue({
+      template: '<div @click="increment">{{ count }} {{ msg }}</div>',
+      setup () {
+        const count = Vue.ref(0)
+        return {
+          count,
+          msg: 'hello',
+          increment: () => { count.value++ }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0 hello')
+    vm.increment()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1 hello')
+    }).then(done)
+  })
+
+  it('should unwrap refs on the instance', done => {
+    const count = Vue.ref(1)
+    const vm = new Vue({
+      setup: () => ({ count }),
+      computed: {
+        double () {
+          return this.count * 2
+        }
+      },
+      render (h) {
+        return h('div', this.double)
+      }
+    }).$mount()
+    expect(vm.count).toBe(1)
+    vm.count = 2
+    expect(count.value).toBe(2)
+    expect(vm.double).toBe(4)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('4')
+    }).then(done)
+  })
+
+  it('should make returned plain values reactive', done => {
+    const vm = new Vue({
+      template: '<div>{{ count }}</div>',
+      setup: () => ({ count: 0 })
+    }).$mount()
+    vm.count++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('should run after injections and before data', () => {
+    let injected
+    const vm = new Vue({
+      provide: { foo: 'foo' },
+      render: h => h('child')
+    })
+    const child = new Vue({
+      parent: vm,
+      inject: ['foo'],
+      setup () {
+        injected = Vue.getCurrentInstance().foo
+        return { bar: 'bar' }
+      },
+      data () {
+        return { baz: this.bar + '!' }
+      }
+    })
+    expect(injected).toBe('foo')
+    expect(child.baz).toBe('bar!')
+  })
+
+  it('should use a returned function as the render function', () => {
+    const onReady = jasmine.createSpy()
+    const vm = new Vue({
+      template: '<div><child msg="foo" class="c" @ready="onReady">bar</child></div>',
+      methods: { onReady },
+      components: {
+        child: {
+          props: ['msg'],
+          inheritAttrs: false,
+          setup (props, ctx) {
+            expect(this).toBeNull()
+            expect(props.msg).toBe('foo')
+            expect(ctx.listeners.ready).toBeDefined()
+            ctx.emit('ready', props.msg)
+            return h => h('span', [props.msg, ctx.slots.default()])
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span class="c">foobar</span>')
+    expect(onReady).toHaveBeenCalledWith('foo')
+  })
+
+  it('should pass reactive props', done => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<child :msg="msg"/>',
+      components: {
+        child: {
+          props: ['msg'],
+          setup (props) {
+            Vue.watchEffect(() => spy(props.msg))
+            return {}
+          },
+          render: h => h('div')
+        }
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith('foo')
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('bar')
+    }).then(done)
+  })
+
+  it('should register lifecycle hooks', done => {
+    const calls = []
+    const Comp = Vue.extend({
+      mounted () {
+        calls.push('option mounted')
+      },
+      setup () {
+        expect(Vue.getCurrentInstance()).toBeTruthy()
+        Vue.onBeforeMount(() => calls.push('beforeMount'))
+        Vue.onMounted(() => calls.push('mounted'))
+        Vue.onBeforeUpdate(() => calls.push('beforeUpdate'))
+        Vue.onUpdated(() => calls.push('updated'))
+        Vue.onBeforeUnmount(() => calls.push('beforeUnmount'))
+        Vue.onUnmounted(() => calls.push('unmounted'))
+        return { msg: Vue.ref('foo') }
+      },
+      render (h) {
+        return h('div', this.msg)
+      }
+    })
+    const vm = new Comp().$mount()
+    expect(Vue.getCurrentInstance()).toBeNull()
+    expect(calls).toEqual(['beforeMount', 'option mounted', 'mounted'])
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(calls.slice(3)).toEqual(['beforeUpdate', 'updated'])
+      vm.$destroy()
+      expect(calls.slice(5)).toEqual(['beforeUnmount', 'unmounted'])
+      // should not leak into the constructor options or other instances
+      expect(Comp.options.mounted.length).toBe(1)
+      calls.length = 0
+      new Comp().$mount()
+      expect(calls).toEqual(['beforeMount', 'option mounted', 'mounted'])
+    }).then(done)
+  })
+
+  it('should stop effects created in setup on destroy', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      setup () {
+        Vue.watchEffect(() => spy(count.value))
+      },
+      render: h => h('div')
+    }).$mount()
+    expect(spy.calls.count()).toBe(1)
+    vm.$destroy()
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should warn on lifecycle registration outside of setup', () => {
+    Vue.onMounted(() => {})
+    expect('Lifecycle hook "mounted" is registered when there is no active component instance').toHaveBeenWarned()
+  })
+
+  it('should warn on conflicting and invalid bindings', () => {
+    const vm = new Vue({
+      props: ['foo'],
+      setup: () => ({ foo: 1, $bar: 2, baz: 3, qux: 4 }),
+      data: () => ({ baz: 1 }),
+      methods: {
+        qux () {}
+      }
+    })
+    expect('setup() return property "foo" is already defined as a prop').toHaveBeenWarned()
+    expect('setup() return property "$bar" should not start with "$" or "_"').toHaveBeenWarned()
+    expect('The data property "baz" is already returned from setup()').toHaveBeenWarned()
+    expect('Method "qux" has already been returned from setup()').toHaveBeenWarned()
+    expect(vm.qux).toBe(4)
+
+    new Vue({
+      setup: () => 1
+    })
+    expect('setup() should return an object or a render function. Received: number').toHaveBeenWarned()
+  })
+})
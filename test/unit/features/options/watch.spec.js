@@ -175,4 +175,91 @@ describe('Options watch', () => {
     })
     expect(`Failed watching path`).not.toHaveBeenWarned()
   })
+
+  it('onTrack / onTrigger', done => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { obj: {}},
+      watch: {
+        obj: {
+          handler: spy,
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      type: 'get',
+      key: 'obj'
+    }))
+    Vue.set(vm.obj, 'a', 1)
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.obj,
+      type: 'add',
+      key: 'a',
+      newValue: 1
+    }))
+    vm.$watch(() => vm.obj.a, spy, { onTrigger })
+    Vue.delete(vm.obj, 'a')
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.obj,
+      type: 'delete',
+      key: 'a'
+    }))
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('flush: post should have access to the updated DOM', done => {
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<div ref="el">{{ msg }}</div>',
+      watch: {
+        msg: {
+          handler () {
+            spy(this.$refs.el.textContent)
+          },
+          flush: 'post'
+        }
+      }
+    }).$mount()
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('bar')
+    }).then(done)
+  })
+
+  it('flush: pre should run before the DOM is updated', done => {
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<div>{{ msg }}</div>'
+    }).$mount()
+    vm.$watch('msg', function () {
+      spy(this.$el.textContent)
+    }, { flush: 'pre' })
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('foo')
+    }).then(done)
+  })
+
+  it('flush: sync', () => {
+    const vm = new Vue({
+      data: { a: 1 }
+    })
+    vm.$watch('a', spy, { flush: 'sync' })
+    vm.a = 2
+    expect(spy).toHaveBeenCalledWith(2, 1)
+  })
+
+  it('warn invalid flush option', () => {
+    const vm = new Vue({
+      data: { a: 1 }
+    })
+    vm.$watch('a', spy, { flush: 'later' })
+    expect('Invalid watcher flush option: "later"').toHaveBeenWarned()
+  })
 })
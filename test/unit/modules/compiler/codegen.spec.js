@@ -54,7 +54,8 @@ describe('codegen', () => {
   it('generate v-for directive', () => {
     assertCodegen(
       '<div><li v-for="item in items" :key="item.uid"></li></div>',
-      `with(this){return _c('div',_l((items),function(item){return _c('li',{key:item.uid})}),0)}`
+      `with(this){return _c('div',_l((items),function(item){return _c('li',{key:item.uid},void 0,0,_h(0))}),0)}`,
+      [`with(this){return {"flag":0}}`]
     )
     // iterator syntax
     assertCodegen(
@@ -126,7 +127,8 @@ describe('codegen', () => {
   it('generate ref on v-for', () => {
     assertCodegen(
       '<ul><li v-for="item in items" ref="component1"></li></ul>',
-      `with(this){return _c('ul',_l((items),function(item){return _c('li',{ref:"component1",refInFor:true})}),0)}`
+      `with(this){return _c('ul',_l((items),function(item){return _c('li',_h(0),void 0,0,_h(1))}),0)}`,
+      [`with(this){return {ref:"component1",refInFor:true}}`, `with(this){return {"flag":32}}`]
     )
   })
 
@@ -172,10 +174,18 @@ describe('codegen', () => {
     )
   })
 
+  it('generate v-model with arguments and modifiers on custom component', () => {
+    assertCodegen(
+      '<my-component v-model:first-name="first" v-model.trim="test" />',
+      `with(this){return _c('my-component',{model:{value:(test),callback:function ($$v) {test=(typeof $$v === 'string'? $$v.trim(): $$v)},expression:"test",modifiers:{"trim":true}},models:{"firstName":{value:(first),callback:function ($$v) {first=$$v},expression:"first"}}})}`
+    )
+  })
+
   it('generate template tag', () => {
     assertCodegen(
       '<div><template><p>{{hello}}</p></template></div>',
-      `with(this){return _c('div',[[_c('p',[_v(_s(hello))])]],2)}`
+      `with(this){return _c('div',[[_c('p',void 0,[_v(_s(hello))],0,_h(0))]],2)}`,
+      [`with(this){return {"flag":1}}`]
     )
   })
 
@@ -701,5 +711,81 @@ describe('codegen', () => {
       `with(this){return _c('div',[(ok)?_l((1),function(i){return _c('foo',{key:i})}):_e()],2)}`
     )
   })
+
+  it('hoist constant element data', () => {
+    assertCodegen(
+      '<div><p id="a" class="b">{{ msg }}</p><p :title="msg">c</p></div>',
+      `with(this){return (_a(),_z(_c('div',[_c('p',_h(0),[_x(_v(_s(msg)))],0,_h(1)),_x(_c('p',{attrs:{"title":msg}},[_v("c")],0,_h(2)))]),_h(3)))}`,
+      [
+        `with(this){return {staticClass:"b",attrs:{"id":"a"}}}`,
+        `with(this){return {"flag":33}}`,
+        `with(this){return {"flag":8,"props":["title"]}}`,
+        `with(this){return {}}`
+      ]
+    )
+  })
+
+  it('generate patch flags', () => {
+    assertCodegen(
+      '<div><p :class="a" :style="b" :title="c" :id="1" :value.prop="d"></p><p :[n]="e" v-html="f"></p></div>',
+      `with(this){return (_a(),_z(_c('div',[_x(_c('p',{class:a,style:(b),attrs:{"title":c,"id":1},domProps:{"value":d}},void 0,0,_h(0))),_x(_c('p',_b({domProps:{"innerHTML":_s(f)}},"p",_d({},[n,e])),void 0,0,_h(1)))]),_h(2)))}`,
+      [
+        `with(this){return {"flag":14,"props":["title","value"]}}`,
+        `with(this){return {"flag":16}}`,
+        `with(this){return {}}`
+      ]
+    )
+  })
+
+  it('should not generate shapes for roots, components and static trees', () => {
+    assertCodegen(
+      '<div :id="a"><foo :id="a"></foo><p><b>static</b></p><p v-pre>{{ a }}</p></div>',
+      `with(this){return _c('div',{attrs:{"id":a}},[_c('foo',{attrs:{"id":a}}),_m(0),_c('p',{pre:true},[_v("{{ a }}")])],1)}`,
+      [`with(this){return _c('p',[_c('b',[_v("static")])])}`]
+    )
+    // the optimizer is needed to know which elements are static
+    assertCodegen(
+      '<div><p :id="a">{{ b }}</p></div>',
+      `with(this){return _c('div',[_c('p',{attrs:{"id":a}},[_v(_s(b))])],1)}`,
+      { optimize: false }
+    )
+  })
+
+  it('generate blocks', () => {
+    assertCodegen(
+      '<div><p ref="p"><b>{{ a }}</b>c</p><input v-model="b"><p><b>static</b></p></div>',
+      `with(this){return (_a(),_z(_c('div',[_x(_c('p',_h(0),[_c('b',void 0,[_x(_v(_s(a)))],0,_h(2)),_v("c")],0,_h(1))),_x(_c('input',{directives:[{name:"model",rawName:"v-model",value:(b),expression:"b"}],domProps:{"value":(b)},on:{"input":function($event){if($event.target.composing)return;b=$event.target.value}}},void 0,0,_h(3))),_m(4)]),_h(5)))}`,
+      [
+        `with(this){return {ref:"p"}}`,
+        `with(this){return {"flag":32}}`,
+        `with(this){return {"flag":1}}`,
+        `with(this){return {"flag":8,"props":["value"]}}`,
+        `with(this){return _c('p',[_c('b',[_v("static")])])}`,
+        `with(this){return {}}`
+      ]
+    )
+  })
+
+  it('generate blocks for v-if branches and v-for items', () => {
+    assertCodegen(
+      '<div><p v-if="ok"><b>{{ a }}</b></p><p v-for="i in list"><b>{{ i }}</b></p></div>',
+      `with(this){return _c('div',[(ok)?(_a(),_z(_c('p',[_c('b',void 0,[_x(_v(_s(a)))],0,_h(0))]),_h(1))):_e(),_l((list),function(i){return (_a(),_z(_c('p',[_c('b',void 0,[_x(_v(_s(i)))],0,_h(2))]),_h(3)))})],2)}`,
+      [
+        `with(this){return {"flag":1}}`,
+        `with(this){return {}}`,
+        `with(this){return {"flag":1}}`,
+        `with(this){return {}}`
+      ]
+    )
+  })
+
+  it('should not generate blocks around unstable children', () => {
+    // components, slots and dynamic keys
+    assertCodegen(
+      '<div><p><foo></foo></p><p><slot></slot></p><p><b :key="a"></b></p></div>',
+      `with(this){return _c('div',[_c('p',[_c('foo')],1),_c('p',[_t("default")],2),_c('p',[_c('b',{key:a},void 0,0,_h(0))])])}`,
+      [`with(this){return {"flag":0}}`]
+    )
+  })
 })
 /* eslint-enable quotes */
@@ -0,0 +1,130 @@
+import Vue from 'vue'
+import { compile, compileToFunctions } from 'web/compiler'
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+// decode the mappings into [generatedLine, generatedColumn, line, column]
+function decodeMappings (mappings) {
+  const res = []
+  let line = 0
+  let column = 0
+  mappings.split(';').forEach((segments, generatedLine) => {
+    let generatedColumn = 0
+    segments.split(',').filter(Boolean).forEach(segment => {
+      const values = []
+      let value = 0
+      let shift = 0
+      for (let i = 0; i < segment.length; i++) {
+        const digit = BASE64_CHARS.indexOf(segment[i])
+        value += (digit & 31) << shift
+        shift += 5
+        if (!(digit & 32)) {
+          values.push(value & 1 ? -(value >> 1) : value >> 1)
+          value = shift = 0
+        }
+      }
+      generatedColumn += values[0]
+      line += values[2]
+      column += values[3]
+      res.push([generatedLine, generatedColumn, line, column])
+    })
+  })
+  return res
+}
+
+// the template position that the generated code at `index` maps to
+function originalPosition (map, code, index) {
+  const lines = code.slice(0, index).split('\n')
+  const generatedLine = lines.length - 1
+  const generatedColumn = lines[generatedLine].length
+  let found = null
+  decodeMappings(map.mappings).forEach(([l, c, line, column]) => {
+    if (l === generatedLine && c <= generatedColumn) {
+      found = { line, column }
+    }
+  })
+  return found
+}
+
+describe('compiler source map', () => {
+  it('should not generate source maps by default', () => {
+    const { map, staticRenderFnMaps } = compile('<div>{{ msg }}</div>')
+    expect(map).toBeUndefined()
+    expect(staticRenderFnMaps).toBeUndefined()
+  })
+
+  it('should map render code to the template', () => {
+    const template = `
+<div id="app">
+  <p v-if="ok">{{ foo.bar }}</p>
+  <span v-else-if="other">b</span>
+  <ul><li v-for="item in items">{{ item }}</li></ul>
+</div>`
+    const { render, map } = compile(template, {
+      sourceMap: true,
+      filename: 'app.html'
+    })
+    // eslint-disable-next-line no-control-regex
+    expect(render).not.toMatch(/[\u0000\u0001]/)
+    expect(map.version).toBe(3)
+    expect(map.sources).toEqual(['app.html'])
+    expect(map.sourcesContent).toEqual([template])
+
+    const find = code => originalPosition(map, render, render.indexOf(code))
+    expect(find(`_c('div'`)).toEqual({ line: 1, column: 0 })
+    // v-if conditions belong to their branch
+    expect(find('(ok)')).toEqual({ line: 2, column: 2 })
+    expect(find(`_s(foo.bar)`)).toEqual({ line: 2, column: 15 })
+    expect(find('(other)')).toEqual({ line: 3, column: 2 })
+    expect(find(`_l((items)`)).toEqual({ line: 4, column: 6 })
+    expect(find(`_s(item)`)).toEqual({ line: 4, column: 32 })
+    // code after a child maps back to the parent
+    expect(originalPosition(map, render, render.length - 1)).toEqual({ line: 1, column: 0 })
+  })
+
+  it('should map static render code', () => {
+    const { render, staticRenderFns, map, staticRenderFnMaps } = compile(
+      '<div>\n  <p><b>static</b></p>\n  {{ msg }}\n</div>',
+      { sourceMap: true }
+    )
+    expect(staticRenderFns.length).toBe(1)
+    expect(staticRenderFnMaps.length).toBe(1)
+    expect(map.sources).toEqual(['template.html'])
+    const code = staticRenderFns[0]
+    expect(originalPosition(staticRenderFnMaps[0], code, code.indexOf(`_c('b'`)))
+      .toEqual({ line: 1, column: 5 })
+    expect(originalPosition(map, render, render.indexOf('_m(0)')))
+      .toEqual({ line: 1, column: 2 })
+  })
+
+  it('should inline source maps into compiled functions', () => {
+    const res = compileToFunctions('<div>{{ msg }}</div>', { sourceMap: true })
+    const source = res.render.toString()
+    const match = source.match(
+      /\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,(.*)/
+    )
+    expect(match).toBeTruthy()
+    const map = JSON.parse(decodeURIComponent(escape(atob(match[1]))))
+    // the function body starts on the third line
+    expect(map.mappings.slice(0, 2)).toBe(';;')
+    expect(decodeMappings(map.mappings)[0].slice(0, 2)).toEqual([2, 18])
+    const vnode = res.render.call({
+      msg: 'hi',
+      _c: (tag, children) => ({ tag, children }),
+      _v: text => text,
+      _s: val => String(val)
+    })
+    expect(vnode).toEqual({ tag: 'div', children: ['hi'] })
+  })
+
+  it('should only map templates compiled at runtime with the sourceMap option', () => {
+    const plain = new Vue({ template: '<div>{{ 1 }}</div>' }).$mount()
+    expect(plain.$options.render.toString()).not.toContain('sourceMappingURL')
+    const mapped = new Vue({
+      sourceMap: true,
+      template: '<div>{{ 1 }}</div>'
+    }).$mount()
+    expect(mapped.$options.render.toString()).toContain('sourceMappingURL')
+    expect(mapped.$el.textContent).toBe('1')
+  })
+})
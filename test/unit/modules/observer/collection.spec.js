@@ -0,0 +1,142 @@
+import Vue from 'vue'
+import { Observer, observe } from 'core/observer/index'
+
+describe('Observer: collections', () => {
+  it('create on Map, Set, WeakMap and WeakSet', () => {
+    const item = {}
+    const map = new Map([['a', item]])
+    const ob = observe(map)
+    expect(ob instanceof Observer).toBe(true)
+    expect(map.__ob__).toBe(ob)
+    // should've observed values
+    expect(item.__ob__ instanceof Observer).toBe(true)
+    expect(observe(new Set()) instanceof Observer).toBe(true)
+    expect(observe(new WeakMap()) instanceof Observer).toBe(true)
+    expect(observe(new WeakSet()) instanceof Observer).toBe(true)
+  })
+
+  it('should not observe instances of subclasses', () => {
+    class DefaultMap extends Map {
+      get (key) {
+        return this.has(key) ? super.get(key) : 'default'
+      }
+    }
+    const map = new DefaultMap([['a', 1]])
+    const vm = new Vue({ data: { map }})
+    expect(observe(map)).toBeUndefined()
+    expect(vm.map).toBe(map)
+    expect(map.get('a')).toBe(1)
+    expect(map.get('b')).toBe('default')
+    expect(map instanceof DefaultMap).toBe(true)
+  })
+
+  it('should keep native behavior', () => {
+    const map = new Map()
+    observe(map)
+    map.set('a', 1).set('b', 2)
+    expect(map.get('a')).toBe(1)
+    expect(map.has('b')).toBe(true)
+    expect(map.size).toBe(2)
+    expect(Array.from(map.keys())).toEqual(['a', 'b'])
+    expect(Array.from(map)).toEqual([['a', 1], ['b', 2]])
+    expect(map instanceof Map).toBe(true)
+    expect(Object.prototype.toString.call(map)).toBe('[object Map]')
+    map.delete('a')
+    expect(map.size).toBe(1)
+    map.clear()
+    expect(map.size).toBe(0)
+  })
+
+  it('should re-render on Map mutation', done => {
+    const vm = new Vue({
+      data: { map: new Map([['a', 1]]) },
+      render (h) {
+        return h('div', Array.from(this.map.entries()).map(([k, v]) => `${k}:${v}`).join(','))
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('a:1')
+    vm.map.set('b', 2)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('a:1,b:2')
+      vm.map.delete('a')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('b:2')
+      vm.map.clear()
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('')
+    }).then(done)
+  })
+
+  it('should re-render on Set mutation', done => {
+    const vm = new Vue({
+      data: { set: new Set() },
+      render (h) {
+        return h('div', this.set.size)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0')
+    vm.set.add(1)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('should not notify when nothing changed', () => {
+    const set = new Set([1])
+    const map = new Map([['a', 1]])
+    const setOb = observe(set)
+    const mapOb = observe(map)
+    spyOn(setOb.dep, 'notify')
+    spyOn(mapOb.dep, 'notify')
+    set.add(1)
+    set.delete(2)
+    map.set('a', 1)
+    map.delete('b')
+    expect(setOb.dep.notify).not.toHaveBeenCalled()
+    expect(mapOb.dep.notify).not.toHaveBeenCalled()
+  })
+
+  it('should collect dependencies for standalone collections', done => {
+    const state = Vue.observable(new WeakMap())
+    const key = {}
+    const vm = new Vue({
+      render (h) {
+        return h('div', state.has(key) ? state.get(key) : 'none')
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('none')
+    state.set(key, 'foo')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('foo')
+    }).then(done)
+  })
+
+  it('should make values reactive', done => {
+    const vm = new Vue({
+      data: { map: new Map() },
+      render (h) {
+        const item = this.map.get('item')
+        return h('div', item ? item.msg : '')
+      }
+    }).$mount()
+    vm.map.set('item', { msg: 'foo' })
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('foo')
+      vm.map.get('item').msg = 'bar'
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('bar')
+    }).then(done)
+  })
+
+  it('deep watchers should traverse collections', done => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      data: { set: new Set([{ a: 1 }]) }
+    })
+    vm.$watch('set', spy, { deep: true })
+    vm.set.values().next().value.a = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+})
@@ -1,4 +1,4 @@
-import Dep from 'core/observer/dep'
+import Dep, { batch } from 'core/observer/dep'
 
 describe('Dep', () => {
   let dep
@@ -60,4 +60,20 @@ describe('Dep', () => {
       expect(dep.subs[0].update).toHaveBeenCalled()
     })
   })
+
+  describe('batch()', () => {
+    it('should notify every sub when one of them throws', () => {
+      const failing = {
+        id: 1,
+        update: jasmine.createSpy('failing').and.throwError('update')
+      }
+      const sub = { id: 2, update: jasmine.createSpy('sub') }
+      dep.subs.push(failing, sub)
+      expect(() => {
+        batch(() => dep.notify())
+      }).toThrowError('update')
+      expect(failing.update).toHaveBeenCalled()
+      expect(sub.update).toHaveBeenCalled()
+    })
+  })
 })
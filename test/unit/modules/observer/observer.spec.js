@@ -344,6 +344,18 @@ describe('Observer', () => {
     })
   })
 
+  it('observing fill and copyWithin', () => {
+    const arr = [1, 2, 3]
+    const ob = observe(arr)
+    spyOn(ob.dep, 'notify')
+    const obj = {}
+    expect(arr.fill(obj, 2)).toBe(arr)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+    arr.copyWithin(0, 2)
+    expect(arr).toEqual([obj, 2, obj])
+    expect(ob.dep.notify.calls.count()).toBe(2)
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
@@ -0,0 +1,230 @@
+import Vue from 'vue'
+import { observe, set as setProp, del as delProp } from 'core/observer/index'
+
+describe('Observer: proxy reactivity mode', () => {
+  beforeEach(() => {
+    Vue.config.reactivityMode = 'proxy'
+  })
+
+  afterEach(() => {
+    Vue.config.reactivityMode = 'defineProperty'
+  })
+
+  it('create proxy instead of getter/setters', () => {
+    const obj = { a: 1, b: { c: 2 }}
+    const ob = observe(obj)
+    expect(ob.value).toBe(obj)
+    expect(ob.proxy).toBeDefined()
+    expect(ob.proxy.__ob__).toBe(ob)
+    expect(Object.getOwnPropertyDescriptor(obj, 'a').get).toBeUndefined()
+    // nested objects are observed lazily
+    expect(obj.b.__ob__).toBeUndefined()
+    expect(ob.proxy.b).toBe(obj.b.__ob__.proxy)
+  })
+
+  it('should detect property addition and deletion', done => {
+    const vm = new Vue({
+      data: { obj: { a: 1 }},
+      render (h) {
+        return h('div', Object.keys(this.obj).map(key => `${key}:${this.obj[key]}`).join(','))
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('a:1')
+    vm.obj.b = 2
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('a:1,b:2')
+      delete vm.obj.a
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('b:2')
+    }).then(done)
+  })
+
+  it('should detect reading a missing key that is added later', done => {
+    const vm = new Vue({
+      data: { obj: {}},
+      render (h) {
+        return h('div', this.obj.msg)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('')
+    vm.obj.msg = 'hello'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('hello')
+    }).then(done)
+  })
+
+  it('should detect array index assignment and length changes', done => {
+    const vm = new Vue({
+      data: { list: [1, 2, 3] },
+      render (h) {
+        return h('div', this.list.join(','))
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1,2,3')
+    vm.list[1] = 5
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1,5,3')
+      vm.list.length = 1
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('1')
+      vm.list.push({ a: 1 })
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('1,[object Object]')
+    }).then(done)
+  })
+
+  it('should make nested values reactive', done => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      data: { a: { b: { c: 1 }}}
+    })
+    vm.$watch('a.b.c', spy)
+    vm.a.b.c = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2, 1)
+      vm.a.b = { c: 3 }
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(3, 2)
+      // assigned values are stored raw and read back as proxies
+      expect(vm._data.a.b.__ob__.value.c).toBe(3)
+      expect(vm.a.b).toBe(vm.a.b.__ob__.proxy)
+    }).then(done)
+  })
+
+  it('should notify non-deep watchers on array mutation', done => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      data: { list: [] }
+    })
+    vm.$watch('list', spy)
+    vm.list.push(1)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should keep Vue.set/delete semantics on raw objects', done => {
+    const obj = { a: 1 }
+    const ob = observe(obj)
+    const vm = new Vue({
+      render (h) {
+        return h('div', ob.proxy.b)
+      }
+    }).$mount()
+    setProp(obj, 'b', 'set')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('set')
+      delProp(obj, 'b')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('')
+    }).then(done)
+  })
+
+  it('should observe collections without proxying them', done => {
+    const vm = new Vue({
+      data: { map: new Map([['item', { msg: 'foo' }]]) },
+      render (h) {
+        return h('div', this.map.get('item').msg)
+      }
+    }).$mount()
+    const item = vm.map.get('item')
+    expect(item).toBe(item.__ob__.proxy)
+    item.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('bar')
+    }).then(done)
+  })
+
+  it('should leave nested values of shallow observers as is', () => {
+    const nested = { a: 1 }
+    const state = Vue.shallowReactive({ nested, list: [{ b: 1 }] })
+    expect(state.nested).toBe(nested)
+    expect(nested.__ob__).toBeUndefined()
+    state.list.push({ c: 1 })
+    expect(state.list[0].__ob__).toBeUndefined()
+    expect(state.list[1].__ob__).toBeUndefined()
+  })
+
+  it('Vue.observable should return the proxy', done => {
+    const state = Vue.observable({ count: 0 })
+    const vm = new Vue({
+      render (h) {
+        return h('div', state.count)
+      }
+    }).$mount()
+    state.count++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+})
+
+describe('Observer: array proxy', () => {
+  beforeEach(() => {
+    Vue.config.arrayProxy = true
+  })
+
+  afterEach(() => {
+    Vue.config.arrayProxy = false
+  })
+
+  it('should only proxy arrays', () => {
+    const obj = { list: [1, 2], nested: { a: 1 }}
+    observe(obj)
+    expect(obj.__ob__.proxy).toBeUndefined()
+    expect(Object.getOwnPropertyDescriptor(obj, 'nested').get).toBeDefined()
+    const list = obj.list
+    expect(list).toBe(list.__ob__.proxy)
+    expect(list.__ob__.value).not.toBe(list)
+  })
+
+  it('should detect index assignment, length truncation, fill and copyWithin', done => {
+    const vm = new Vue({
+      data: { list: [1, 2, 3] },
+      render (h) {
+        return h('div', this.list.join(','))
+      }
+    }).$mount()
+    vm.list[1] = 5
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1,5,3')
+      vm.list.length = 2
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('1,5')
+      vm.list.fill(0)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('0,0')
+      vm.list = [1, 2, 3]
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('1,2,3')
+      vm.list.copyWithin(0, 1)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('2,3,3')
+    }).then(done)
+  })
+
+  it('should keep Vue.set and mutation method semantics', done => {
+    const raw = [{ msg: 'foo' }]
+    const vm = new Vue({
+      data: { list: raw },
+      render (h) {
+        return h('div', this.list.map(item => item.msg).join(','))
+      }
+    }).$mount()
+    Vue.set(vm.list, 1, { msg: 'bar' })
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('foo,bar')
+      vm.list[1].msg = 'baz'
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('foo,baz')
+      // mutating the raw array still works
+      raw.push({ msg: 'qux' })
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('foo,baz,qux')
+      expect(vm.list.push({ msg: 'quux' })).toBe(4)
+      expect(vm.list.reverse()).toBe(vm.list)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('quux,qux,baz,foo')
+    }).then(done)
+  })
+})
@@ -1,8 +1,9 @@
 import Vue from 'vue'
 import {
-  MAX_UPDATE_COUNT,
-  queueWatcher as _queueWatcher
+  queueWatcher as _queueWatcher,
+  runWithInputPriority
 } from 'core/observer/scheduler'
+import { yieldToMain } from 'core/util/next-tick'
 
 function queueWatcher (watcher) {
   watcher.vm = {} // mock vm
@@ -121,11 +122,57 @@ describe('Scheduler', () => {
     }
     queueWatcher(job)
     waitForUpdate(() => {
-      expect(count).toBe(MAX_UPDATE_COUNT + 1)
+      expect(count).toBe(Vue.config.maxUpdateCount + 1)
       expect('infinite update loop').toHaveBeenWarned()
     }).then(done)
   })
 
+  it('should respect config.maxUpdateCount', function (done) {
+    Vue.config.maxUpdateCount = 10
+    let count = 0
+    const job = {
+      id: 1,
+      run () {
+        count++
+        queueWatcher(job)
+      }
+    }
+    queueWatcher(job)
+    waitForUpdate(() => {
+      expect(count).toBe(11)
+      expect('exceeded config.maxUpdateCount of 10').toHaveBeenWarned()
+      Vue.config.maxUpdateCount = 100
+    }).then(done)
+  })
+
+  it('should report the watchers involved in an update loop', done => {
+    const warnHandler = Vue.config.warnHandler = jasmine.createSpy()
+    const vm = new Vue({
+      data: { a: 1, b: 1 },
+      watch: {
+        a () { this.b++ },
+        b () { this.a++ }
+      },
+      render (h) {
+        return h('div', this.a)
+      }
+    }).$mount()
+    vm.a++
+    waitForUpdate(() => {
+      expect(warnHandler).toHaveBeenCalled()
+      const [msg, instance, , report] = warnHandler.calls.argsFor(0)
+      expect(msg).toContain('infinite update loop')
+      expect(msg).toContain('<Root> watcher "b" (triggered by "b")')
+      expect(instance).toBe(vm)
+      expect(report.limit).toBe(Vue.config.maxUpdateCount)
+      expect(report.chain).toEqual([
+        { component: '<Root>', expression: 'b', isRenderWatcher: false, key: 'b' },
+        { component: '<Root>', expression: 'a', isRenderWatcher: false, key: 'a' }
+      ])
+      Vue.config.warnHandler = null
+    }).then(done)
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
@@ -177,4 +224,121 @@ describe('Scheduler', () => {
       })
     })
   })
+
+  it('call post watchers after component re-render', done => {
+    const calls = []
+    const vm = new Vue({
+      data: {
+        a: 1
+      },
+      created () {
+        this.$watch('a', () => calls.push('post'), { flush: 'post' })
+        this.$watch('a', () => calls.push('pre'))
+      },
+      render (h) {
+        calls.push('render')
+        return h('div', this.a)
+      }
+    }).$mount()
+    calls.length = 0
+    vm.a++
+    waitForUpdate(() => {
+      expect(calls).toEqual(['pre', 'render', 'post'])
+    }).then(done)
+  })
+
+  it('run watchers queued by post watchers in the same flush', done => {
+    const calls = []
+    const vm = new Vue({
+      data: {
+        a: 1,
+        b: 1
+      },
+      created () {
+        this.$watch('a', () => {
+          calls.push('post')
+          this.b++
+        }, { flush: 'post' })
+      },
+      render (h) {
+        calls.push('render')
+        return h('div', this.a + this.b)
+      }
+    }).$mount()
+    calls.length = 0
+    vm.a++
+    waitForUpdate(() => {
+      expect(calls).toEqual(['render', 'post', 'render'])
+      expect(vm.$el.textContent).toBe('4')
+    }).then(done)
+  })
+  describe('time slicing', () => {
+    beforeEach(() => {
+      Vue.config.timeSlicing = true
+      Vue.config.frameBudget = 0
+    })
+
+    afterEach(() => {
+      Vue.config.timeSlicing = false
+      Vue.config.frameBudget = 5
+    })
+
+    it('should yield between watchers once the budget is spent', done => {
+      const calls = []
+      queueWatcher({ id: 1, run () { calls.push(1) } })
+      queueWatcher({ id: 2, run () { calls.push(2) } })
+      Promise.resolve().then(() => {
+        expect(calls).toEqual([1])
+      })
+      // nextTick callbacks are held back until the whole queue is flushed
+      waitForUpdate(() => {
+        expect(calls).toEqual([1, 2])
+      }).then(done)
+    })
+
+    it('should run watchers queued by user input first', done => {
+      const calls = []
+      const job = id => ({ id, run () { calls.push(id) } })
+      queueWatcher({
+        id: 1,
+        run () {
+          calls.push(1)
+          // user input handled while the flush is yielding
+          yieldToMain(() => {
+            runWithInputPriority(() => queueWatcher(job(4)))
+          })
+        }
+      })
+      queueWatcher(job(2))
+      queueWatcher(job(3))
+      waitForUpdate(() => {
+        expect(calls).toEqual([1, 4, 2, 3])
+      }).then(done)
+    })
+
+    it('should call updated hooks in order after the whole flush', done => {
+      const calls = []
+      const vm = new Vue({
+        data: { msg: 'foo' },
+        template: '<div>{{ msg }}<test :msg="msg"></test></div>',
+        updated () {
+          calls.push('parent')
+        },
+        components: {
+          test: {
+            props: ['msg'],
+            template: '<span>{{ msg }}</span>',
+            updated () {
+              calls.push('child')
+            }
+          }
+        }
+      }).$mount()
+      vm.msg = 'bar'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('barbar')
+        expect(calls).toEqual(['child', 'parent'])
+      }).then(done)
+    })
+  })
 })
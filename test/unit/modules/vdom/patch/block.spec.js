@@ -0,0 +1,151 @@
+import Vue from 'vue'
+
+describe('vdom patch: blocks', () => {
+  it('should only patch the dynamic descendants of a block', done => {
+    const vm = new Vue({
+      data: { msg: 'a', title: 't1' },
+      template: `
+        <div>
+          <p class="static">{{ msg }}<b :title="title">b</b></p>
+          <span>static</span>
+        </div>
+      `
+    }).$mount()
+    expect(vm._vnode.dynamicChildren.length).toBe(2)
+    const p = vm.$el.firstChild
+    const text = p.firstChild
+    const span = vm.$el.lastChild
+    vm.msg = 'b'
+    vm.title = 't2'
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild).toBe(p)
+      expect(p.firstChild).toBe(text)
+      expect(vm.$el.lastChild).toBe(span)
+      expect(vm.$el.innerHTML).toBe(
+        '<p class="static">b<b title="t2">b</b></p> <span>static</span>'
+      )
+      vm.msg = 'c'
+    }).then(() => {
+      expect(text.data).toBe('c')
+    }).then(done)
+  })
+
+  it('should fully diff elements of different blocks', done => {
+    const vm = new Vue({
+      data: { ok: true, msg: 'a' },
+      template: `
+        <div>
+          <div v-if="ok"><p>{{ msg }}</p></div>
+          <div v-else><span :title="msg">{{ msg }}</span></div>
+        </div>
+      `
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<div><p>a</p></div>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<div><span title="a">a</span></div>')
+      vm.msg = 'b'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><span title="b">b</span></div>')
+      vm.ok = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><p>b</p></div>')
+    }).then(done)
+  })
+
+  it('should reuse v-if/v-else elements of different blocks', done => {
+    const vm = new Vue({
+      data: { ok: true, x: 'x', y: 'y' },
+      template: `
+        <div>
+          <div v-if="ok"><input><b>{{ x }}</b><i>x</i></div>
+          <div v-else><input><b>{{ y }}</b></div>
+        </div>
+      `
+    }).$mount()
+    const div = vm.$el.firstChild
+    const input = div.firstChild
+    // patched through the block, the static nodes are not tracked
+    vm.x = 'x2'
+    waitForUpdate(() => {
+      expect(div.innerHTML).toBe('<input><b>x2</b><i>x</i>')
+      vm.ok = false
+    }).then(() => {
+      expect(vm.$el.firstChild).toBe(div)
+      expect(div.firstChild).toBe(input)
+      expect(div.innerHTML).toBe('<input><b>y</b>')
+      vm.y = 'y2'
+    }).then(() => {
+      expect(div.innerHTML).toBe('<input><b>y2</b>')
+      vm.ok = true
+    }).then(() => {
+      expect(div.firstChild).toBe(input)
+      expect(div.innerHTML).toBe('<input><b>x2</b><i>x</i>')
+    }).then(done)
+  })
+
+  it('should patch blocks of v-for items', done => {
+    const vm = new Vue({
+      data: { list: ['a', 'b', 'c'] },
+      template: `
+        <div>
+          <p v-for="item in list" :key="item"><b>{{ item }}</b>!</p>
+        </div>
+      `
+    }).$mount()
+    const first = vm.$el.firstChild
+    vm.list.reverse()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('c!b!a!')
+      expect(vm.$el.lastChild).toBe(first)
+      vm.list.splice(1, 1, 'd')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('c!d!a!')
+      expect(vm.$el.lastChild).toBe(first)
+    }).then(done)
+  })
+
+  it('should run directive hooks and remove refs of block descendants', done => {
+    const update = jasmine.createSpy('componentUpdated')
+    const vm = new Vue({
+      data: { ok: true, msg: 'a' },
+      template: `
+        <div>
+          <div v-if="ok"><p ref="p" v-test>{{ msg }}</p></div>
+        </div>
+      `,
+      directives: {
+        test: { componentUpdated: update }
+      }
+    }).$mount()
+    const p = vm.$refs.p
+    expect(p.tagName).toBe('P')
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(update.calls.count()).toBe(1)
+      expect(update.calls.argsFor(0)[0]).toBe(p)
+      expect(p.textContent).toBe('b')
+      vm.ok = false
+    }).then(() => {
+      expect(vm.$refs.p).toBeUndefined()
+    }).then(done)
+  })
+
+  it('should recover from render errors inside a block', done => {
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue({
+      data: { obj: { a: 'a' } },
+      template: '<div><p><b>{{ obj.a }}</b></p></div>',
+      renderError: () => null
+    }).$mount()
+    vm.obj = null
+    waitForUpdate(() => {
+      expect(spy.calls.argsFor(0)[2]).toBe('render')
+      vm.obj = { a: 'b' }
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('b')
+      expect(vm._vnode.dynamicChildren.length).toBe(1)
+      Vue.config.errorHandler = null
+    }).then(done)
+  })
+})
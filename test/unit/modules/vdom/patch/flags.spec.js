@@ -0,0 +1,135 @@
+import Vue from 'vue'
+
+describe('vdom patch: flags', () => {
+  it('should update dynamic text, class, style and attrs', done => {
+    const vm = new Vue({
+      data: { msg: 'a', cls: 'foo', color: 'red', title: 't1' },
+      template: `
+        <div>
+          <p id="static" class="base" :class="cls" :style="{ color }" :title="title">{{ msg }}</p>
+        </div>
+      `
+    }).$mount()
+    const p = vm.$el.firstChild
+    const text = p.firstChild
+    expect(p.className).toBe('base foo')
+    expect(p.style.color).toBe('red')
+    vm.msg = 'b'
+    vm.cls = 'bar'
+    vm.color = 'blue'
+    vm.title = 't2'
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild).toBe(p)
+      expect(p.firstChild).toBe(text)
+      expect(text.data).toBe('b')
+      expect(p.className).toBe('base bar')
+      expect(p.style.color).toBe('blue')
+      expect(p.getAttribute('title')).toBe('t2')
+      expect(p.id).toBe('static')
+    }).then(done)
+  })
+
+  it('should reuse hoisted data', done => {
+    const vm = new Vue({
+      data: { msg: 'a' },
+      template: '<div><p id="a" class="b">{{ msg }}</p></div>'
+    }).$mount()
+    const data = vm._vnode.children[0].data
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(vm._vnode.children[0].data).toBe(data)
+      expect(vm.$el.innerHTML).toBe('<p id="a" class="b">b</p>')
+    }).then(done)
+  })
+
+  it('should check the DOM value of inputs', done => {
+    const vm = new Vue({
+      data: { value: 'a', msg: '' },
+      template: '<div><input :value="value" :title="msg"></div>'
+    }).$mount()
+    const input = vm.$el.firstChild
+    input.value = 'b'
+    vm.msg = 'foo'
+    waitForUpdate(() => {
+      expect(input.value).toBe('a')
+    }).then(done)
+  })
+
+  it('should fully patch elements of different shapes', done => {
+    const vm = new Vue({
+      data: { ok: true, id: 'foo' },
+      template: `
+        <div>
+          <p v-if="ok" :title="id" style="color: red">a</p>
+          <p v-else class="b" :id="id">{{ id }}</p>
+        </div>
+      `
+    }).$mount()
+    const p = vm.$el.firstChild
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild).toBe(p)
+      expect(p.hasAttribute('title')).toBe(false)
+      expect(p.style.color).toBe('')
+      expect(p.className).toBe('b')
+      expect(p.id).toBe('foo')
+      expect(p.textContent).toBe('foo')
+      vm.ok = true
+    }).then(() => {
+      expect(p.getAttribute('title')).toBe('foo')
+      expect(p.style.color).toBe('red')
+      expect(p.className).toBe('')
+      expect(p.hasAttribute('id')).toBe(false)
+      expect(p.textContent).toBe('a')
+    }).then(done)
+  })
+
+  it('should fully patch slot content changed by the receiving component', done => {
+    const vm = new Vue({
+      data: { active: false, msg: 'a' },
+      template: `
+        <div>
+          <child :active="active"><p class="item">{{ msg }}</p></child>
+        </div>
+      `,
+      components: {
+        child: {
+          props: ['active'],
+          render (h) {
+            const vnode = this.$slots.default[0]
+            vnode.data.class = { active: this.active }
+            return h('div', [vnode])
+          }
+        }
+      }
+    }).$mount()
+    const p = vm.$el.firstChild.firstChild
+    expect(p.className).toBe('item')
+    vm.active = true
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild.firstChild).toBe(p)
+      expect(p.className).toBe('item active')
+      vm.active = false
+      vm.msg = 'b'
+    }).then(() => {
+      expect(p.className).toBe('item')
+      expect(p.textContent).toBe('b')
+    }).then(done)
+  })
+
+  it('should patch dynamic attribute names and innerHTML', done => {
+    const vm = new Vue({
+      data: { name: 'title', html: '<b>a</b>' },
+      template: '<div><p :[name]="name" v-html="html"></p></div>'
+    }).$mount()
+    const p = vm.$el.firstChild
+    expect(p.getAttribute('title')).toBe('title')
+    vm.name = 'id'
+    vm.html = '<i>b</i>'
+    waitForUpdate(() => {
+      expect(p.hasAttribute('title')).toBe(false)
+      expect(p.id).toBe('id')
+      expect(p.innerHTML).toBe('<i>b</i>')
+    }).then(done)
+  })
+})
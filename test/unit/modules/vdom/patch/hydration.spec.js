@@ -388,4 +388,375 @@ describe('vdom patch: hydration', () => {
       expect(dom.children[0].className).toBe('bar')
     }).then(done)
   })
+
+  it('should hydrate components with multiple root nodes', done => {
+    const dom = createMockSSRDOM('<!--[--><span>foo</span><span>bar</span><!--]--><p>after</p>')
+    const span = dom.children[0]
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<div><pair :msg="msg"/><p>after</p></div>',
+      components: {
+        pair: {
+          props: ['msg'],
+          render (h) {
+            return [h('span', this.msg), h('span', 'bar')]
+          }
+        }
+      }
+    }).$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$el.children[0]).toBe(span)
+    expect(vm.$children[0].$el).toBe(dom.firstChild)
+    vm.msg = 'baz'
+    waitForUpdate(() => {
+      expect(dom.innerHTML).toBe('<!--[--><span>baz</span><span>bar</span><!--]--><p>after</p>')
+    }).then(done)
+  })
+
+  it('should call hydrated hooks after mounted', () => {
+    const calls = []
+    const dom = createMockSSRDOM('<div><span>foo</span></div>')
+    const span = dom.querySelector('span')
+    const vm = new Vue({
+      template: '<div><test/></div>',
+      mounted: () => calls.push('root mounted'),
+      hydrated: () => calls.push('root hydrated'),
+      components: {
+        test: {
+          template: '<div><span>foo</span></div>',
+          mixins: [{ hydrated: () => calls.push('mixin hydrated') }],
+          mounted: () => calls.push('child mounted'),
+          hydrated () {
+            calls.push('child hydrated')
+            expect(this.$el.firstChild).toBe(span)
+          }
+        }
+      }
+    }).$mount(dom)
+    expect(vm.$el).toBe(dom)
+    expect(calls).toEqual([
+      'child mounted',
+      'mixin hydrated',
+      'child hydrated',
+      'root mounted',
+      'root hydrated'
+    ])
+  })
+
+  it('should not call hydrated hooks for client rendered components', () => {
+    const hydrated = jasmine.createSpy('hydrated')
+    new Vue({
+      template: '<div><test/></div>',
+      hydrated,
+      components: {
+        test: { template: '<span/>', hydrated }
+      }
+    }).$mount()
+    expect(hydrated).not.toHaveBeenCalled()
+  })
+
+  it('should call hydrationMismatch hooks with details', () => {
+    const dom = createMockSSRDOM('<div><span></span></div>')
+    const rootMismatch = jasmine.createSpy('root hydrationMismatch')
+    let details, hydrated = false
+    new Vue({
+      template: '<div><test></test></div>',
+      hydrationMismatch: rootMismatch,
+      components: {
+        test: {
+          template: '<div><a></a></div>',
+          hydrationMismatch (d) {
+            details = d
+          },
+          hydrated () {
+            hydrated = true
+          }
+        }
+      }
+    }).$mount(dom)
+    expect('not matching server-rendered content').toHaveBeenWarned()
+    expect(details.reason).toBe('node')
+    expect(details.node.tagName).toBe('SPAN')
+    expect(details.vnode.tag).toBe('a')
+    expect(hydrated).toBe(false)
+    // the mismatch is reported to the component that failed to hydrate
+    expect(rootMismatch).not.toHaveBeenCalled()
+  })
+
+  it('should report mismatching children', () => {
+    const dom = createMockSSRDOM('<span>foo</span><span>bar</span>')
+    let details
+    new Vue({
+      template: '<div><span>foo</span></div>',
+      hydrationMismatch (d) {
+        details = d
+      }
+    }).$mount(dom)
+    expect('not matching server-rendered content').toHaveBeenWarned()
+    expect(details.reason).toBe('children')
+    expect(details.node).toBe(dom)
+  })
+
+  describe('mismatch reports', () => {
+    let reports
+    beforeEach(() => {
+      reports = []
+      Vue.config.hydrationMismatchHandler = mismatch => reports.push(mismatch)
+    })
+
+    afterEach(() => {
+      Vue.config.hydrationMismatchHandler = null
+      Vue.config.hydrationRecovery = 'full'
+    })
+
+    it('should report and fix attribute, class, style and text differences', () => {
+      const dom = createMockSSRDOM('<span id="x" class="a b">foo</span><p style="color:red;">bar</p>')
+      const span = dom.firstChild
+      const vm = new Vue({
+        data: { id: 'y', msg: 'hi' },
+        template: '<div><span :id="id" class="b a c">{{ msg }}</span><p style="color:blue">bar</p></div>'
+      }).$mount(dom)
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(vm.$el.firstChild).toBe(span)
+      expect(reports.map(r => [r.reason, r.key, r.expected, r.actual])).toEqual([
+        ['attribute', 'id', 'y', 'x'],
+        ['class', undefined, 'a b c', 'a b'],
+        ['text', undefined, 'hi', 'foo'],
+        ['style', 'color', 'blue', 'red']
+      ])
+      reports.forEach(r => {
+        expect(r.recovered).toBe(true)
+        expect(r.path).toEqual(['Root'])
+      })
+      expect(span.id).toBe('y')
+      expect(span.className).toBe('b a c')
+      expect(span.textContent).toBe('hi')
+      expect(dom.lastChild.style.color).toBe('blue')
+    })
+
+    it('should report the component path and warn with details', () => {
+      const dom = createMockSSRDOM('<div><span></span></div>')
+      const handler = jasmine.createSpy('hydrationMismatch')
+      new Vue({
+        template: '<div><test></test></div>',
+        components: {
+          test: {
+            template: '<div><a></a></div>',
+            hydrationMismatch: handler
+          }
+        }
+      }).$mount(dom)
+      expect(reports.length).toBe(1)
+      expect(reports[0].reason).toBe('node')
+      expect(reports[0].path).toEqual(['Root', 'test'])
+      expect(reports[0].recovered).toBe(false)
+      expect(handler).toHaveBeenCalledWith(reports[0])
+      expect(
+        'Mismatching node in <Root> > <test>: expected "<a>", got "<span>".'
+      ).toHaveBeenWarned()
+    })
+
+    it('should only re-render mismatching nodes in partial recovery mode', done => {
+      Vue.config.hydrationRecovery = 'partial'
+      const dom = createMockSSRDOM('<span>a</span><i>b</i><em>c</em><u>extra</u>')
+      const span = dom.children[0]
+      const em = dom.children[2]
+      const vm = new Vue({
+        data: { msg: 'b' },
+        template: '<div><span>a</span><b>{{ msg }}</b><em>c</em></div>'
+      }).$mount(dom)
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(vm.$el).toBe(dom)
+      expect(dom.innerHTML).toBe('<span>a</span><b>b</b><em>c</em>')
+      expect(dom.children[0]).toBe(span)
+      expect(dom.children[2]).toBe(em)
+      expect(reports.map(r => [r.reason, r.expected, r.actual, r.recovered])).toEqual([
+        ['node', '<b>', '<i>', true],
+        ['children', null, '<u>', true]
+      ])
+      vm.msg = 'changed'
+      waitForUpdate(() => {
+        expect(dom.innerHTML).toBe('<span>a</span><b>changed</b><em>c</em>')
+      }).then(done)
+    })
+
+    it('should not report a mismatched component root as recovered in partial recovery mode', () => {
+      Vue.config.hydrationRecovery = 'partial'
+      const dom = createMockSSRDOM('<span>a</span><div><span>b</span></div>')
+      const span = dom.firstChild
+      const vm = new Vue({
+        template: '<div><span>a</span><test></test></div>',
+        components: {
+          test: { template: '<p><span>b</span></p>' }
+        }
+      }).$mount(dom)
+      expect(vm.$el).toBe(dom)
+      expect(dom.innerHTML).toBe('<span>a</span><p><span>b</span></p>')
+      expect(dom.firstChild).toBe(span)
+      expect(reports.map(r => [r.reason, r.path, r.recovered])).toEqual([
+        ['node', ['Root', 'test'], false]
+      ])
+      expect(
+        'Mismatching node in <Root> > <test>: expected "<p>", got "<div>".'
+      ).toHaveBeenWarned()
+    })
+
+    it('should create missing nodes in partial recovery mode', () => {
+      Vue.config.hydrationRecovery = 'partial'
+      const dom = createMockSSRDOM('<span>a</span>')
+      const span = dom.firstChild
+      new Vue({
+        template: '<div><span>a</span><p>b</p></div>'
+      }).$mount(dom)
+      expect(dom.innerHTML).toBe('<span>a</span><p>b</p>')
+      expect(dom.firstChild).toBe(span)
+      expect(reports[0].reason).toBe('children')
+      expect(reports[0].expected).toBe('<p>')
+    })
+  })
+
+  describe('lazy hydration', () => {
+    function createCounter (strategy, created) {
+      return {
+        hydrate: strategy,
+        props: ['step'],
+        data: () => ({ count: 0 }),
+        template: '<div><button @click="count += step">{{ count }}</button></div>',
+        created
+      }
+    }
+
+    it('should hydrate on the first interaction and handle the event', done => {
+      const created = jasmine.createSpy('created')
+      const dom = createMockSSRDOM('<div data-v-hydrate="interaction"><button>0</button></div><p>foo</p>')
+      const island = dom.firstChild
+      const button = island.firstChild
+      const vm = new Vue({
+        data: { msg: 'foo', step: 1 },
+        template: '<div><counter :step="step"/><p>{{ msg }}</p></div>',
+        components: { counter: createCounter('interaction', created) }
+      }).$mount(dom)
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(created).not.toHaveBeenCalled()
+      expect(vm.$children.length).toBe(0)
+      // the parent can update while the island is pending
+      vm.msg = 'bar'
+      vm.step = 2
+      waitForUpdate(() => {
+        expect(dom.innerHTML).toBe('<div data-v-hydrate="interaction"><button>0</button></div><p>bar</p>')
+        triggerEvent(button, 'click')
+        expect(created.calls.count()).toBe(1)
+        expect(vm.$children[0].$el).toBe(island)
+        expect(island.hasAttribute('data-v-hydrate')).toBe(false)
+        expect(vm.$children[0].count).toBe(2)
+      }).then(() => {
+        expect(button.textContent).toBe('2')
+        expect(dom.firstChild).toBe(island)
+      }).then(done)
+    })
+
+    it('should let the hydrated handlers prevent the default action', () => {
+      const dom = createMockSSRDOM(
+        '<div data-v-hydrate="interaction"><input type="checkbox"></div>' +
+        '<div data-v-hydrate="interaction"><input type="checkbox"></div>'
+      )
+      document.body.appendChild(dom)
+      const [prevented, checkbox] = dom.querySelectorAll('input')
+      const change = jasmine.createSpy('change')
+      new Vue({
+        template: '<div><island :prevent="true"/><island/></div>',
+        components: {
+          island: {
+            hydrate: 'interaction',
+            props: ['prevent'],
+            template: '<div><input type="checkbox" @click="onClick" @change="change"></div>',
+            methods: {
+              onClick (e) {
+                if (this.prevent) e.preventDefault()
+              },
+              change
+            }
+          }
+        }
+      }).$mount(dom)
+      const e = document.createEvent('MouseEvents')
+      e.initEvent('click', true, true)
+      prevented.dispatchEvent(e)
+      expect(e.defaultPrevented).toBe(true)
+      expect(prevented.checked).toBe(false)
+      // the default action of the hydrating click runs once
+      checkbox.click()
+      expect(checkbox.checked).toBe(true)
+      expect(change.calls.count()).toBe(1)
+      document.body.removeChild(dom)
+    })
+
+    it('should never hydrate static islands', done => {
+      const created = jasmine.createSpy('created')
+      const dom = createMockSSRDOM('<div data-v-hydrate="never"><button>0</button></div>')
+      const vm = new Vue({
+        data: { show: true },
+        template: '<div><counter v-if="show" :step="1"/></div>',
+        components: { counter: createCounter('never', created) }
+      }).$mount(dom)
+      triggerEvent(dom.querySelector('button'), 'click')
+      expect(created).not.toHaveBeenCalled()
+      vm.show = false
+      waitForUpdate(() => {
+        expect(dom.innerHTML).toBe('<!---->')
+        expect(created).not.toHaveBeenCalled()
+      }).then(done)
+    })
+
+    it('should hydrate when idle', done => {
+      const mounted = jasmine.createSpy('mounted')
+      const dom = createMockSSRDOM('<div data-v-hydrate="idle"><button>0</button></div>')
+      const island = dom.firstChild
+      const vm = new Vue({
+        template: '<div><counter :step="1"/></div>',
+        components: {
+          counter: Object.assign(createCounter('idle'), { mounted })
+        }
+      }).$mount(dom)
+      expect(mounted).not.toHaveBeenCalled()
+      waitForUpdate().thenWaitFor(50).then(() => {
+        expect(mounted).toHaveBeenCalled()
+        expect(vm.$children[0].$el).toBe(island)
+      }).then(done)
+    })
+
+    it('should hydrate once visible', () => {
+      const original = window.IntersectionObserver
+      let observer
+      window.IntersectionObserver = function (callback) {
+        observer = this
+        this.callback = callback
+        this.observe = el => { this.target = el }
+        this.disconnect = jasmine.createSpy('disconnect')
+      }
+      const dom = createMockSSRDOM('<div data-v-hydrate="visible"><button>0</button></div>')
+      const vm = new Vue({
+        template: '<div><counter :step="1"/></div>',
+        components: { counter: createCounter('visible') }
+      }).$mount(dom)
+      window.IntersectionObserver = original
+      expect(observer.target).toBe(dom.firstChild)
+      observer.callback([{ isIntersecting: false }])
+      expect(vm.$children.length).toBe(0)
+      observer.callback([{ isIntersecting: true }])
+      expect(observer.disconnect).toHaveBeenCalled()
+      expect(vm.$children.length).toBe(1)
+      expect(vm.$children[0].$el).toBe(dom.firstChild)
+    })
+
+    it('should hydrate eagerly without the server marker', () => {
+      const created = jasmine.createSpy('created')
+      const dom = createMockSSRDOM('<div><button>0</button></div>')
+      new Vue({
+        template: '<div><counter :step="1"/></div>',
+        components: { counter: createCounter('never', created) }
+      }).$mount(dom)
+      expect(created).toHaveBeenCalled()
+    })
+  })
 })
@@ -5,7 +5,12 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  UpdateLoopEntry,
+  UpdateLoopReport,
+  App,
+  AppConfig,
+  AppPlugin
 } from "./vue";
 
 export {
@@ -14,16 +19,32 @@ export {
   ComponentOptions,
   FunctionalComponentOptions,
   RenderContext,
+  SetupContext,
   PropType,
   PropOptions,
+  EmitsOptions,
+  HydrationMismatch,
+  LazyHydrationStrategy,
   ComputedOptions,
   WatchHandler,
   WatchOptions,
   WatchOptionsWithHandler,
+  WatchFlush,
   DirectiveFunction,
   DirectiveOptions
 } from "./options";
 
+export {
+  Ref,
+  WritableComputedOptions,
+  WatchEffectOptions,
+  WatchStopHandle,
+  EffectScope,
+  DebuggerEvent,
+  DebuggerOptions,
+  DeepReadonly
+} from "./reactivity";
+
 export {
   PluginFunction,
   PluginObject
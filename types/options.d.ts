@@ -1,5 +1,6 @@
 import { Vue, CreateElement, CombinedVueInstance } from "./vue";
 import { VNode, VNodeData, VNodeDirective, NormalizedScopedSlot } from "./vnode";
+import { DebuggerOptions, DebuggerEvent } from "./reactivity";
 
 type Constructor = {
   new (...args: any[]): any;
@@ -78,11 +79,13 @@ export interface ComponentOptions<
   computed?: Accessors<Computed>;
   methods?: Methods;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any>>;
+  emits?: EmitsOptions;
+  setup?(this: void, props: Props, ctx: SetupContext): object | ((createElement: CreateElement) => VNode) | void;
 
   el?: Element | string;
   template?: string;
   // hack is for functional component type inference, should not be used in user code
-  render?(createElement: CreateElement, hack: RenderContext<Props>): VNode;
+  render?(createElement: CreateElement, hack: RenderContext<Props>): VNode | VNode[];
   renderError?(createElement: CreateElement, err: Error): VNode;
   staticRenderFns?: ((createElement: CreateElement) => VNode)[];
 
@@ -90,6 +93,8 @@ export interface ComponentOptions<
   created?(): void;
   beforeDestroy?(): void;
   destroyed?(): void;
+  beforeUnmount?(): void;
+  unmounted?(): void;
   beforeMount?(): void;
   mounted?(): void;
   beforeUpdate?(): void;
@@ -98,6 +103,10 @@ export interface ComponentOptions<
   deactivated?(): void;
   errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  renderTracked?(event: DebuggerEvent): void;
+  renderTriggered?(event: DebuggerEvent): void;
+  hydrated?(): void;
+  hydrationMismatch?(details: HydrationMismatch): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -105,6 +114,7 @@ export interface ComponentOptions<
   filters?: { [key: string]: Function };
 
   provide?: object | (() => object);
+  reactiveProvide?: boolean;
   inject?: InjectOptions;
 
   model?: {
@@ -119,7 +129,16 @@ export interface ComponentOptions<
   extends?: ComponentOptions<Vue> | typeof Vue;
   delimiters?: [string, string];
   comments?: boolean;
+  sourceMap?: boolean;
   inheritAttrs?: boolean;
+  hydrate?: LazyHydrationStrategy;
+}
+
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: NormalizedScopedSlot | undefined };
+  emit(event: string, ...args: any[]): Vue;
 }
 
 export interface FunctionalComponentOptions<Props = DefaultProps, PropDefs = PropsDefinition<Props>> {
@@ -164,7 +183,7 @@ export type RecordPropsDefinition<T> = {
 export type ArrayPropsDefinition<T> = (keyof T)[];
 export type PropsDefinition<T> = ArrayPropsDefinition<T> | RecordPropsDefinition<T>;
 
-export interface ComputedOptions<T> {
+export interface ComputedOptions<T> extends DebuggerOptions {
   get?(): T;
   set?(value: T): void;
   cache?: boolean;
@@ -172,9 +191,12 @@ export interface ComputedOptions<T> {
 
 export type WatchHandler<T> = string | ((val: T, oldVal: T) => void);
 
-export interface WatchOptions {
+export type WatchFlush = 'pre' | 'post' | 'sync';
+
+export interface WatchOptions extends DebuggerOptions {
   deep?: boolean;
   immediate?: boolean;
+  flush?: WatchFlush;
 }
 
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
@@ -202,6 +224,23 @@ export interface DirectiveOptions {
 
 export type InjectKey = string | symbol;
 
+export type LazyHydrationStrategy = 'visible' | 'idle' | 'interaction' | 'never';
+
+export interface HydrationMismatch {
+  reason: 'node' | 'children' | 'innerHTML' | 'fragment' | 'text' | 'attribute' | 'class' | 'style';
+  node: Node;
+  vnode: VNode;
+  key?: string;
+  expected: any;
+  actual: any;
+  path: string[];
+  recovered: boolean;
+}
+
+export type EmitsOptions = {
+  [event: string]: ((...args: any[]) => boolean) | null
+} | string[];
+
 export type InjectOptions = {
   [key: string]: InjectKey | { from?: InjectKey, default?: any }
 } | string[];
@@ -0,0 +1,45 @@
+export interface Ref<T = any> {
+  value: T;
+}
+
+export interface WritableComputedOptions<T> {
+  get(): T;
+  set(value: T): void;
+}
+
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  type: string;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+}
+
+export interface DebuggerOptions {
+  onTrack?(event: DebuggerEvent): void;
+  onTrigger?(event: DebuggerEvent): void;
+}
+
+export interface WatchEffectOptions extends DebuggerOptions {
+  flush?: 'pre' | 'post' | 'sync';
+  sync?: boolean;
+}
+
+export type WatchStopHandle = () => void;
+
+type Primitive = string | number | boolean | symbol | undefined | null;
+
+export interface DeepReadonlyArray<T> extends ReadonlyArray<DeepReadonly<T>> {}
+
+export type DeepReadonly<T> = T extends Primitive | Function
+  ? T
+  : T extends Array<infer U>
+    ? DeepReadonlyArray<U>
+    : { readonly [K in keyof T]: DeepReadonly<T[K]> };
+
+export interface EffectScope {
+  active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
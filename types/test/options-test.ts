@@ -172,6 +172,16 @@ Vue.component('component', {
     d: {
       handler: 'someMethod',
       immediate: true
+    },
+    e: {
+      handler: 'someMethod',
+      flush: 'post',
+      onTrack(e) {
+        e.key
+      },
+      onTrigger(e) {
+        e.newValue
+      }
     }
   },
   el: "#app",
@@ -258,6 +268,12 @@ Vue.component('component', {
   serverPrefetch () {
     return Promise.resolve()
   },
+  renderTracked(e) {
+    e.target
+  },
+  renderTriggered(e) {
+    e.type.toUpperCase()
+  },
 
   directives: {
     a: {
@@ -326,12 +342,59 @@ Vue.component('provide-function', {
   })
 })
 
+Vue.component('component-with-emits', {
+  emits: {
+    change: (value: number) => typeof value === 'number',
+    close: null
+  },
+  created () {
+    this.$emit('change', 1)
+  }
+})
+
+Vue.component('lazy-hydrated-component', {
+  hydrate: 'visible',
+  template: '<div/>'
+})
+
+Vue.component('component-with-hydration-hooks', {
+  beforeUnmount () {},
+  unmounted () {},
+  hydrated () {},
+  hydrationMismatch (details) {
+    const node: Node = details.node
+    const reason: string = details.reason
+  }
+})
+
+Vue.component('component-with-emits-array', {
+  emits: ['change', 'close']
+})
+
+Vue.component('reactive-provide', {
+  data: () => ({ theme: 'dark' }),
+  reactiveProvide: true,
+  provide () {
+    return { theme: this.theme }
+  },
+  inject: ['locale'],
+  created () {
+    this.$isProvided('locale')
+  }
+})
+
 Vue.component('component-with-slot', {
   render (h): VNode {
     return h('div', this.$slots.default)
   }
 })
 
+Vue.component('component-with-multiple-roots', {
+  render (h) {
+    return [h('span'), h('span')]
+  }
+})
+
 Vue.component('component-with-scoped-slot', {
   render (h) {
     interface ScopedSlotProps {
@@ -499,3 +562,25 @@ Vue.component('directive-expression-optional-string', {
     })
   }
 });
+
+Vue.component('component-with-setup', {
+  props: ['label'],
+  setup(props, ctx) {
+    const count = Vue.ref(0)
+    Vue.onMounted(() => {
+      ctx.emit('ready', props.label)
+    })
+    Vue.onBeforeUnmount(() => {})
+    return {
+      count,
+      increment: () => { count.value++ }
+    }
+  }
+});
+
+Vue.component('component-with-setup-render', {
+  setup(props, { attrs, slots }) {
+    Vue.onRenderTracked(e => e.target)
+    return (h: CreateElement) => h('div', attrs, slots.default && slots.default({}))
+  }
+});
@@ -1,4 +1,4 @@
-import Vue, { VNode } from "../index";
+import Vue, { VNode, App } from "../index";
 import { ComponentOptions } from "../options";
 
 class Test extends Vue {
@@ -72,9 +72,24 @@ class Test extends Vue {
         vm.testMethods();
       }
     };
+    config.warnHandler = (msg, vm, trace, report) => {
+      if (report) {
+        report.chain.forEach(entry => entry.component && entry.expression);
+      }
+    };
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.reactivityMode = 'proxy';
+    config.arrayProxy = true;
+    config.maxUpdateCount = 200;
+    config.timeSlicing = true;
+    config.frameBudget = 8;
+    config.hydrationRecovery = 'partial';
+    config.hydrationMismatchHandler = (mismatch, vm) => {
+      const path: string = mismatch.path.join(' > ');
+      const recovered: boolean = mismatch.recovered;
+    };
   }
 
   static testMethods() {
@@ -211,9 +226,61 @@ class Decorated extends Vue {
   a = 123;
 }
 
+const app = Vue.createApp({
+  template: '<div><foo/></div>'
+})
+app.config.errorHandler = (err, vm, info) => {}
+app.config.globalProperties.$format = (s: string) => s.toUpperCase()
+app
+  .use({ install (app: App, options: { foo: number }) { app.provide('foo', options.foo) } }, { foo: 1 })
+  .use((app: App) => {})
+  .mixin({ created () {} })
+  .component('foo', { template: '<span/>' })
+  .directive('bar', { bind () {} })
+  .use({ install (Ctor: App) {
+    Ctor.config.optionMergeStrategies.foo = (parent: any, child: any) => child
+    Ctor.filter('upper', (s: string) => s.toUpperCase())
+    Ctor.component('baz', Ctor.extend({ template: '<div/>' }))
+    const proto: Vue = Ctor.prototype
+  } })
+const appRoot: Vue = app.mount('#app')
+app.unmount()
+
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+const state = Vue.reactive({ count: 0 })
+const count = Vue.ref(0)
+const double = Vue.computed(() => count.value * 2)
+const writable = Vue.computed({
+  get: () => count.value,
+  set: (val: number) => { count.value = val }
+})
+writable.value = 1
+const scope = Vue.effectScope()
+scope.run(() => {
+  const stop = Vue.watchEffect(() => {
+    state.count + double.value + Vue.unref(count)
+  }, { sync: true })
+  stop()
+})
+scope.stop()
+if (Vue.isRef(count)) {
+  count.value++
+}
+const payload = Vue.readonly({ list: [{ id: 1 }], meta: { total: 1 } })
+const firstId: number = payload.list[0].id
+const shallowPayload = Vue.shallowReadonly({ meta: { total: 1 } })
+shallowPayload.meta.total++
+Vue.shallowReactive({ nested: { a: 1 } }).nested.a++
+if (Vue.isReadonly(payload)) {
+  payload.meta.total
+}
+const batched: number = Vue.batch(() => {
+  state.count++
+  return Vue.untracked(() => count.value)
+})
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
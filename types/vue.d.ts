@@ -11,9 +11,11 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  HydrationMismatch,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
 import { PluginFunction, PluginObject } from "./plugin";
+import { Ref, WritableComputedOptions, WatchEffectOptions, WatchStopHandle, EffectScope, DebuggerOptions, DebuggerEvent, DeepReadonly } from "./reactivity";
 
 export interface CreateElement {
   (tag?: string | Component<any, any, any, any> | AsyncComponent<any, any, any, any> | (() => Component), children?: VNodeChildren): VNode;
@@ -42,6 +44,7 @@ export interface Vue {
   $destroy(): void;
   $set: typeof Vue.set;
   $delete: typeof Vue.delete;
+  $isProvided(key: string | symbol): boolean;
   $watch(
     expOrFn: string,
     callback: (this: this, n: any, o: any) => void,
@@ -64,6 +67,18 @@ export interface Vue {
 export type CombinedVueInstance<Instance extends Vue, Data, Methods, Computed, Props> =  Data & Methods & Computed & Props & Instance;
 export type ExtendedVue<Instance extends Vue, Data, Methods, Computed, Props> = VueConstructor<CombinedVueInstance<Instance, Data, Methods, Computed, Props> & Vue>;
 
+export interface UpdateLoopEntry {
+  component: string | null;
+  expression: string;
+  isRenderWatcher: boolean;
+  key: any;
+}
+
+export interface UpdateLoopReport {
+  limit: number;
+  chain: UpdateLoopEntry[];
+}
+
 export interface VueConfiguration {
   silent: boolean;
   optionMergeStrategies: any;
@@ -71,12 +86,49 @@ export interface VueConfiguration {
   productionTip: boolean;
   performance: boolean;
   errorHandler(err: Error, vm: Vue, info: string): void;
-  warnHandler(msg: string, vm: Vue, trace: string): void;
+  warnHandler(msg: string, vm: Vue, trace: string, report?: UpdateLoopReport): void;
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
+  reactivityMode: 'defineProperty' | 'proxy';
+  arrayProxy: boolean;
+  maxUpdateCount: number;
+  timeSlicing: boolean;
+  frameBudget: number;
+  hydrationMismatchHandler: ((mismatch: HydrationMismatch, vm: Vue | null) => void) | null;
+  hydrationRecovery: 'full' | 'partial';
   async: boolean;
 }
 
+export interface AppConfig {
+  errorHandler: ((err: Error, vm: Vue, info: string) => void) | null;
+  warnHandler: ((msg: string, vm: Vue, trace: string, report?: UpdateLoopReport) => void) | null;
+  globalProperties: { [key: string]: any };
+  optionMergeStrategies: any;
+  ignoredElements: (string | RegExp)[];
+  keyCodes: { [key: string]: number | number[] };
+}
+
+export type AppPlugin =
+  | { install(app: App, ...options: any[]): any; [key: string]: any }
+  | ((app: App, ...options: any[]) => any);
+
+export interface App extends Pick<VueConstructor, "util" | "version" | "set" | "delete" | "nextTick" | "observable" | "extend"> {
+  config: AppConfig & Readonly<Omit<VueConfiguration, keyof AppConfig>>;
+  // lets plugins written for Vue 2 treat the app like a constructor
+  prototype: Vue;
+  filter(id: string): Function | undefined;
+  filter(id: string, definition: Function): this;
+  use(plugin: AppPlugin, ...options: any[]): this;
+  mixin(mixin: ComponentOptions<Vue>): this;
+  component(id: string): VueConstructor | undefined;
+  component(id: string, definition: VueConstructor | ComponentOptions<Vue> | AsyncComponent): this;
+  directive(id: string): DirectiveOptions | undefined;
+  directive(id: string, definition: DirectiveOptions | DirectiveFunction): this;
+  provide(key: string | symbol, value: any): this;
+  mount(el?: Element | string, hydrating?: boolean): Vue;
+  unmount(): void;
+}
+
 export interface VueConstructor<V extends Vue = Vue> {
   new <Data = object, Methods = object, Computed = object, PropNames extends string = never>(options?: ThisTypedComponentOptionsWithArrayProps<V, Data, Methods, Computed, PropNames>): CombinedVueInstance<V, Data, Methods, Computed, Record<PropNames, any>>;
   // ideally, the return type should just contain Props, not Record<keyof Props, any>. But TS requires to have Base constructors with the same return type.
@@ -121,6 +173,37 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   observable<T>(obj: T): T;
 
+  createApp(rootOptions?: ComponentOptions<V>): App;
+
+  reactive<T extends object>(target: T): T;
+  shallowReactive<T extends object>(target: T): T;
+  readonly<T extends object>(target: T): DeepReadonly<T>;
+  shallowReadonly<T extends object>(target: T): Readonly<T>;
+  isReadonly(value: unknown): boolean;
+  ref<T>(value: T): Ref<T>;
+  isRef<T>(r: Ref<T> | unknown): r is Ref<T>;
+  unref<T>(r: T | Ref<T>): T;
+  computed<T>(getter: () => T, debugOptions?: DebuggerOptions): Readonly<Ref<T>>;
+  computed<T>(options: WritableComputedOptions<T>, debugOptions?: DebuggerOptions): Ref<T>;
+  watchEffect(effect: () => void, options?: WatchEffectOptions): WatchStopHandle;
+  effectScope(detached?: boolean): EffectScope;
+  batch<T>(fn: () => T): T;
+  untracked<T>(fn: () => T): T;
+
+  getCurrentInstance(): Vue | null;
+  onBeforeMount(fn: () => void): void;
+  onMounted(fn: () => void): void;
+  onBeforeUpdate(fn: () => void): void;
+  onUpdated(fn: () => void): void;
+  onBeforeUnmount(fn: () => void): void;
+  onUnmounted(fn: () => void): void;
+  onActivated(fn: () => void): void;
+  onDeactivated(fn: () => void): void;
+  onErrorCaptured(fn: (err: Error, vm: Vue, info: string) => boolean | void): void;
+  onServerPrefetch(fn: () => Promise<void>): void;
+  onRenderTracked(fn: (event: DebuggerEvent) => void): void;
+  onRenderTriggered(fn: (event: DebuggerEvent) => void): void;
+
   util: {
     warn(msg: string, vm?: InstanceType<VueConstructor>): void;
   };